@@ -193,10 +193,8 @@ async function storeRecipes(recipes: any[]) {
   // Create the database with the SQLite adapter
   const db = await createRxDatabase({
     name: 'recipedb',
-    storage: getRxStorageSQLite({
-      // Path to the SQLite database file
-      filename: path.join(__dirname, 'recipes.sqlite')
-    })
+    // The database file is rxdb-recipedb.sqlite in the working directory
+    storage: getRxStorageSQLite()
   });
 
   console.log('Database created');
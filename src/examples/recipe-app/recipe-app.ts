@@ -5,7 +5,6 @@
 import { createRxDatabase, addRxPlugin } from 'rxdb';
 import { RxDBQueryBuilderPlugin } from 'rxdb/dist/plugins/query-builder';
 import { RxDBValidatePlugin } from 'rxdb/dist/plugins/validate';
-import path from 'path';
 import { getRxStorageSQLite } from '../../lib/rxdb-adapter/sqlite-adapter';
 
 // Add RxDB plugins
@@ -76,10 +75,8 @@ async function createDatabase() {
   // Create the database with the SQLite adapter
   const db = await createRxDatabase({
     name: 'recipedb',
-    storage: getRxStorageSQLite({
-      // Path to the SQLite database file
-      filename: path.join(__dirname, 'recipes.sqlite')
-    })
+    // The database file is rxdb-recipedb.sqlite in the working directory
+    storage: getRxStorageSQLite()
   });
 
   console.log('Database created');
@@ -4,7 +4,6 @@
 import { createRxDatabase, addRxPlugin } from 'rxdb';
 import { RxDBDevModePlugin } from 'rxdb/plugins/dev-mode';
 import { getRelationalRxStorageSQLite } from '../lib/rxdb-adapter/relational-sqlite-adapter';
-import path from 'path';
 
 // Add the dev-mode plugin
 addRxPlugin(RxDBDevModePlugin);
@@ -112,10 +111,8 @@ async function main() {
   // Create the database with the relational SQLite adapter
   const db = await createRxDatabase({
     name: 'relational-example',
-    storage: getRelationalRxStorageSQLite({
-      // Specify the path to store the database file
-      filename: path.join(__dirname, '..', '..', 'relational-example.sqlite')
-    })
+    // The database file is rxdb-relational-example.sqlite in the working directory
+    storage: getRelationalRxStorageSQLite()
   });
 
   console.log('Database created successfully.');
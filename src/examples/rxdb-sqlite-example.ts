@@ -91,13 +91,8 @@ async function createDatabase() {
   // Create the database with the SQLite adapter
   const db = await createRxDatabase({
     name: 'weatherdb',
-    storage: getRxStorageSQLite({
-      // Path to the SQLite database file
-      // Use ':memory:' for an in-memory database
-      path: ':memory:',
-      // Optional: Use a custom SQLite implementation
-      // sqliteBasics: customSQLiteImplementation
-    })
+    // The database file is rxdb-weatherdb.sqlite in the working directory
+    storage: getRxStorageSQLite()
   });
   
   console.log('Database created');
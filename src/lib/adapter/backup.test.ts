@@ -0,0 +1,157 @@
+/**
+ * Tests for online backup and restore
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { firstValueFrom, lastValueFrom, tap, toArray } from 'rxjs';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BetterSQLiteAdapter } from './better-sqlite-adapter';
+import { backupDatabase } from './backup';
+
+describe('backup and restore', () => {
+  let dir: string;
+  let adapter: BetterSQLiteAdapter;
+
+  const fill = (count: number) => adapter.transaction(tx => {
+    for (let i = 0; i < count; i++) {
+      tx.execute('INSERT INTO items (name) VALUES (?)', { params: [`item ${i}`.padEnd(200, '.')] });
+    }
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rxjs-sqlite-backup-'));
+    adapter = new BetterSQLiteAdapter(path.join(dir, 'live.sqlite'));
+    adapter.execute('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+  });
+
+  afterEach(() => {
+    adapter.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should back up the database and report progress', async () => {
+    // Arrange
+    fill(2000);
+    const destination = path.join(dir, 'backup.sqlite');
+
+    // Act
+    const progress = await lastValueFrom(adapter.backup(destination, { pagesPerStep: 50 }).pipe(toArray()));
+
+    // Assert
+    expect(progress.length).toBeGreaterThan(2);
+    expect(progress.every(step => step.totalPages === progress[0].totalPages)).toBe(true);
+    expect(progress[progress.length - 1].remainingPages).toBe(0);
+    const copy = new Database(destination, { readonly: true });
+    expect(copy.prepare('SELECT COUNT(*) AS count FROM items').get()).toEqual({ count: 2000 });
+    copy.close();
+  });
+
+  it('should back up a small database in one step', async () => {
+    // Arrange
+    const destination = path.join(dir, 'small.sqlite');
+
+    // Act
+    const progress = await lastValueFrom(backupDatabase(new Database(':memory:'), destination).pipe(toArray()));
+
+    // Assert
+    expect(progress).toHaveLength(1);
+    expect(progress[0].remainingPages).toBe(0);
+  });
+
+  it('should stop and clean up when unsubscribed', async () => {
+    // Arrange
+    fill(2000);
+    const destination = path.join(dir, 'aborted.sqlite');
+
+    // Act
+    await firstValueFrom(adapter.backup(destination, { pagesPerStep: 10 }));
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    // Assert
+    expect(fs.existsSync(destination)).toBe(false);
+  });
+
+  it('should restore a backup under the running adapter', async () => {
+    // Arrange
+    fill(3);
+    const destination = path.join(dir, 'backup.sqlite');
+    await lastValueFrom(adapter.backup(destination));
+    adapter.execute('DELETE FROM items');
+    adapter.execute('CREATE TABLE extra (id INTEGER)');
+    const counts: number[] = [];
+    const subscription = adapter
+      .reactiveQuery<{ count: number }>('SELECT COUNT(*) AS count FROM items')
+      .subscribe(rows => counts.push(rows[0].count));
+
+    // Act
+    const progress = await lastValueFrom(adapter.restore(destination).pipe(toArray()));
+    const events = firstValueFrom(adapter.changes$);
+    adapter.execute("INSERT INTO items (name) VALUES ('after restore')");
+    subscription.unsubscribe();
+
+    // Assert
+    expect(progress[progress.length - 1].remainingPages).toBe(0);
+    expect(counts).toEqual([0, 3, 4]);
+    expect(await events).toMatchObject({ table: 'items', op: 'INSERT' });
+    const tables = await firstValueFrom(adapter.query<{ name: string }>("SELECT name FROM sqlite_master WHERE type = 'table'"));
+    expect(tables.map(table => table.name)).toEqual(['items']);
+  });
+
+  it('should reject writes straight away while a restore runs', async () => {
+    // Arrange
+    fill(2000);
+    const destination = path.join(dir, 'backup.sqlite');
+    await lastValueFrom(adapter.backup(destination));
+    adapter.execute('DELETE FROM items WHERE id > 10');
+    const errors: unknown[] = [];
+
+    // Act
+    await lastValueFrom(adapter.restore(destination, { pagesPerStep: 10 }).pipe(
+      tap(step => {
+        if (step.remainingPages === 0) {
+          return;
+        }
+        try {
+          adapter.execute("INSERT INTO items (name) VALUES ('during restore')");
+        } catch (error) {
+          errors.push(error);
+        }
+      })
+    ));
+
+    // Assert
+    expect(errors.length).toBeGreaterThan(0);
+    expect(errors[0]).toMatchObject({ code: 'SQLITE_BUSY' });
+    expect(await firstValueFrom(adapter.query('SELECT COUNT(*) AS count FROM items'))).toEqual([{ count: 2000 }]);
+  });
+
+  it('should leave the database as it was when a restore is unsubscribed', async () => {
+    // Arrange
+    fill(2000);
+    const destination = path.join(dir, 'backup.sqlite');
+    await lastValueFrom(adapter.backup(destination));
+    adapter.execute('DELETE FROM items WHERE id > 10');
+
+    // Act
+    await firstValueFrom(adapter.restore(destination, { pagesPerStep: 10 }));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    adapter.execute("INSERT INTO items (name) VALUES ('after abort')");
+
+    // Assert
+    expect(await firstValueFrom(adapter.query('SELECT COUNT(*) AS count FROM items'))).toEqual([{ count: 11 }]);
+  });
+
+  it('should refuse to restore an in-memory database', async () => {
+    // Arrange
+    const memory = new BetterSQLiteAdapter(':memory:');
+
+    // Act
+    const result = lastValueFrom(memory.restore(path.join(dir, 'missing.sqlite')));
+
+    // Assert
+    await expect(result).rejects.toThrow(/stored in a file/);
+    memory.close();
+  });
+});
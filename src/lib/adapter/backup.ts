@@ -0,0 +1,130 @@
+/**
+ * Online backup and restore built on better-sqlite3's backup API
+ */
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import { Observable, Subscriber } from 'rxjs';
+
+/**
+ * Progress of a backup or restore, emitted after each step
+ */
+export interface SQLiteBackupProgress {
+  totalPages: number;
+  remainingPages: number;
+}
+
+/**
+ * Options for backups and restores
+ */
+export interface SQLiteBackupOptions {
+  /**
+   * Pages copied per step after the first, which better-sqlite3 always makes
+   * 100 pages. Other work on the event loop runs between steps. Defaults to 100.
+   */
+  pagesPerStep?: number;
+}
+
+// Thrown from the progress callback to stop a backup nobody is listening to
+const ABORTED = new Error('Backup aborted');
+
+/**
+ * Copy `source` to `destination` a step at a time, reporting to `subscriber`.
+ * `settled` runs once better-sqlite3 has finished with both databases.
+ */
+function copy(
+  source: Database.Database,
+  destination: string,
+  options: SQLiteBackupOptions,
+  subscriber: Subscriber<SQLiteBackupProgress>,
+  settled: () => void = () => undefined
+): void {
+  const { pagesPerStep = 100 } = options;
+  if (!Number.isInteger(pagesPerStep) || pagesPerStep < 1) {
+    subscriber.error(new Error(`pagesPerStep must be a positive integer, got ${pagesPerStep}`));
+    settled();
+    return;
+  }
+
+  const existed = fs.existsSync(destination);
+  let last: SQLiteBackupProgress | undefined;
+
+  source.backup(destination, {
+    progress: ({ totalPages, remainingPages }) => {
+      if (subscriber.closed) {
+        throw ABORTED;
+      }
+      last = { totalPages, remainingPages };
+      subscriber.next(last);
+      return pagesPerStep;
+    }
+  }).then(result => {
+    settled();
+    // Small databases can finish before the first progress report
+    if (!last || last.remainingPages !== 0) {
+      subscriber.next({ totalPages: result.totalPages, remainingPages: result.remainingPages });
+    }
+    subscriber.complete();
+  }, error => {
+    // An unfinished backup leaves the destination as it was; don't leave a new empty file behind
+    if (!existed) {
+      fs.rmSync(destination, { force: true });
+    }
+    settled();
+    if (error !== ABORTED) {
+      subscriber.error(error);
+    }
+  });
+}
+
+/**
+ * Copy a live database to `destination` while it stays usable.
+ * Nothing is copied until subscribed; unsubscribing stops after the current step.
+ */
+export function backupDatabase(
+  db: Database.Database,
+  destination: string,
+  options: SQLiteBackupOptions = {}
+): Observable<SQLiteBackupProgress> {
+  return new Observable<SQLiteBackupProgress>(subscriber => {
+    copy(db, destination, options, subscriber);
+  });
+}
+
+/**
+ * Replace the contents of a live, file-backed database with the backup at `source`.
+ *
+ * Connections to the live database keep working and see the restored data once
+ * it completes; reads see the old data until then. Writes fail straight away
+ * with SQLITE_BUSY while the restore runs, instead of waiting out the busy
+ * timeout. If the restore fails or is unsubscribed, the database is left as it was.
+ */
+export function restoreDatabase(
+  db: Database.Database,
+  source: string,
+  options: SQLiteBackupOptions = {}
+): Observable<SQLiteBackupProgress> {
+  return new Observable<SQLiteBackupProgress>(subscriber => {
+    if (db.memory || db.name === '') {
+      subscriber.error(new Error('Only databases stored in a file can be restored'));
+      return;
+    }
+
+    let backup: Database.Database;
+    try {
+      backup = new Database(source, { readonly: true, fileMustExist: true });
+    } catch (error) {
+      subscriber.error(error);
+      return;
+    }
+
+    const busyTimeout = db.pragma('busy_timeout', { simple: true }) as number;
+    db.pragma('busy_timeout = 0');
+
+    copy(backup, db.name, options, subscriber, () => {
+      backup.close();
+      if (db.open) {
+        db.pragma(`busy_timeout = ${busyTimeout}`);
+      }
+    });
+  });
+}
@@ -2,10 +2,15 @@
  * Tests for the BetterSQLiteAdapter
  */
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { firstValueFrom, lastValueFrom, take, toArray } from 'rxjs';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { filter, firstValueFrom, lastValueFrom, map, reduce, Subscription, take, tap, toArray } from 'rxjs';
 import { BetterSQLiteAdapter } from './better-sqlite-adapter';
 import { createSQLiteAdapter } from './index';
 import { createTableSchema } from '../utils/sqlite-utils';
+import { sql } from '../utils/sql';
+import { SQLiteChangeEvent, SQLiteRowDiff } from '../types';
 
 describe('BetterSQLiteAdapter', () => {
   let adapter: BetterSQLiteAdapter;
@@ -115,6 +120,280 @@ describe('BetterSQLiteAdapter', () => {
     expect(users).toHaveLength(2);
   });
 
+  it('should cache prepared statements across query runs', () => {
+    // Arrange
+    adapter.execute(createTableSchema('users', { id: 'INTEGER', name: 'TEXT' }, 'id'));
+    const subscription = adapter.reactiveQuery('SELECT * FROM users').subscribe();
+
+    // Act
+    adapter.execute('INSERT INTO users (id, name) VALUES (?, ?)', { params: [1, 'John Doe'] });
+    adapter.execute('INSERT INTO users (id, name) VALUES (?, ?)', { params: [2, 'Jane Smith'] });
+
+    // Assert
+    const stats = adapter.getStatementStats();
+    const select = stats.statements.find(stmt => stmt.sql === 'SELECT * FROM users');
+    const insert = stats.statements.find(stmt => stmt.sql.startsWith('INSERT'));
+    expect(select?.executions).toBe(3);
+    expect(insert?.executions).toBe(2);
+    expect(stats.hits).toBeGreaterThanOrEqual(3);
+
+    subscription.unsubscribe();
+  });
+
+  describe('queryStream', () => {
+    beforeEach(() => {
+      adapter.execute(createTableSchema('readings', { id: 'INTEGER', value: 'REAL' }, 'id'));
+      adapter.execute(`
+        WITH RECURSIVE seq(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM seq WHERE n < 25)
+        INSERT INTO readings (id, value) SELECT n, n * 1.5 FROM seq
+      `);
+    });
+
+    it('should stream rows one at a time', async () => {
+      // Act
+      const rows = await lastValueFrom(
+        adapter.queryStream<{ id: number }>('SELECT id FROM readings ORDER BY id').pipe(toArray())
+      );
+
+      // Assert
+      expect(rows).toHaveLength(25);
+      expect(rows[0]).toEqual({ id: 1 });
+    });
+
+    it('should stream rows in batches', async () => {
+      // Act
+      const batches = await lastValueFrom(
+        adapter.queryStream('SELECT id FROM readings ORDER BY id', { batchSize: 10 }).pipe(toArray())
+      );
+
+      // Assert
+      expect(batches.map(batch => batch.length)).toEqual([10, 10, 5]);
+    });
+
+    it('should stop reading when the subscriber unsubscribes', async () => {
+      // Act
+      const rows = await lastValueFrom(
+        adapter.queryStream('SELECT id FROM readings ORDER BY id').pipe(take(3), toArray())
+      );
+
+      // Assert - the cursor is closed, so the connection is free for writes
+      expect(rows).toHaveLength(3);
+      expect(() => adapter.execute('DELETE FROM readings')).not.toThrow();
+    });
+
+    it('should not run the query until subscribed', () => {
+      // Act
+      const rows$ = adapter.queryStream('SELECT * FROM missing_table');
+
+      // Assert
+      expect(rows$).toBeDefined();
+      let error: unknown;
+      rows$.subscribe({ error: err => (error = err) });
+      expect(error).toBeInstanceOf(Error);
+    });
+
+    it('should compose with RxJS operators', async () => {
+      // Act
+      const total = await lastValueFrom(
+        adapter.queryStream<{ value: number }>('SELECT value FROM readings', { params: [] }).pipe(
+          filter(row => row.value > 30),
+          map(row => row.value),
+          reduce((sum, value) => sum + value, 0)
+        )
+      );
+
+      // Assert - ids 21..25
+      expect(total).toBe((21 + 22 + 23 + 24 + 25) * 1.5);
+    });
+
+    it('should run the same query while a stream over it is open', async () => {
+      // Arrange
+      const query = 'SELECT id FROM readings ORDER BY id';
+      const counts: number[] = [];
+
+      // Act
+      await lastValueFrom(
+        adapter.queryStream<{ id: number }>(query).pipe(
+          take(2),
+          tap(() => adapter.query(query).subscribe(rows => counts.push(rows.length)))
+        )
+      );
+
+      // Assert
+      expect(counts).toEqual([25, 25]);
+    });
+
+    it('should reject invalid batch sizes', () => {
+      // Act & Assert
+      expect(() => adapter.queryStream('SELECT * FROM readings', { batchSize: 0 })).toThrow();
+    });
+  });
+
+  describe('column codecs', () => {
+    interface Event {
+      id: bigint;
+      payload: { kind: string; tags: string[] };
+      done: boolean;
+      at: Date;
+    }
+
+    const codecs = { id: 'bigint', payload: 'json', done: 'boolean', at: 'date' } as const;
+    const at = new Date('2024-05-01T10:00:00.000Z');
+
+    beforeEach(() => {
+      adapter.exec('CREATE TABLE events (id INTEGER PRIMARY KEY, payload TEXT, done INTEGER, at TEXT)');
+    });
+
+    it('should round-trip rich values', async () => {
+      // Arrange
+      const payload = { kind: 'deploy', tags: ['prod'] };
+
+      // Act
+      adapter.execute('INSERT INTO events VALUES ($id, $payload, $done, $at)', {
+        params: { id: 9007199254740993n, payload, done: true, at },
+        codecs
+      });
+      const [event] = await lastValueFrom(adapter.query<Event>('SELECT * FROM events', { codecs }));
+      const stored = await lastValueFrom(adapter.queryOne('SELECT * FROM events'));
+
+      // Assert
+      expect(event).toEqual({ id: 9007199254740993n, payload, done: true, at });
+      expect(stored).toEqual({ id: 9007199254740992, payload: JSON.stringify(payload), done: 1, at: at.toISOString() });
+    });
+
+    it('should decode streamed, transaction and reactive rows', async () => {
+      // Arrange
+      adapter.execute(sql`INSERT INTO events VALUES (${1}, ${'{"kind":"a","tags":[]}'}, ${false}, ${at})`);
+      const results: Event[][] = [];
+      const subscription = adapter.reactiveQuery<Event>('SELECT * FROM events ORDER BY id', { codecs })
+        .subscribe(rows => results.push(rows));
+
+      // Act
+      const streamed = await lastValueFrom(adapter.queryStream<Event>('SELECT * FROM events', { codecs }).pipe(toArray()));
+      const inTransaction = adapter.transaction(tx => tx.queryOne<Event>('SELECT * FROM events', { codecs }));
+      // Unrelated writes don't emit the same decoded rows again
+      adapter.execute('UPDATE events SET done = 0');
+      adapter.execute('UPDATE events SET done = 1');
+      subscription.unsubscribe();
+
+      // Assert
+      const expected = { id: 1n, payload: { kind: 'a', tags: [] }, done: false, at };
+      expect(streamed).toEqual([expected]);
+      expect(inTransaction).toEqual(expected);
+      expect(results).toEqual([[expected], [{ ...expected, done: true }]]);
+      // Integers are only read as bigints while decoding them
+      expect(await lastValueFrom(adapter.queryOne('SELECT * FROM events'))).toMatchObject({ id: 1 });
+    });
+  });
+
+  describe('transaction callbacks', () => {
+    beforeEach(() => {
+      adapter.execute(createTableSchema('users', { id: 'INTEGER', name: 'TEXT' }, 'id'));
+    });
+
+    it('should read its own writes and commit on return', async () => {
+      // Act
+      const count = adapter.transaction(tx => {
+        tx.execute("INSERT INTO users (id, name) VALUES (1, 'John Doe')");
+        tx.execute('INSERT INTO users (id, name) VALUES (?, ?)', { params: [2, 'Jane Smith'] });
+        return tx.queryOne<{ count: number }>('SELECT COUNT(*) AS count FROM users')?.count;
+      });
+
+      // Assert
+      expect(count).toBe(2);
+      const users = await firstValueFrom(adapter.query('SELECT * FROM users'));
+      expect(users).toHaveLength(2);
+    });
+
+    it('should roll back when the callback throws', async () => {
+      // Act
+      expect(() => adapter.transaction(tx => {
+        tx.execute("INSERT INTO users (id, name) VALUES (1, 'John Doe')");
+        throw new Error('payment failed');
+      })).toThrow('payment failed');
+
+      // Assert
+      const users = await firstValueFrom(adapter.query('SELECT * FROM users'));
+      expect(users).toHaveLength(0);
+    });
+
+    it('should roll back only the failed savepoint', async () => {
+      // Act
+      adapter.transaction(tx => {
+        tx.execute("INSERT INTO users (id, name) VALUES (1, 'John Doe')");
+        try {
+          tx.savepoint(inner => {
+            inner.execute("INSERT INTO users (id, name) VALUES (2, 'Jane Smith')");
+            throw new Error('nope');
+          });
+        } catch {
+          // Keep going with the outer transaction
+        }
+        tx.execute("INSERT INTO users (id, name) VALUES (3, 'Sam Lee')");
+      });
+
+      // Assert
+      const users = await firstValueFrom(adapter.query<{ id: number }>('SELECT id FROM users ORDER BY id'));
+      expect(users.map(user => user.id)).toEqual([1, 3]);
+    });
+
+    it('should notify reactive queries once after commit', () => {
+      // Arrange
+      const results: unknown[][] = [];
+      const events: SQLiteChangeEvent[] = [];
+      const subscription = adapter.reactiveQuery('SELECT * FROM users').subscribe(rows => results.push(rows));
+      const changes = adapter.changes$.subscribe(event => events.push(event));
+
+      // Act
+      adapter.transaction(tx => {
+        tx.execute("INSERT INTO users (id, name) VALUES (1, 'John Doe')");
+        tx.execute("INSERT INTO users (id, name) VALUES (2, 'Jane Smith')");
+        tx.savepoint(inner => {
+          inner.execute("UPDATE users SET name = 'Johnny' WHERE id = 1");
+        });
+        expect(results).toHaveLength(1);
+        expect(events).toHaveLength(0);
+      });
+
+      // Assert
+      expect(results).toHaveLength(2);
+      expect(results[1]).toHaveLength(2);
+      expect(events.map(event => event.op)).toEqual(['INSERT', 'INSERT', 'UPDATE']);
+
+      subscription.unsubscribe();
+      changes.unsubscribe();
+    });
+
+    it('should not notify about rolled back changes', () => {
+      // Arrange
+      const events: SQLiteChangeEvent[] = [];
+      const changes = adapter.changes$.subscribe(event => events.push(event));
+
+      // Act
+      adapter.transaction(tx => {
+        tx.execute("INSERT INTO users (id, name) VALUES (1, 'John Doe')");
+        try {
+          tx.savepoint(inner => {
+            inner.execute("INSERT INTO users (id, name) VALUES (2, 'Jane Smith')");
+            throw new Error('nope');
+          });
+        } catch {
+          // Ignore
+        }
+      });
+
+      // Assert
+      expect(events.map(event => event.pk)).toEqual([1]);
+
+      changes.unsubscribe();
+    });
+
+    it('should reject async callbacks', () => {
+      // Act & Assert
+      expect(() => adapter.transaction(async () => undefined)).toThrow();
+    });
+  });
+
   it('should create reactive queries', () => {
     // Arrange
     const schema = {
@@ -144,6 +423,311 @@ describe('BetterSQLiteAdapter', () => {
     });
   });
 
+  it('should only re-run reactive queries for tables they read', () => {
+    // Arrange
+    adapter.execute(createTableSchema('users', { id: 'INTEGER', name: 'TEXT' }, 'id'));
+    adapter.execute(createTableSchema('orders', { id: 'INTEGER', total: 'REAL' }, 'id'));
+
+    const userResults: unknown[][] = [];
+    const orderResults: unknown[][] = [];
+    const users = adapter.reactiveQuery('SELECT * FROM users').subscribe(rows => userResults.push(rows));
+    const orders = adapter.reactiveQuery('SELECT * FROM orders').subscribe(rows => orderResults.push(rows));
+
+    // Act
+    adapter.execute('INSERT INTO orders (id, total) VALUES (1, 9.5)');
+    adapter.execute('INSERT INTO orders (id, total) VALUES (2, 3.25)');
+
+    // Assert - one initial emission each, then only the orders query re-runs
+    expect(userResults).toHaveLength(1);
+    expect(orderResults).toHaveLength(3);
+    expect(orderResults[2]).toHaveLength(2);
+
+    users.unsubscribe();
+    orders.unsubscribe();
+  });
+
+  it('should use declared tables for reactive queries', () => {
+    // Arrange
+    adapter.execute(createTableSchema('users', { id: 'INTEGER', name: 'TEXT' }, 'id'));
+    adapter.execute('CREATE VIEW user_names AS SELECT name FROM users');
+
+    const results: unknown[][] = [];
+    const subscription = adapter
+      .reactiveQuery('SELECT * FROM user_names', { tables: ['users'] })
+      .subscribe(rows => results.push(rows));
+
+    // Act
+    adapter.execute("INSERT INTO users (id, name) VALUES (1, 'John Doe')");
+
+    // Assert
+    expect(results).toHaveLength(2);
+    expect(results[1]).toEqual([{ name: 'John Doe' }]);
+
+    subscription.unsubscribe();
+  });
+
+  it('should re-run reactive queries on views when the tables under them change', () => {
+    // Arrange
+    adapter.execute(createTableSchema('users', { id: 'INTEGER', name: 'TEXT' }, 'id'));
+    adapter.exec(`
+      CREATE VIEW user_names AS SELECT name FROM users;
+      CREATE VIEW name_count AS SELECT count(*) AS total FROM user_names;
+    `);
+
+    const results: unknown[][] = [];
+    const subscription = adapter.reactiveQuery('SELECT total FROM name_count').subscribe(rows => results.push(rows));
+
+    // Act
+    adapter.execute("INSERT INTO users (id, name) VALUES (1, 'John Doe')");
+
+    // Assert
+    expect(results).toEqual([[{ total: 0 }], [{ total: 1 }]]);
+
+    subscription.unsubscribe();
+  });
+
+  it('should emit the current result to reactive query subscribers immediately', () => {
+    // Arrange
+    adapter.execute(createTableSchema('users', { id: 'INTEGER', name: 'TEXT' }, 'id'));
+    adapter.execute("INSERT INTO users (id, name) VALUES (1, 'John Doe')");
+    const users$ = adapter.reactiveQuery('SELECT * FROM users');
+
+    // Act
+    const first: unknown[][] = [];
+    const second: unknown[][] = [];
+    const a = users$.subscribe(rows => first.push(rows));
+    const b = users$.subscribe(rows => second.push(rows));
+
+    // Assert
+    expect(first).toEqual([[{ id: 1, name: 'John Doe' }]]);
+    expect(second).toEqual([[{ id: 1, name: 'John Doe' }]]);
+
+    a.unsubscribe();
+    b.unsubscribe();
+  });
+
+  it('should not emit reactive query results that have not changed', () => {
+    // Arrange
+    adapter.execute(createTableSchema('users', { id: 'INTEGER', name: 'TEXT', active: 'INTEGER' }, 'id'));
+    adapter.execute("INSERT INTO users (id, name, active) VALUES (1, 'John Doe', 1)");
+
+    const results: unknown[][] = [];
+    const subscription = adapter
+      .reactiveQuery('SELECT name FROM users WHERE active = 1')
+      .subscribe(rows => results.push(rows));
+
+    // Act - neither write changes the selected rows
+    adapter.execute("INSERT INTO users (id, name, active) VALUES (2, 'Jane Smith', 0)");
+    adapter.execute("UPDATE users SET name = 'John Doe' WHERE id = 1");
+
+    // Assert
+    expect(results).toHaveLength(1);
+
+    subscription.unsubscribe();
+  });
+
+  it('should use a custom comparator for reactive queries', () => {
+    // Arrange
+    adapter.execute(createTableSchema('users', { id: 'INTEGER', name: 'TEXT' }, 'id'));
+
+    const results: unknown[][] = [];
+    const subscription = adapter
+      .reactiveQuery('SELECT * FROM users', {
+        // Only care about the number of users
+        comparator: (previous, current) => previous.length === current.length
+      })
+      .subscribe(rows => results.push(rows));
+
+    // Act
+    adapter.execute("INSERT INTO users (id, name) VALUES (1, 'John Doe')");
+    adapter.execute("UPDATE users SET name = 'Jane Smith' WHERE id = 1");
+
+    // Assert
+    expect(results).toHaveLength(2);
+
+    subscription.unsubscribe();
+  });
+
+  it('should emit keyed diffs from reactiveDiff', () => {
+    // Arrange
+    adapter.execute(createTableSchema('users', { id: 'INTEGER', name: 'TEXT' }, 'id'));
+    adapter.execute("INSERT INTO users (id, name) VALUES (1, 'John Doe'), (2, 'Jane Smith')");
+
+    const diffs: SQLiteRowDiff<{ id: number; name: string }>[] = [];
+    const subscription = adapter
+      .reactiveDiff<{ id: number; name: string }>('SELECT * FROM users', { key: 'id' })
+      .subscribe(diff => diffs.push(diff));
+
+    // Act
+    adapter.execute("UPDATE users SET name = 'Johnny' WHERE id = 1");
+    adapter.execute('DELETE FROM users WHERE id = 2');
+    adapter.execute("INSERT INTO users (id, name) VALUES (3, 'Sam Lee')");
+
+    // Assert
+    expect(diffs).toEqual([
+      {
+        added: [{ id: 1, name: 'John Doe' }, { id: 2, name: 'Jane Smith' }],
+        removed: [],
+        changed: []
+      },
+      { added: [], removed: [], changed: [{ id: 1, name: 'Johnny' }] },
+      { added: [], removed: [{ id: 2, name: 'Jane Smith' }], changed: [] },
+      { added: [{ id: 3, name: 'Sam Lee' }], removed: [], changed: [] }
+    ]);
+
+    subscription.unsubscribe();
+  });
+
+  describe('changes$', () => {
+    let events: SQLiteChangeEvent[];
+    let subscription: Subscription;
+
+    beforeEach(() => {
+      adapter.execute(createTableSchema('users', { id: 'INTEGER', name: 'TEXT' }, 'id'));
+      events = [];
+      subscription = adapter.changes$.subscribe(event => events.push(event));
+    });
+
+    afterEach(() => {
+      subscription.unsubscribe();
+    });
+
+    it('should emit row events for plain writes', () => {
+      // Act
+      adapter.execute("INSERT INTO users (id, name) VALUES (1, 'John Doe')");
+      adapter.execute("UPDATE users SET name = 'Jane Doe' WHERE id = 1");
+      adapter.execute('DELETE FROM users WHERE id = 1');
+
+      // Assert
+      expect(events).toEqual([
+        { table: 'users', op: 'INSERT', rowid: 1, pk: 1 },
+        { table: 'users', op: 'UPDATE', rowid: 1, pk: 1 },
+        { table: 'users', op: 'DELETE', rowid: 1, pk: 1 }
+      ]);
+    });
+
+    it('should report primary key changes as a delete and an insert', () => {
+      // Arrange
+      adapter.execute("INSERT INTO users (id, name) VALUES (1, 'John Doe')");
+
+      // Act
+      adapter.execute('UPDATE users SET id = 2 WHERE id = 1');
+
+      // Assert
+      expect(events.slice(1)).toEqual([
+        { table: 'users', op: 'DELETE', rowid: 1, pk: 1 },
+        { table: 'users', op: 'INSERT', rowid: 2, pk: 2 }
+      ]);
+    });
+
+    it('should emit row events for writes that return rows', async () => {
+      // Act
+      const inserted = await firstValueFrom(adapter.query("INSERT INTO users (name) VALUES ('John Doe') RETURNING id"));
+      const deleted = await lastValueFrom(adapter.queryStream('DELETE FROM users RETURNING id').pipe(toArray()));
+
+      // Assert
+      expect(inserted).toEqual([{ id: 1 }]);
+      expect(deleted).toEqual([{ id: 1 }]);
+      expect(events).toEqual([
+        { table: 'users', op: 'INSERT', rowid: 1, pk: 1 },
+        { table: 'users', op: 'DELETE', rowid: 1, pk: 1 }
+      ]);
+    });
+
+    it('should hold back changes of writes that return rows until commit', () => {
+      // Act
+      adapter.transaction(tx => {
+        tx.query("INSERT INTO users (name) VALUES ('John Doe') RETURNING id");
+        expect(events).toEqual([]);
+      });
+
+      // Assert
+      expect(events).toEqual([{ table: 'users', op: 'INSERT', rowid: 1, pk: 1 }]);
+    });
+
+    it('should capture CTE inserts, REPLACE and upserts', () => {
+      // Act
+      adapter.execute("WITH src AS (SELECT 1 AS id, 'John' AS name) INSERT INTO users (id, name) SELECT id, name FROM src");
+      adapter.execute("REPLACE INTO users (id, name) VALUES (2, 'Jane')");
+      adapter.execute(
+        "INSERT INTO users (id, name) VALUES (1, 'Johnny') ON CONFLICT(id) DO UPDATE SET name = excluded.name"
+      );
+
+      // Assert
+      expect(events.map(event => [event.op, event.pk])).toEqual([
+        ['INSERT', 1],
+        ['INSERT', 2],
+        ['UPDATE', 1]
+      ]);
+    });
+
+    it('should capture writes made by user triggers and exec scripts', () => {
+      // Arrange
+      adapter.exec(`
+        CREATE TABLE audit (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER);
+        CREATE TRIGGER users_audit AFTER INSERT ON users BEGIN
+          INSERT INTO audit (user_id) VALUES (NEW.id);
+        END;
+      `);
+
+      // Act
+      adapter.exec(`
+        INSERT INTO users (id, name) VALUES (1, 'John');
+        INSERT INTO users (id, name) VALUES (2, 'Jane');
+      `);
+
+      // Assert
+      expect(events.filter(event => event.table === 'users')).toHaveLength(2);
+      expect(events.filter(event => event.table === 'audit')).toHaveLength(2);
+    });
+
+    it('should report primary keys for WITHOUT ROWID and composite keys', () => {
+      // Arrange
+      adapter.exec(`
+        CREATE TABLE tags (name TEXT PRIMARY KEY) WITHOUT ROWID;
+        CREATE TABLE memberships (user_id INTEGER, group_id INTEGER, PRIMARY KEY (user_id, group_id));
+      `);
+
+      // Act
+      adapter.execute("INSERT INTO tags (name) VALUES ('red')");
+      adapter.execute('INSERT INTO memberships (user_id, group_id) VALUES (1, 7)');
+
+      // Assert
+      expect(events).toEqual([
+        { table: 'tags', op: 'INSERT', rowid: null, pk: 'red' },
+        { table: 'memberships', op: 'INSERT', rowid: 1, pk: [1, 7] }
+      ]);
+    });
+
+    it('should emit transaction changes only once committed', () => {
+      // Arrange
+      const transaction = adapter.transaction();
+      transaction.execute("INSERT INTO users (id, name) VALUES (1, 'John')");
+      transaction.execute("INSERT INTO users (id, name) VALUES (2, 'Jane')");
+      expect(events).toHaveLength(0);
+
+      // Act
+      transaction.commit();
+
+      // Assert
+      expect(events).toHaveLength(2);
+    });
+
+    it('should not emit changes from a failed statement', () => {
+      // Arrange
+      adapter.execute("INSERT INTO users (id, name) VALUES (1, 'John')");
+      events.length = 0;
+
+      // Act
+      expect(() => {
+        adapter.execute("INSERT INTO users (id, name) VALUES (2, 'Jane'), (1, 'Duplicate')");
+      }).toThrow();
+
+      // Assert
+      expect(events).toHaveLength(0);
+    });
+  });
+
   it('should handle parameterized queries with arrays', async () => {
     // Arrange
     const schema = {
@@ -192,6 +776,28 @@ describe('BetterSQLiteAdapter', () => {
     expect(users[0].id).toBe(1);
   });
 
+  it('should run sql template queries with bound values', async () => {
+    // Arrange
+    const table = 'user accounts';
+    adapter.execute(sql`CREATE TABLE ${sql.id(table)} (id INTEGER PRIMARY KEY, name TEXT, active INTEGER)`);
+    adapter.execute(sql`INSERT INTO ${sql.id(table)} (name, active) VALUES (${"O'Brien"}, ${true}), (${'Smith'}, ${false})`);
+    adapter.transaction(tx => tx.execute(sql`INSERT INTO ${sql.id(table)} (name, active) VALUES (${'Jones'}, ${true})`));
+    const results: string[][] = [];
+    const subscription = adapter
+      .reactiveQuery<{ name: string }>(sql`SELECT name FROM ${sql.id(table)} WHERE active = ${true} ORDER BY id`)
+      .subscribe(rows => results.push(rows.map(row => row.name)));
+
+    // Act
+    adapter.execute(sql`UPDATE ${sql.id(table)} SET active = ${true} WHERE name = ${'Smith'}`);
+    const byId = await firstValueFrom(adapter.query(sql`SELECT name FROM ${sql.id(table)} WHERE id IN (${[1, 3]})`));
+    subscription.unsubscribe();
+
+    // Assert
+    expect(results).toEqual([["O'Brien", 'Jones'], ["O'Brien", 'Smith', 'Jones']]);
+    expect(byId).toEqual([{ name: "O'Brien" }, { name: 'Jones' }]);
+    expect(() => adapter.query(sql`SELECT ${1}`, { params: [2] })).toThrow(/do not pass options.params/);
+  });
+
   it('should handle transaction rollback', () => {
     // Arrange
     const schema = {
@@ -226,6 +832,75 @@ describe('BetterSQLiteAdapter', () => {
   });
 });
 
+describe('BetterSQLiteAdapter with readers', () => {
+  let dir: string;
+  let adapter: BetterSQLiteAdapter;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rxjs-sqlite-readers-'));
+    adapter = new BetterSQLiteAdapter(path.join(dir, 'readers.sqlite'), { readers: 2 });
+    adapter.execute('CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)');
+  });
+
+  afterEach(() => {
+    adapter.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should read committed writes and keep reactive queries working', async () => {
+    // Arrange
+    const results: unknown[][] = [];
+    const subscription = adapter.reactiveQuery('SELECT name FROM users').subscribe(rows => results.push(rows));
+
+    // Act
+    adapter.execute("INSERT INTO users (name) VALUES ('Alice')");
+    const users = await firstValueFrom(adapter.query('SELECT name FROM users'));
+    subscription.unsubscribe();
+
+    // Assert
+    expect(users).toEqual([{ name: 'Alice' }]);
+    expect(results).toEqual([[], [{ name: 'Alice' }]]);
+  });
+
+  it('should run writing queries on the writer', async () => {
+    // Act
+    const inserted = await firstValueFrom(adapter.query("INSERT INTO users (name) VALUES ('Bob') RETURNING id"));
+
+    // Assert
+    expect(inserted).toEqual([{ id: 1 }]);
+  });
+
+  it('should allow writes while a stream holds a reader', () => {
+    // Arrange
+    adapter.transaction(tx => {
+      for (let i = 0; i < 3; i++) {
+        tx.execute('INSERT INTO users (name) VALUES (?)', { params: [`user ${i}`] });
+      }
+    });
+    const names: string[] = [];
+
+    // Act
+    adapter.queryStream<{ name: string }>('SELECT name FROM users ORDER BY id').subscribe(row => {
+      names.push(row.name);
+      adapter.execute('UPDATE users SET name = name WHERE id = 1');
+    });
+
+    // Assert
+    expect(names).toEqual(['user 0', 'user 1', 'user 2']);
+  });
+
+  it('should see uncommitted rows inside a transaction', () => {
+    // Act
+    const count = adapter.transaction(tx => {
+      tx.execute("INSERT INTO users (name) VALUES ('Carol')");
+      return tx.queryOne<{ count: number }>('SELECT COUNT(*) AS count FROM users')?.count;
+    });
+
+    // Assert
+    expect(count).toBe(1);
+  });
+});
+
 describe('createSQLiteAdapter', () => {
   it('should create a SQLiteAdapter instance', () => {
     // Act
@@ -2,10 +2,117 @@
  * RxJS adapter for better-sqlite3
  */
 import Database from 'better-sqlite3';
-import { Observable, Subject, of } from 'rxjs';
-import { map, shareReplay } from 'rxjs/operators';
-import { SQLiteAdapter, SQLiteQueryOptions, SQLiteRow, SQLiteTransaction, SQLiteValue } from '../types';
-import { rowsToObjects } from '../utils/sqlite-utils';
+import { Observable, Subject, defer, merge, of } from 'rxjs';
+import { distinctUntilChanged, filter, finalize, ignoreElements, map, scan, shareReplay, startWith, tap } from 'rxjs/operators';
+import {
+  SQLiteAdapter,
+  SQLiteChangeEvent,
+  SQLiteColumnReference,
+  SQLiteBindParams,
+  SQLiteChangeOperation,
+  SQLiteQueryOptions,
+  SQLiteReactiveDiffOptions,
+  SQLiteReactiveQueryOptions,
+  SQLiteRow,
+  SQLiteRowDiff,
+  SQLiteStreamOptions,
+  SQLiteTransaction,
+  SQLiteTransactionContext,
+  SQLiteValue
+} from '../types';
+import {
+  CHANGE_TRIGGER_PREFIX,
+  affectsTables,
+  createChangeTriggerStatements,
+  diffRows,
+  getReadTables,
+  normalizeTableName,
+  quoteIdentifier,
+  resolveViews,
+  rowEquals,
+  rowsEqual,
+  rowToObject,
+  rowsToObjects
+} from '../utils/sqlite-utils';
+import { SQLFragment, resolveQuery } from '../utils/sql';
+import { usesBigInt } from '../utils/codecs';
+import { SQLiteQueryBuilder, SQLiteTableColumns, SQLiteTableDefinition, SQLiteTableRow } from './query-builder';
+import { SQLiteSchema, readSchema } from './schema';
+import { SQLiteBackupOptions, SQLiteBackupProgress, backupDatabase, restoreDatabase } from './backup';
+import { SQLiteConnectionPool, SQLiteConnectionPoolOptions } from './connection-pool';
+import { SQLiteMigration, SQLiteMigrationProgress, SQLiteMigrator, SQLiteMigratorOptions } from './migrations';
+import { SQLiteStatementCacheStats, StatementCache } from './statement-cache';
+import { SQLiteErrorDetails, toSQLiteError } from './errors';
+import { SQLiteRetryOptions, retrySync } from './retry';
+import {
+  SQLiteInstrumentation,
+  SQLiteInstrumentationEvent,
+  SQLiteInstrumentationOptions,
+  SQLiteSlowQuery,
+  SQLiteSlowQueryCheck
+} from './instrumentation';
+import { SQLiteQueryPlan, explainQueryPlan } from './query-plan';
+import {
+  MAX_BOUND_PARAMETERS,
+  SQLiteBulkInsertOptions,
+  SQLiteBulkInsertResult,
+  bulkInsertColumns,
+  bulkInsertParams,
+  createBulkInsertStatement
+} from './bulk-insert';
+import {
+  SQLitePage,
+  SQLitePaginateOptions,
+  createPageQuery,
+  decodeCursor,
+  encodeCursor,
+  keysetValues,
+  normalizeOrder
+} from './pagination';
+import {
+  AggregateWatcher,
+  SQLiteAggregateGroup,
+  SQLiteRowKey,
+  SQLiteWatchAggregateOptions,
+  createRowQuery,
+  rowKey
+} from './watchers';
+
+/**
+ * Options for BetterSQLiteAdapter; anything besides these is passed to better-sqlite3
+ */
+export interface BetterSQLiteAdapterOptions extends SQLiteConnectionPoolOptions {
+  /**
+   * Number of read-only connections to spread reads over (see SQLiteConnectionPool).
+   * Defaults to 0: everything runs on one connection, and the journal mode is left alone.
+   */
+  readers?: number;
+  /**
+   * Number of prepared statements to keep (least recently used are dropped first).
+   * Set to 0 to disable the cache. Defaults to 100.
+   */
+  statementCacheSize?: number;
+  /**
+   * Retry statements and callback transactions that fail with SQLITE_BUSY or
+   * SQLITE_LOCKED (see SQLiteRetryOptions), or false to fail straight away.
+   * Defaults to 3 retries with exponential backoff. Each attempt waits out the
+   * busy timeout first, so a statement can block for (retries + 1) times it.
+   */
+  retry?: SQLiteRetryOptions | false;
+  /**
+   * Where statements are reported and logged. Pass an instance to share it,
+   * or options for a new one. Nothing is logged by default.
+   */
+  instrumentation?: SQLiteInstrumentation | SQLiteInstrumentationOptions;
+  /**
+   * Statements that take longer than this many milliseconds are explained and
+   * reported on slowQueries$. Off by default.
+   */
+  slowQueryThreshold?: number;
+}
+
+// Matches ROLLBACK but not ROLLBACK TO SAVEPOINT
+const ROLLBACK_PATTERN = /^\s*ROLLBACK\b(?!\s+(?:TRANSACTION\s+)?TO\b)/i;
 
 /**
  * Implementation of SQLiteTransaction using better-sqlite3
@@ -14,7 +121,10 @@ class BetterSQLiteTransaction implements SQLiteTransaction {
   private transaction: Database.Transaction;
   private statements: { sql: string; params: SQLiteValue[] | Record<string, SQLiteValue> }[] = [];
 
-  constructor(private db: Database.Database) {
+  constructor(
+    private db: Database.Database,
+    private write: <R>(fn: () => R) => R
+  ) {
     this.transaction = db.transaction((stmts) => {
       for (const stmt of stmts) {
         this.db.prepare(stmt.sql).run(stmt.params);
@@ -36,8 +146,11 @@ class BetterSQLiteTransaction implements SQLiteTransaction {
 
   commit(): void {
     // Execute all stored statements in a transaction
-    this.transaction(this.statements);
-    this.statements = [];
+    try {
+      this.write(() => this.transaction(this.statements));
+    } finally {
+      this.statements = [];
+    }
   }
 
   rollback(): void {
@@ -50,64 +163,752 @@ class BetterSQLiteTransaction implements SQLiteTransaction {
  * RxJS adapter for better-sqlite3
  */
 export class BetterSQLiteAdapter implements SQLiteAdapter {
+  private pool: SQLiteConnectionPool;
+  // The writer connection; change tracking and transactions live here
   private db: Database.Database;
-  private changeSubject = new Subject<void>();
-  private change$ = this.changeSubject.asObservable().pipe(shareReplay(1));
+  // Emits the (normalized) names of the tables touched by each write;
+  // an empty array means "unknown", and every reactive query re-runs
+  private changeSubject = new Subject<string[]>();
+  private rowChangeSubject = new Subject<SQLiteChangeEvent>();
+  // Row changes reported by the triggers for the statement that is running
+  private pendingChanges: (SQLiteChangeEvent | null)[] = [];
+  private schemaVersion = -1;
+  // The tables each view reads, by normalized view name
+  private views = new Map<string, string[]>();
+  // Emits after the change triggers were re-installed for a new schema
+  private schemaSubject = new Subject<void>();
+  private statements: StatementCache;
+  private retry: SQLiteRetryOptions | false;
+  // Writes are meant to fail fast while a restore runs
+  private restoring = false;
+  private slowQueryThreshold?: number;
+
+  /**
+   * Reports and logs the statements this adapter runs
+   */
+  public readonly instrumentation: SQLiteInstrumentation;
+
+  /**
+   * Every statement run through the adapter, with its duration, or its error
+   */
+  public readonly events$: Observable<SQLiteInstrumentationEvent>;
 
-  constructor(dbPath: string, options?: Database.Options) {
-    this.db = new Database(dbPath, options);
+  /**
+   * Statements slower than slowQueryThreshold, with their query plans
+   */
+  public readonly slowQueries$: Observable<SQLiteSlowQuery>;
 
-    // Set up change tracking
-    this.db.function('notify_change', () => {
-      this.changeSubject.next();
-      return true;
+  /**
+   * Row-level change events captured by triggers on every table
+   */
+  public readonly changes$: Observable<SQLiteChangeEvent> = this.rowChangeSubject.asObservable();
+
+  /**
+   * The current schema on subscribe, then again after each write that changes it
+   */
+  public readonly schema$: Observable<SQLiteSchema> = defer(() => this.schemaSubject.pipe(
+    startWith(undefined),
+    map(() => this.schema()),
+    // e.g. ANALYZE bumps the schema version without changing anything described
+    distinctUntilChanged((a, b) => JSON.stringify(a) === JSON.stringify(b))
+  )).pipe(
+    shareReplay({ bufferSize: 1, refCount: true })
+  );
+
+  constructor(dbPath: string, options: BetterSQLiteAdapterOptions = {}) {
+    const { statementCacheSize = 100, readers = 0, retry = {}, instrumentation, slowQueryThreshold, ...poolOptions } = options;
+    if (slowQueryThreshold !== undefined && !(slowQueryThreshold >= 0)) {
+      throw new Error(`slowQueryThreshold must be a non-negative number, got ${slowQueryThreshold}`);
+    }
+    this.retry = retry;
+    this.slowQueryThreshold = slowQueryThreshold;
+    this.instrumentation = SQLiteInstrumentation.from(instrumentation);
+    this.events$ = this.instrumentation.events$;
+    this.slowQueries$ = this.instrumentation.slowQueries$;
+    this.pool = new SQLiteConnectionPool(dbPath, { ...poolOptions, readers });
+    this.db = this.pool.writer;
+    this.statements = new StatementCache(this.db, statementCacheSize);
+
+    // Set up change tracking. The triggers installed by syncChangeTriggers call
+    // notify_change(table, op, rowid, ...pk); calling it without arguments
+    // marks every table as changed.
+    this.db.function('notify_change', { varargs: true }, (...args: unknown[]) => {
+      const [table, op, rowid, ...pk] = args;
+      if (typeof table !== 'string') {
+        this.pendingChanges.push(null);
+        return 1;
+      }
+
+      this.pendingChanges.push({
+        table,
+        op: op as SQLiteChangeOperation,
+        rowid: rowid as number | bigint | null,
+        pk: (pk.length === 0 ? rowid : pk.length === 1 ? pk[0] : pk) as SQLiteChangeEvent['pk']
+      });
+      return 1;
     });
+
+    this.syncChangeTriggers();
   }
 
-  execute(sql: string, options: SQLiteQueryOptions = {}): void {
-    const stmt = this.db.prepare(sql);
-    stmt.run(options.params || []);
+  /**
+   * Install change triggers on every table in the main schema, and note the
+   * tables each view reads. Triggers are TEMP, so they live with this
+   * connection and never touch the file.
+   */
+  private syncChangeTriggers(): void {
+    this.schemaVersion = this.db.pragma('schema_version', { simple: true }) as number;
 
-    // Notify about changes for reactive queries
-    if (sql.trim().toUpperCase().startsWith('INSERT') ||
-        sql.trim().toUpperCase().startsWith('UPDATE') ||
-        sql.trim().toUpperCase().startsWith('DELETE')) {
-      this.changeSubject.next();
+    const existing = this.db
+      .prepare(`SELECT name FROM sqlite_temp_master WHERE type = 'trigger' AND name LIKE ?`)
+      .all(`${CHANGE_TRIGGER_PREFIX}%`) as { name: string }[];
+    for (const { name } of existing) {
+      this.db.exec(`DROP TRIGGER IF EXISTS temp.${quoteIdentifier(name)}`);
     }
+
+    const tables = this.db
+      .prepare(`
+        SELECT name, sql FROM sqlite_master
+        WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND sql NOT LIKE 'CREATE VIRTUAL%'
+      `)
+      .all() as { name: string; sql: string }[];
+
+    for (const table of tables) {
+      const withoutRowid = /\bWITHOUT\s+ROWID\b/i.test(table.sql);
+      for (const statement of createChangeTriggerStatements(table.name, this.primaryKeyColumns(table.name), withoutRowid)) {
+        this.db.exec(statement);
+      }
+    }
+
+    const views = this.db
+      .prepare(`SELECT name, sql FROM sqlite_master WHERE type = 'view' UNION ALL SELECT name, sql FROM sqlite_temp_master WHERE type = 'view'`)
+      .all() as { name: string; sql: string }[];
+    this.views = new Map(views.map(view => [normalizeTableName(view.name), getReadTables(view.sql)]));
+
+    this.schemaSubject.next();
   }
 
-  query<T = SQLiteRow>(sql: string, options: SQLiteQueryOptions = {}): Observable<T[]> {
-    const stmt = this.db.prepare(sql);
-    const rows = stmt.all(options.params || []);
+  /**
+   * The primary key columns of a table in key order; empty when it has none
+   */
+  private primaryKeyColumns(table: string): string[] {
+    return (this.db.pragma(`table_info(${quoteIdentifier(table)})`) as { name: string; pk: number }[])
+      .filter(column => column.pk > 0)
+      .sort((a, b) => a.pk - b.pk)
+      .map(column => column.name);
+  }
 
-    return of(rowsToObjects<T>(rows));
+  /**
+   * Re-install change triggers if a statement altered the schema
+   */
+  private checkSchema(): void {
+    if (this.db.pragma('schema_version', { simple: true }) !== this.schemaVersion) {
+      this.syncChangeTriggers();
+    }
+  }
+
+  /**
+   * Publish the row changes captured since the last flush
+   */
+  private flushChanges(): void {
+    if (this.pendingChanges.length === 0) {
+      return;
+    }
+
+    const changes = this.pendingChanges;
+    this.pendingChanges = [];
+
+    const tables = new Set<string>();
+    let allTables = false;
+    for (const change of changes) {
+      if (change) {
+        tables.add(normalizeTableName(change.table));
+        this.rowChangeSubject.next(change);
+      } else {
+        allTables = true;
+      }
+    }
+
+    this.changeSubject.next(allTables ? [] : Array.from(tables));
+  }
+
+  /**
+   * Run a write, then publish its changes, or forget them if it failed
+   */
+  private write<R>(fn: () => R): R {
+    const mark = this.pendingChanges.length;
+    let result: R;
+    try {
+      result = fn();
+    } catch (error) {
+      this.settleWrite(mark, true);
+      throw error;
+    }
+
+    this.settleWrite(mark, false);
+    return result;
+  }
+
+  /**
+   * Publish the changes of a finished write, or forget the ones captured
+   * since `mark` if it failed. Inside a transaction the changes are held
+   * until the outermost commit.
+   */
+  private settleWrite(mark: number, failed: boolean): void {
+    if (failed) {
+      // Only the failed statement (or savepoint) is rolled back
+      this.pendingChanges.length = mark;
+    } else if (!this.db.inTransaction) {
+      this.checkSchema();
+      this.flushChanges();
+    }
+  }
+
+  /**
+   * Run `fn`, turning SQLite errors into SQLiteError subclasses. Busy errors
+   * are retried unless a transaction is open, since only the whole transaction
+   * could be run again. Statements with known SQL are reported as `kind`.
+   */
+  private attempt<R>(kind: 'query' | 'write', fn: () => R, details: SQLiteErrorDetails, retryable = true): R {
+    const once = () => {
+      try {
+        return fn();
+      } catch (error) {
+        throw toSQLiteError(error, details);
+      }
+    };
+    const run = () => retryable && this.retry && !this.restoring && !this.db.inTransaction
+      ? retrySync(once, this.retry)
+      : once();
+    return details.sql === undefined
+      ? run()
+      : this.instrumentation.measure(kind, details.sql, details.params, undefined, run, this.slowQueryCheck(details.sql, details.params));
+  }
+
+  /**
+   * How to explain a statement if it turns out to be slow
+   */
+  private slowQueryCheck(sql: string, params: unknown): SQLiteSlowQueryCheck | undefined {
+    if (this.slowQueryThreshold === undefined) {
+      return undefined;
+    }
+    return {
+      threshold: this.slowQueryThreshold,
+      explain: () => explainQueryPlan(this.db, sql, params as SQLiteBindParams)
+    };
+  }
+
+  /**
+   * Run a statement that doesn't return rows
+   */
+  private run(query: string | SQLFragment, options: SQLiteQueryOptions = {}): Database.RunResult {
+    const { sql, params } = resolveQuery(query, options);
+    return this.attempt('write', () => this.write(() => {
+      const result = this.statements.run(sql, stmt => stmt.run(params));
+
+      // A manual ROLLBACK undoes everything captured since BEGIN
+      if (!this.db.inTransaction && ROLLBACK_PATTERN.test(sql)) {
+        this.pendingChanges = [];
+      }
+      return result;
+    }), { sql, params });
+  }
+
+  /**
+   * Prepare a query on a reader from the pool, or on the writer if the
+   * statement writes (e.g. INSERT ... RETURNING) or the reader can't prepare it
+   */
+  private prepareRead(sql: string, reader: Database.Database): Database.Statement {
+    if (reader !== this.db) {
+      try {
+        const statement = this.statements.get(sql, reader);
+        if (statement.readonly) {
+          return statement;
+        }
+      } catch {
+        // e.g. a TEMP table, which only the writer can see
+      }
+    }
+    return this.statements.get(sql);
+  }
+
+  /**
+   * Run a statement and return all of its rows. Changes made by a statement
+   * that writes (e.g. INSERT ... RETURNING) are published like execute()'s.
+   */
+  private all<T>(query: string | SQLFragment, options: SQLiteQueryOptions = {}): T[] {
+    const { sql, params } = resolveQuery(query, options);
+    return this.attempt('query', () => {
+      const statement = this.prepareRead(sql, this.pool.reader());
+      const read = () => {
+        const rows = this.withSafeIntegers(statement, options, () => this.statements.measure(sql, () => statement.all(params)));
+        return rowsToObjects<T>(rows, options.codecs);
+      };
+      return statement.readonly ? read() : this.write(read);
+    }, { sql, params });
+  }
+
+  /**
+   * Read with `statement`, getting integers as bigints if a column is decoded as one
+   */
+  private withSafeIntegers<R>(statement: Database.Statement, options: SQLiteQueryOptions, fn: () => R): R {
+    if (!usesBigInt(options.codecs)) {
+      return fn();
+    }
+    // Statements are cached and shared, so this is only turned on while reading
+    statement.safeIntegers(true);
+    try {
+      return fn();
+    } finally {
+      statement.safeIntegers(false);
+    }
+  }
+
+  /**
+   * Run a function inside a transaction, or inside a savepoint if a transaction is already open
+   */
+  private runInTransaction<R>(fn: (tx: SQLiteTransactionContext) => R): R {
+    const context: SQLiteTransactionContext = {
+      execute: (sql, options) => {
+        this.run(sql, options);
+      },
+      exec: sql => this.exec(sql),
+      query: <T = SQLiteRow>(sql: string | SQLFragment, options?: SQLiteQueryOptions) => this.all<T>(sql, options),
+      queryOne: <T = SQLiteRow>(sql: string | SQLFragment, options?: SQLiteQueryOptions) => this.all<T>(sql, options)[0],
+      savepoint: inner => this.runInTransaction(inner)
+    };
+
+    // better-sqlite3 turns nested transactions into savepoints. Only an
+    // outermost transaction is retried, by calling the callback again.
+    return this.attempt('write', () => this.write(() => this.db.transaction(() => {
+      const result = fn(context);
+      if (result instanceof Promise) {
+        throw new Error('Transaction callbacks must be synchronous');
+      }
+      return result;
+    })()), {});
   }
 
-  queryOne<T = SQLiteRow>(sql: string, options: SQLiteQueryOptions = {}): Observable<T | undefined> {
+  execute(sql: string | SQLFragment, options: SQLiteQueryOptions = {}): void {
+    this.run(sql, options);
+  }
+
+  exec(sql: string): void {
+    // Statements before the one that failed may have been committed, so scripts aren't retried
+    this.attempt('write', () => this.write(() => {
+      this.db.exec(sql);
+    }), { sql }, false);
+  }
+
+  query<T = SQLiteRow>(sql: string | SQLFragment, options: SQLiteQueryOptions = {}): Observable<T[]> {
+    return of(this.all<T>(sql, options));
+  }
+
+  queryOne<T = SQLiteRow>(sql: string | SQLFragment, options: SQLiteQueryOptions = {}): Observable<T | undefined> {
     return this.query<T>(sql, options).pipe(
       map(rows => rows[0])
     );
   }
 
-  transaction(): SQLiteTransaction {
-    return new BetterSQLiteTransaction(this.db);
+  queryStream<T = SQLiteRow>(query: string | SQLFragment, options: SQLiteStreamOptions & { batchSize: number }): Observable<T[]>;
+  queryStream<T = SQLiteRow>(query: string | SQLFragment, options?: SQLiteQueryOptions): Observable<T>;
+  queryStream<T = SQLiteRow>(query: string | SQLFragment, options: SQLiteStreamOptions = {}): Observable<T | T[]> {
+    const { batchSize } = options;
+    if (batchSize !== undefined && (!Number.isInteger(batchSize) || batchSize < 1)) {
+      throw new Error(`batchSize must be a positive integer, got ${batchSize}`);
+    }
+    const { sql, params } = resolveQuery(query, options);
+
+    return new Observable<T | T[]>(subscriber => {
+      // Nothing is prepared or read until someone subscribes. The reader is
+      // held until the cursor closes, since a connection can't run anything
+      // else while one is open.
+      const lease = this.pool.acquireReader();
+      const safeIntegers = usesBigInt(options.codecs);
+      let statement: Database.Statement | undefined;
+      let iterator: IterableIterator<unknown>;
+      // Where the changes of a statement that writes start
+      let mark = -1;
+      try {
+        statement = this.prepareRead(sql, lease.db);
+        if (statement.database !== lease.db) {
+          lease.release();
+        }
+        if (!statement.readonly) {
+          mark = this.pendingChanges.length;
+        }
+        // Turned off again once the cursor is closed, like in withSafeIntegers
+        if (safeIntegers) {
+          statement.safeIntegers(true);
+        }
+        iterator = statement.iterate(params) as IterableIterator<unknown>;
+      } catch (error) {
+        if (safeIntegers) {
+          statement?.safeIntegers(false);
+        }
+        lease.release();
+        const sqliteError = toSQLiteError(error, { sql, params });
+        this.instrumentation.record({ kind: 'error', sql, params, durationMs: 0, error: sqliteError });
+        throw sqliteError;
+      }
+      const start = performance.now();
+      let batch: T[] = [];
+      let failure: unknown;
+
+      try {
+        // Each row is only read once the previous emission has been handled,
+        // so a slow synchronous consumer holds back the cursor
+        for (const row of iterator) {
+          if (batchSize === undefined) {
+            subscriber.next(rowToObject<T>(row, options.codecs));
+          } else {
+            batch.push(rowToObject<T>(row, options.codecs));
+            if (batch.length >= batchSize) {
+              const full = batch;
+              batch = [];
+              subscriber.next(full);
+            }
+          }
+
+          // Leaving the loop closes the cursor
+          if (subscriber.closed) {
+            break;
+          }
+        }
+
+        if (batch.length > 0) {
+          subscriber.next(batch);
+        }
+        subscriber.complete();
+      } catch (error) {
+        failure = toSQLiteError(error, { sql, params });
+        subscriber.error(failure);
+      }
+
+      return () => {
+        iterator.return?.();
+        if (safeIntegers) {
+          statement?.safeIntegers(false);
+        }
+        lease.release();
+        if (mark >= 0) {
+          this.settleWrite(mark, failure !== undefined);
+        }
+        const durationMs = performance.now() - start;
+        this.statements.record(sql, durationMs);
+        this.instrumentation.record(failure === undefined
+          ? { kind: 'query', sql, params, durationMs }
+          : { kind: 'error', sql, params, durationMs, error: failure });
+      };
+    });
+  }
+
+  transaction(): SQLiteTransaction;
+  transaction<R>(fn: (tx: SQLiteTransactionContext) => R): R;
+  transaction<R>(fn?: (tx: SQLiteTransactionContext) => R): SQLiteTransaction | R {
+    if (fn) {
+      return this.runInTransaction(fn);
+    }
+
+    return new BetterSQLiteTransaction(this.db, work => this.write(work));
+  }
+
+  /**
+   * Insert (or upsert) rows in chunks of `chunkSize`, each in its own
+   * transaction, using multi-row INSERT statements. Nothing runs until
+   * subscribed; each chunk is reported once committed, and unsubscribing
+   * stops before the next one. A failing chunk is rolled back and errors;
+   * the chunks before it stay committed.
+   */
+  bulkInsert<T extends object>(
+    table: string,
+    rows: T[],
+    options: SQLiteBulkInsertOptions = {}
+  ): Observable<SQLiteBulkInsertResult> {
+    const { chunkSize = 500, onConflict, codecs } = options;
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      throw new Error(`chunkSize must be a positive integer, got ${chunkSize}`);
+    }
+
+    return new Observable<SQLiteBulkInsertResult>(subscriber => {
+      try {
+        const columns = options.columns ?? bulkInsertColumns(rows);
+        // Statements are reused (and cached) for every full run of rows
+        const rowsPerStatement = Math.max(1, Math.min(chunkSize, Math.floor(MAX_BOUND_PARAMETERS / Math.max(1, columns.length))));
+        const chunks = Math.ceil(rows.length / chunkSize);
+
+        for (let i = 0; i < chunks && !subscriber.closed; i++) {
+          const chunk = rows.slice(i * chunkSize, (i + 1) * chunkSize);
+          const start = performance.now();
+          const changes = this.runInTransaction(() => {
+            let count = 0;
+            for (let offset = 0; offset < chunk.length; offset += rowsPerStatement) {
+              const part = chunk.slice(offset, offset + rowsPerStatement);
+              count += this.run(createBulkInsertStatement(table, columns, part.length, onConflict), {
+                params: bulkInsertParams(part, columns, codecs)
+              }).changes;
+            }
+            return count;
+          });
+          subscriber.next({
+            chunk: i + 1,
+            chunks,
+            rows: chunk.length,
+            changes,
+            processed: Math.min(rows.length, (i + 1) * chunkSize),
+            total: rows.length,
+            durationMs: performance.now() - start
+          });
+        }
+        subscriber.complete();
+      } catch (error) {
+        subscriber.error(error);
+      }
+    });
+  }
+
+  /**
+   * Page through a table, a `sql` SELECT or a query builder with keyset
+   * pagination: each page is a query for the rows after the last one, rather
+   * than an OFFSET. Nothing runs until subscribed; pages follow each other
+   * until the last one, or until the subscriber unsubscribes, e.g. after
+   * `take(1)`. Each page's cursor can be passed back as `after` later on.
+   */
+  paginate<T = SQLiteRow>(
+    source: string | SQLFragment | SQLiteQueryBuilder<any, any, any>,
+    options: SQLitePaginateOptions
+  ): Observable<SQLitePage<T>> {
+    const { pageSize = 100, after = null, codecs } = options;
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new Error(`pageSize must be a positive integer, got ${pageSize}`);
+    }
+    const order = normalizeOrder(options.orderBy);
+    const start = after === null ? null : decodeCursor(after, order);
+    const query = source instanceof SQLiteQueryBuilder ? source.toSQL() : source;
+
+    return new Observable<SQLitePage<T>>(subscriber => {
+      try {
+        let values = start;
+        let cursor = after;
+        for (let page = 1; !subscriber.closed; page++) {
+          // One row more than a page tells whether another page follows
+          const rows = this.all<T>(createPageQuery(query, order, values, pageSize + 1), { codecs });
+          const hasMore = rows.length > pageSize;
+          if (hasMore) {
+            rows.pop();
+          }
+          if (rows.length > 0) {
+            values = keysetValues(rows[rows.length - 1], order, codecs);
+            cursor = encodeCursor(order, values);
+          }
+          subscriber.next({ rows, cursor, hasMore, page });
+          if (!hasMore) {
+            break;
+          }
+        }
+        subscriber.complete();
+      } catch (error) {
+        subscriber.error(error);
+      }
+    });
   }
 
-  reactiveQuery<T = SQLiteRow>(sql: string, options: SQLiteQueryOptions = {}): Observable<T[]> {
-    // Execute the initial query and set up reactive updates
-    return this.change$.pipe(
+  reactiveQuery<T = SQLiteRow>(query: string | SQLFragment, options: SQLiteReactiveQueryOptions<T> = {}): Observable<T[]> {
+    const { sql } = resolveQuery(query, options);
+    // Only re-run when a write touches one of the tables this query reads,
+    // or that the views it reads are built on. If no tables could be
+    // determined, fall back to re-running on every write.
+    const tables = (options.tables || getReadTables(sql)).map(normalizeTableName);
+
+    return defer(() => this.changeSubject.pipe(
+      filter(changed => affectsTables(changed, resolveViews(tables, this.views))),
+      // Run the query straight away for the current result
+      startWith(null),
       // Map to query results whenever a change is detected
-      map(() => {
-        const stmt = this.db.prepare(sql);
-        const rows = stmt.all(options.params || []);
-        return rowsToObjects<T>(rows);
+      map(() => this.all<T>(query, options)),
+      // Writes that don't affect the result don't emit
+      distinctUntilChanged(options.comparator || rowsEqual)
+    )).pipe(
+      // Share the latest result with new subscribers while anyone is listening
+      shareReplay({ bufferSize: 1, refCount: true })
+    );
+  }
+
+  reactiveDiff<T = SQLiteRow>(sql: string | SQLFragment, options: SQLiteReactiveDiffOptions<T>): Observable<SQLiteRowDiff<T>> {
+    return this.reactiveQuery<T>(sql, options).pipe(
+      scan(
+        (state, rows) => ({ rows, diff: diffRows(state.rows, rows, options.key) }),
+        { rows: [] as T[], diff: { added: [], removed: [], changed: [] } as SQLiteRowDiff<T> }
+      ),
+      map(state => state.diff)
+    );
+  }
+
+  /**
+   * The row of `table` with primary key `pk` (an array for composite keys, the
+   * rowid for tables without one), or null while there is none. Re-reads it
+   * only when a change event names that key, rather than on every write to
+   * the table.
+   */
+  watchRow<T = SQLiteRow>(table: string, pk: SQLiteRowKey, options: Pick<SQLiteQueryOptions, 'codecs'> = {}): Observable<T | null> {
+    const query = createRowQuery(table, this.primaryKeyColumns(table), pk);
+    const name = normalizeTableName(table);
+    const key = rowKey(pk);
+
+    return defer(() => {
+      let changed = false;
+      return merge(
+        this.rowChangeSubject.pipe(
+          filter(change => normalizeTableName(change.table) === name && rowKey(change.pk) === key),
+          tap(() => {
+            changed = true;
+          }),
+          ignoreElements()
+        ),
+        // Emits after all the row events of a write
+        this.changeSubject.pipe(filter(tables => tables.length === 0 || changed))
+      ).pipe(
+        startWith(null),
+        map(() => {
+          changed = false;
+          return this.all<T>(query, options)[0] ?? null;
+        }),
+        distinctUntilChanged<T | null>(rowEquals)
+      );
+    }).pipe(
+      shareReplay({ bufferSize: 1, refCount: true })
+    );
+  }
+
+  /**
+   * A COUNT, SUM or AVG of `table`, optionally filtered and grouped, kept up
+   * to date. Only the totals of each group are held: unless `where` reads
+   * other tables, TEMP triggers record how each write moved them, instead of
+   * re-running the aggregate over the whole table.
+   */
+  watchAggregate(table: string, options: SQLiteWatchAggregateOptions & { groupBy: string }): Observable<SQLiteAggregateGroup[]>;
+  watchAggregate(table: string, options: SQLiteWatchAggregateOptions & { groupBy?: undefined }): Observable<number | null>;
+  watchAggregate(table: string, options: SQLiteWatchAggregateOptions): Observable<number | null | SQLiteAggregateGroup[]> {
+    const watcher = new AggregateWatcher(table, options, query => this.all(query), query => {
+      const statement = this.db.prepare(query.text);
+      if (statement.reader) {
+        return statement.all(query.values) as SQLiteRow[];
+      }
+      statement.run(query.values);
+      return [];
+    });
+
+    return defer(() => merge(
+      this.changeSubject.pipe(filter(tables => tables.length === 0 || affectsTables(tables, resolveViews(watcher.tables, this.views)))),
+      // Dropping or recreating the table drops the watcher's triggers with it
+      this.schemaSubject.pipe(map(() => [] as string[]))
+    ).pipe(
+      startWith([] as string[]),
+      map(tables => {
+        if (tables.length === 0) {
+          watcher.reload();
+        } else {
+          watcher.update();
+        }
+        return watcher.result();
       }),
-      // Share the latest result with new subscribers
-      shareReplay(1)
+      distinctUntilChanged((a, b) => JSON.stringify(a) === JSON.stringify(b)),
+      finalize(() => {
+        if (this.db.open) {
+          watcher.dispose();
+        }
+      })
+    )).pipe(
+      shareReplay({ bufferSize: 1, refCount: true })
+    );
+  }
+
+  from<Table extends SQLiteTableDefinition>(table: Table): SQLiteQueryBuilder<SQLiteTableRow<Table>, SQLiteTableColumns<Table>>;
+  from<T = SQLiteRow>(table: string): SQLiteQueryBuilder<T, SQLiteColumnReference<T>>;
+  from(table: string | SQLiteTableDefinition): SQLiteQueryBuilder<any, string> {
+    return new SQLiteQueryBuilder(this, table);
+  }
+
+  /**
+   * Apply (or revert) migrations to reach a version, the latest by default.
+   * Runs when subscribed; see SQLiteMigrator.
+   */
+  migrate(
+    migrations: SQLiteMigration[],
+    options: SQLiteMigratorOptions & { to?: number } = {}
+  ): Observable<SQLiteMigrationProgress> {
+    return new SQLiteMigrator(this, migrations, options).migrate(options.to);
+  }
+
+  /**
+   * Copy the database to `destination` while it stays in use, emitting progress after each step
+   */
+  backup(destination: string, options: SQLiteBackupOptions = {}): Observable<SQLiteBackupProgress> {
+    return backupDatabase(this.db, destination, options);
+  }
+
+  /**
+   * Replace the database's contents with the backup at `source`. Writes fail
+   * with SQLITE_BUSY until it completes; then change tracking is re-installed
+   * and every reactive query re-runs.
+   */
+  restore(source: string, options: SQLiteBackupOptions = {}): Observable<SQLiteBackupProgress> {
+    return defer(() => {
+      this.restoring = true;
+      return restoreDatabase(this.db, source, options);
+    }).pipe(
+      tap({
+        complete: () => {
+          this.statements.clear();
+          this.syncChangeTriggers();
+          this.changeSubject.next([]);
+        },
+        finalize: () => {
+          this.restoring = false;
+        }
+      })
     );
   }
 
+  /**
+   * Describe the tables (with their columns, indexes and foreign keys), views and triggers
+   */
+  schema(): SQLiteSchema {
+    return readSchema(this.db);
+  }
+
+  /**
+   * How SQLite would run a statement, without running it. `fullScans` lists
+   * the tables it would read in full because no index could be used.
+   */
+  explain(query: string | SQLFragment, options: SQLiteQueryOptions = {}): SQLiteQueryPlan {
+    const { sql, params } = resolveQuery(query, options);
+    try {
+      return explainQueryPlan(this.db, sql, params);
+    } catch (error) {
+      throw toSQLiteError(error, { sql, params });
+    }
+  }
+
+  /**
+   * Hit/miss counts and per-statement timings for the prepared statement cache
+   */
+  getStatementStats(): SQLiteStatementCacheStats {
+    return this.statements.stats();
+  }
+
+  /**
+   * Drop all cached prepared statements and reset their statistics
+   */
+  clearStatementCache(): void {
+    this.statements.clear();
+  }
+
   close(): void {
-    this.db.close();
+    this.statements.clear();
+    this.rowChangeSubject.complete();
+    this.changeSubject.complete();
+    this.schemaSubject.complete();
+    this.pool.close();
   }
 }
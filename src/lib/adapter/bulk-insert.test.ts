@@ -0,0 +1,144 @@
+/**
+ * Tests for chunked bulk inserts and upserts
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { lastValueFrom, take, toArray } from 'rxjs';
+import { BetterSQLiteAdapter } from './better-sqlite-adapter';
+import { bulkInsertColumns, bulkInsertParams, createBulkInsertStatement } from './bulk-insert';
+import { UniqueConstraintError } from './errors';
+import { SQLiteChangeEvent } from '../types';
+
+describe('createBulkInsertStatement', () => {
+  it('should generate multi-row inserts for each conflict action', () => {
+    // Act & Assert
+    expect(createBulkInsertStatement('users', ['id', 'name'], 2))
+      .toBe('INSERT INTO "users" ("id", "name") VALUES (?, ?), (?, ?)');
+    expect(createBulkInsertStatement('users', ['id'], 1, 'ignore')).toBe('INSERT OR IGNORE INTO "users" ("id") VALUES (?)');
+    expect(createBulkInsertStatement('users', ['id'], 1, 'replace')).toBe('INSERT OR REPLACE INTO "users" ("id") VALUES (?)');
+    expect(createBulkInsertStatement('users', ['id', 'name'], 1, { update: ['name'], target: ['id'] }))
+      .toBe('INSERT INTO "users" ("id", "name") VALUES (?, ?) ON CONFLICT ("id") DO UPDATE SET "name" = excluded."name"');
+    expect(() => createBulkInsertStatement('users', [], 1)).toThrow(/at least one column/);
+    expect(() => createBulkInsertStatement('users', ['id'], 1, { update: [] })).toThrow(/onConflict.update/);
+  });
+
+  it('should collect columns and parameters from the rows', () => {
+    // Arrange
+    const rows = [{ id: 1, tags: ['a'] }, { id: 2, active: true }];
+
+    // Act
+    const columns = bulkInsertColumns(rows);
+    const params = bulkInsertParams(rows, columns, { tags: 'json' });
+
+    // Assert
+    expect(columns).toEqual(['id', 'tags', 'active']);
+    expect(params).toEqual([1, '["a"]', null, 2, null, 1]);
+  });
+});
+
+describe('BetterSQLiteAdapter.bulkInsert', () => {
+  let adapter: BetterSQLiteAdapter;
+  const users = Array.from({ length: 25 }, (_, i) => ({ id: i + 1, name: `user ${i + 1}`, visits: 0 }));
+
+  beforeEach(() => {
+    adapter = new BetterSQLiteAdapter(':memory:');
+    adapter.exec('CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT NOT NULL, visits INTEGER DEFAULT 0)');
+  });
+
+  afterEach(() => {
+    adapter.close();
+  });
+
+  const count = () => adapter.transaction(tx => tx.queryOne<{ n: number }>('SELECT COUNT(*) AS n FROM users'))?.n;
+
+  it('should insert rows in chunks and report each one', async () => {
+    // Act
+    const results = await lastValueFrom(adapter.bulkInsert('users', users, { chunkSize: 10 }).pipe(toArray()));
+
+    // Assert
+    expect(results.map(({ chunk, chunks, rows, changes, processed, total }) => ({ chunk, chunks, rows, changes, processed, total })))
+      .toEqual([
+        { chunk: 1, chunks: 3, rows: 10, changes: 10, processed: 10, total: 25 },
+        { chunk: 2, chunks: 3, rows: 10, changes: 10, processed: 20, total: 25 },
+        { chunk: 3, chunks: 3, rows: 5, changes: 5, processed: 25, total: 25 }
+      ]);
+    expect(count()).toBe(25);
+  });
+
+  it('should ignore, replace or update conflicting rows', async () => {
+    // Arrange
+    adapter.execute('INSERT INTO users (id, name, visits) VALUES (1, ?, 5), (2, ?, 7)', { params: ['old 1', 'old 2'] });
+    const read = (id: number) => adapter.transaction(tx => tx.queryOne('SELECT name, visits FROM users WHERE id = ?', { params: [id] }));
+
+    // Act
+    const ignored = await lastValueFrom(adapter.bulkInsert('users', [{ id: 1, name: 'new 1' }, { id: 3, name: 'new 3' }], { onConflict: 'ignore' }));
+    const replaced = await lastValueFrom(adapter.bulkInsert('users', [{ id: 1, name: 'new 1' }], { onConflict: 'replace' }));
+    const updated = await lastValueFrom(adapter.bulkInsert('users', [{ id: 2, name: 'new 2', visits: 0 }], {
+      onConflict: { update: ['name'], target: ['id'] }
+    }));
+
+    // Assert
+    expect(ignored.changes).toBe(1);
+    expect(replaced.changes).toBe(1);
+    expect(updated.changes).toBe(1);
+    // Replacing drops the old row, so its visits fall back to the default
+    expect(read(1)).toEqual({ name: 'new 1', visits: 0 });
+    expect(read(2)).toEqual({ name: 'new 2', visits: 7 });
+    expect(read(3)).toEqual({ name: 'new 3', visits: 0 });
+  });
+
+  it('should roll back a failing chunk and keep the ones before it', async () => {
+    // Arrange
+    const rows = [...users.slice(0, 10), { id: 11, name: null }, ...users.slice(11)];
+
+    // Act
+    const results: number[] = [];
+    const failure = await new Promise(resolve => adapter.bulkInsert('users', rows, { chunkSize: 10 }).subscribe({
+      next: result => results.push(result.chunk),
+      error: resolve
+    }));
+
+    // Assert
+    expect(failure).toMatchObject({ code: 'SQLITE_CONSTRAINT_NOTNULL' });
+    expect(results).toEqual([1]);
+    expect(count()).toBe(10);
+    await expect(lastValueFrom(adapter.bulkInsert('users', users.slice(0, 1)))).rejects.toBeInstanceOf(UniqueConstraintError);
+  });
+
+  it('should stop before the next chunk when unsubscribed', async () => {
+    // Act
+    await lastValueFrom(adapter.bulkInsert('users', users, { chunkSize: 10 }).pipe(take(1)));
+
+    // Assert
+    expect(count()).toBe(10);
+  });
+
+  it('should report the inserted rows on changes$', async () => {
+    // Arrange
+    const events: SQLiteChangeEvent[] = [];
+    const subscription = adapter.changes$.subscribe(event => events.push(event));
+
+    // Act
+    await lastValueFrom(adapter.bulkInsert('users', users.slice(0, 3)));
+    subscription.unsubscribe();
+
+    // Assert
+    expect(events.map(event => [event.op, event.pk])).toEqual([['INSERT', 1], ['INSERT', 2], ['INSERT', 3]]);
+  });
+
+  it('should split chunks that would bind too many parameters', async () => {
+    // Arrange
+    const many = Array.from({ length: 12000 }, (_, i) => ({ id: i + 1, name: 'x', visits: i }));
+
+    // Act
+    const [result] = await lastValueFrom(adapter.bulkInsert('users', many, { chunkSize: 12000 }).pipe(toArray()));
+
+    // Assert - 36000 parameters are more than one statement may bind
+    expect(result.changes).toBe(12000);
+    expect(count()).toBe(12000);
+  });
+
+  it('should reject invalid chunk sizes', () => {
+    // Act & Assert
+    expect(() => adapter.bulkInsert('users', users, { chunkSize: 0 })).toThrow(/chunkSize must be a positive integer, got 0/);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Multi-row INSERT statements for inserting or upserting many rows at once
+ */
+import type { SQLiteBindValue } from '../types';
+import { SQLiteColumnCodecs, encodeValue } from '../utils/codecs';
+import { quoteIdentifier } from '../utils/sqlite-utils';
+
+/**
+ * What to do with a row that violates a UNIQUE or PRIMARY KEY constraint:
+ * - `'ignore'` skips it
+ * - `'replace'` deletes the existing row and inserts the new one
+ * - `{ update }` updates the listed columns of the existing row, keeping the
+ *   others. `target` names the conflicting columns; it may be left out when
+ *   the table has a single unique key.
+ *
+ * Without one, the chunk fails and is rolled back.
+ */
+export type SQLiteConflictAction = 'ignore' | 'replace' | { update: string[]; target?: string[] };
+
+export interface SQLiteBulkInsertOptions {
+  /** Rows per transaction. Defaults to 500. */
+  chunkSize?: number;
+  onConflict?: SQLiteConflictAction;
+  /**
+   * Columns to insert. Defaults to every key found in the rows; rows that
+   * lack one insert NULL for it.
+   */
+  columns?: string[];
+  /** Encode values of these columns, as for query parameters (see SQLiteQueryOptions.codecs) */
+  codecs?: SQLiteColumnCodecs;
+}
+
+/**
+ * Outcome of one chunk, emitted once its transaction has committed
+ */
+export interface SQLiteBulkInsertResult {
+  /** 1-based position of this chunk */
+  chunk: number;
+  /** Number of chunks in the run */
+  chunks: number;
+  /** Rows in this chunk */
+  rows: number;
+  /** Rows inserted, replaced or updated; ignored rows don't count */
+  changes: number;
+  /** Rows handled so far, including this chunk */
+  processed: number;
+  /** Rows in the run */
+  total: number;
+  durationMs: number;
+}
+
+// SQLite's default SQLITE_MAX_VARIABLE_NUMBER since 3.32
+export const MAX_BOUND_PARAMETERS = 32766;
+
+/**
+ * Every key found in `rows`, in the order they first appear
+ */
+export function bulkInsertColumns(rows: object[]): string[] {
+  const columns = new Set<string>();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      columns.add(key);
+    }
+  }
+  return Array.from(columns);
+}
+
+/**
+ * Generate an INSERT of `rowCount` rows with one `?` per column, handling
+ * conflicts as asked. Names are quoted.
+ */
+export function createBulkInsertStatement(
+  tableName: string,
+  columns: string[],
+  rowCount: number,
+  onConflict?: SQLiteConflictAction
+): string {
+  if (columns.length === 0) {
+    throw new Error('A bulk insert needs at least one column');
+  }
+  const verb = onConflict === 'ignore' ? 'INSERT OR IGNORE' : onConflict === 'replace' ? 'INSERT OR REPLACE' : 'INSERT';
+  const tuple = `(${columns.map(() => '?').join(', ')})`;
+  const values = Array.from({ length: rowCount }, () => tuple).join(', ');
+  let statement = `${verb} INTO ${quoteIdentifier(tableName)} (${columns.map(quoteIdentifier).join(', ')}) VALUES ${values}`;
+
+  if (typeof onConflict === 'object') {
+    if (onConflict.update.length === 0) {
+      throw new Error('onConflict.update needs at least one column; use onConflict: \'ignore\' to keep existing rows');
+    }
+    const target = onConflict.target ? ` (${onConflict.target.map(quoteIdentifier).join(', ')})` : '';
+    const assignments = onConflict.update.map(column => `${quoteIdentifier(column)} = excluded.${quoteIdentifier(column)}`);
+    statement += ` ON CONFLICT${target} DO UPDATE SET ${assignments.join(', ')}`;
+  }
+  return statement;
+}
+
+/**
+ * The parameters for createBulkInsertStatement: each row's values in column order
+ */
+export function bulkInsertParams(rows: object[], columns: string[], codecs: SQLiteColumnCodecs = {}): SQLiteBindValue[] {
+  const params: SQLiteBindValue[] = [];
+  for (const row of rows) {
+    const record = row as Record<string, any>;
+    for (const column of columns) {
+      params.push(encodeValue(record[column] ?? null, codecs[column], column) as SQLiteBindValue);
+    }
+  }
+  return params;
+}
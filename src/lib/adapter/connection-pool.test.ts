@@ -0,0 +1,100 @@
+/**
+ * Tests for the SQLiteConnectionPool
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SQLiteConnectionPool } from './connection-pool';
+
+describe('SQLiteConnectionPool', () => {
+  let dir: string;
+  let pool: SQLiteConnectionPool;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rxjs-sqlite-pool-'));
+    pool = new SQLiteConnectionPool(path.join(dir, 'pool.sqlite'), { readers: 2, busyTimeout: 250 });
+    pool.writer.exec('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+  });
+
+  afterEach(() => {
+    pool.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should open read-only readers in WAL mode', () => {
+    // Act
+    const reader = pool.reader();
+
+    // Assert
+    expect(pool.size).toBe(2);
+    expect(pool.writer.pragma('journal_mode', { simple: true })).toBe('wal');
+    expect(pool.writer.pragma('busy_timeout', { simple: true })).toBe(250);
+    expect(reader).not.toBe(pool.writer);
+    expect(reader.readonly).toBe(true);
+    expect(() => reader.exec("INSERT INTO items (name) VALUES ('nope')")).toThrow(/readonly/);
+  });
+
+  it('should spread reads over the readers in turn', () => {
+    // Act
+    const first = pool.reader();
+    const second = pool.reader();
+    const third = pool.reader();
+
+    // Assert
+    expect(first).not.toBe(second);
+    expect(third).toBe(first);
+  });
+
+  it('should see committed writes from the readers', () => {
+    // Act
+    pool.write(db => db.prepare("INSERT INTO items (name) VALUES ('a')").run());
+    const rows = pool.read(db => db.prepare('SELECT name FROM items').all());
+
+    // Assert
+    expect(rows).toEqual([{ name: 'a' }]);
+  });
+
+  it('should read from the writer inside a transaction', () => {
+    // Act
+    const seen = pool.writer.transaction(() => {
+      pool.writer.prepare("INSERT INTO items (name) VALUES ('uncommitted')").run();
+      return pool.read(db => ({ db, rows: db.prepare('SELECT name FROM items').all() }));
+    })();
+
+    // Assert
+    expect(seen.db).toBe(pool.writer);
+    expect(seen.rows).toEqual([{ name: 'uncommitted' }]);
+  });
+
+  it('should skip readers with an open cursor', () => {
+    // Arrange
+    const first = pool.acquireReader();
+    const second = pool.acquireReader();
+
+    // Act
+    const busy = pool.reader();
+    second.release();
+    const free = pool.reader();
+
+    // Assert
+    expect(first.db).not.toBe(second.db);
+    expect(busy).toBe(pool.writer);
+    expect(free).toBe(second.db);
+    first.release();
+  });
+
+  it('should use a single connection for in-memory databases', () => {
+    // Arrange
+    const memory = new SQLiteConnectionPool(':memory:', { readers: 4 });
+
+    // Act
+    const reader = memory.reader();
+    memory.close();
+
+    // Assert
+    expect(memory.size).toBe(0);
+    expect(reader).toBe(memory.writer);
+    expect(memory.writer.open).toBe(false);
+  });
+});
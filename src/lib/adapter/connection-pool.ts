@@ -0,0 +1,178 @@
+/**
+ * Single-writer / multi-reader connection pool for better-sqlite3
+ */
+import Database from 'better-sqlite3';
+
+/**
+ * Options for SQLiteConnectionPool; anything besides these is passed to better-sqlite3
+ */
+export interface SQLiteConnectionPoolOptions extends Database.Options {
+  /**
+   * Number of read-only connections. With 0, reads share the writer connection.
+   * In-memory and temporary databases always use 0. Defaults to 4.
+   */
+  readers?: number;
+  /**
+   * Milliseconds a connection waits for a lock before failing with SQLITE_BUSY.
+   * Defaults to 5000.
+   */
+  busyTimeout?: number;
+}
+
+/**
+ * A read-only connection checked out of the pool
+ */
+export interface SQLiteReaderLease {
+  db: Database.Database;
+  release(): void;
+}
+
+interface Reader {
+  db: Database.Database;
+  leases: number;
+}
+
+/**
+ * Whether a filename names a database that only exists for one connection
+ */
+function isPrivateDatabase(filename: string): boolean {
+  return filename === '' || filename === ':memory:' || /^file::memory:|[?&]mode=memory\b/.test(filename);
+}
+
+/**
+ * Sends writes and transactions to one writer connection and spreads reads
+ * across read-only connections. The database is switched to WAL mode so
+ * readers see the last committed state without blocking the writer.
+ *
+ * Reads made while the writer is inside a transaction use the writer, so
+ * they see the transaction's own uncommitted changes.
+ */
+export class SQLiteConnectionPool {
+  /** The connection every write goes through */
+  public readonly writer: Database.Database;
+  private readers: Reader[] = [];
+  private nextReader = 0;
+  private ownsWriter: boolean;
+
+  /**
+   * @param filenameOrWriter Path to the database, or an open connection to use as the writer
+   * @param options Pool options; anything else is passed to better-sqlite3
+   */
+  constructor(filenameOrWriter: string | Database.Database, options: SQLiteConnectionPoolOptions = {}) {
+    const { readers = 4, busyTimeout = 5000, ...databaseOptions } = options;
+    if (!Number.isInteger(readers) || readers < 0) {
+      throw new Error(`readers must be a non-negative integer, got ${readers}`);
+    }
+
+    this.ownsWriter = typeof filenameOrWriter === 'string';
+    this.writer = typeof filenameOrWriter === 'string'
+      ? new Database(filenameOrWriter, { ...databaseOptions, timeout: busyTimeout })
+      : filenameOrWriter;
+    this.writer.pragma(`busy_timeout = ${busyTimeout}`);
+
+    if (readers === 0 || this.writer.memory || this.writer.readonly || isPrivateDatabase(this.writer.name)) {
+      return;
+    }
+
+    this.writer.pragma('journal_mode = WAL');
+    for (let i = 0; i < readers; i++) {
+      this.readers.push({
+        db: new Database(this.writer.name, {
+          ...databaseOptions,
+          readonly: true,
+          fileMustExist: true,
+          timeout: busyTimeout
+        }),
+        leases: 0
+      });
+    }
+  }
+
+  /**
+   * Number of read-only connections
+   */
+  get size(): number {
+    return this.readers.length;
+  }
+
+  /**
+   * Whether reads are served by connections other than the writer
+   */
+  get pooled(): boolean {
+    return this.readers.length > 0;
+  }
+
+  /**
+   * The connection to use for a read right now: the next reader without an
+   * open cursor, or the writer if there is none or it is inside a transaction
+   */
+  reader(): Database.Database {
+    return this.pickReader()?.db ?? this.writer;
+  }
+
+  /**
+   * Check out a reader for as long as a cursor is open on it, so nothing else
+   * is sent to it in the meantime. Falls back to the writer like reader().
+   */
+  acquireReader(): SQLiteReaderLease {
+    const reader = this.pickReader();
+    if (!reader) {
+      return { db: this.writer, release: () => undefined };
+    }
+
+    reader.leases++;
+    let released = false;
+    return {
+      db: reader.db,
+      release: () => {
+        if (!released) {
+          released = true;
+          reader.leases--;
+        }
+      }
+    };
+  }
+
+  /**
+   * Run a function against a reader
+   */
+  read<R>(fn: (db: Database.Database) => R): R {
+    return fn(this.reader());
+  }
+
+  /**
+   * Run a function against the writer
+   */
+  write<R>(fn: (db: Database.Database) => R): R {
+    return fn(this.writer);
+  }
+
+  /**
+   * Close every reader, and the writer if the pool opened it
+   */
+  close(): void {
+    for (const reader of this.readers) {
+      reader.db.close();
+    }
+    this.readers = [];
+    if (this.ownsWriter && this.writer.open) {
+      this.writer.close();
+    }
+  }
+
+  // Round-robin over the readers that have no cursor open
+  private pickReader(): Reader | undefined {
+    if (this.writer.inTransaction) {
+      return undefined;
+    }
+
+    for (let i = 0; i < this.readers.length; i++) {
+      const index = (this.nextReader + i) % this.readers.length;
+      if (this.readers[index].leases === 0) {
+        this.nextReader = (index + 1) % this.readers.length;
+        return this.readers[index];
+      }
+    }
+    return undefined;
+  }
+}
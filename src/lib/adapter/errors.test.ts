@@ -0,0 +1,117 @@
+/**
+ * Tests for the SQLite error classes
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BetterSQLiteAdapter } from './better-sqlite-adapter';
+import {
+  BusyError,
+  ConstraintViolationError,
+  ForeignKeyError,
+  ReadOnlyError,
+  SQLiteError,
+  UniqueConstraintError,
+  toSQLiteError
+} from './errors';
+
+describe('SQLite errors', () => {
+  let adapter: BetterSQLiteAdapter;
+
+  beforeEach(() => {
+    adapter = new BetterSQLiteAdapter(':memory:');
+    adapter.exec(`
+      PRAGMA foreign_keys = ON;
+      CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT NOT NULL, name TEXT, UNIQUE (email, name));
+      CREATE TABLE posts (id INTEGER PRIMARY KEY, user_id INTEGER REFERENCES users (id));
+    `);
+    adapter.execute("INSERT INTO users (id, email, name) VALUES (1, 'ann@example.com', 'Ann')");
+  });
+
+  afterEach(() => {
+    adapter.close();
+  });
+
+  it('should map unique violations with their table and columns', () => {
+    // Arrange
+    const sql = 'INSERT INTO users (email, name) VALUES (?, ?)';
+    const params = ['ann@example.com', 'Ann'];
+
+    // Act
+    let error: unknown;
+    try {
+      adapter.execute(sql, { params });
+    } catch (caught) {
+      error = caught;
+    }
+
+    // Assert
+    expect(error).toBeInstanceOf(UniqueConstraintError);
+    expect(error).toBeInstanceOf(ConstraintViolationError);
+    expect(error).toMatchObject({
+      name: 'UniqueConstraintError',
+      code: 'SQLITE_CONSTRAINT_UNIQUE',
+      message: 'UNIQUE constraint failed: users.email, users.name',
+      table: 'users',
+      columns: ['email', 'name'],
+      sql,
+      params
+    });
+  });
+
+  it('should map primary key, foreign key and NOT NULL violations', () => {
+    // Act & Assert
+    expect(() => adapter.execute("INSERT INTO users (id, email) VALUES (1, 'bob@example.com')"))
+      .toThrow(UniqueConstraintError);
+    expect(() => adapter.execute('INSERT INTO posts (user_id) VALUES (2)')).toThrow(ForeignKeyError);
+    try {
+      adapter.execute('INSERT INTO users (name) VALUES (?)', { params: ['Bob'] });
+    } catch (error) {
+      expect(error).toBeInstanceOf(ConstraintViolationError);
+      expect(error).not.toBeInstanceOf(UniqueConstraintError);
+      expect(error).toMatchObject({ code: 'SQLITE_CONSTRAINT_NOTNULL', table: 'users' });
+    }
+  });
+
+  it('should map errors inside transactions and from queries', () => {
+    // Act & Assert
+    expect(() => adapter.transaction(tx => {
+      tx.execute("INSERT INTO users (email) VALUES ('bob@example.com')");
+      tx.execute('INSERT INTO posts (user_id) VALUES (99)');
+    })).toThrow(ForeignKeyError);
+    expect(() => adapter.exec('INSERT INTO users (id, email) VALUES (1, NULL)')).toThrow(ConstraintViolationError);
+    expect(() => adapter.query('SELECT * FROM missing')).toThrow(SQLiteError);
+  });
+
+  it('should map writes to a read-only database', () => {
+    // Arrange
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rxjs-sqlite-errors-'));
+    const filename = path.join(dir, 'readonly.sqlite');
+    new Database(filename).close();
+    const readonly = new BetterSQLiteAdapter(filename, { readonly: true });
+
+    // Act & Assert
+    try {
+      expect(() => readonly.execute('CREATE TABLE items (id INTEGER)')).toThrow(ReadOnlyError);
+    } finally {
+      readonly.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should leave other errors unchanged', () => {
+    // Arrange
+    const plain = new Error('not from SQLite');
+    const converted = toSQLiteError(Object.assign(new Error('database is locked'), { code: 'SQLITE_BUSY' }));
+
+    // Act & Assert
+    expect(toSQLiteError(plain)).toBe(plain);
+    expect(toSQLiteError('text')).toBe('text');
+    expect(toSQLiteError(converted, { table: 'ignored' })).toBe(converted);
+    expect(converted).toBeInstanceOf(BusyError);
+    expect(converted).toBeInstanceOf(SQLiteError);
+    expect((converted as SQLiteError).cause).toBeInstanceOf(Error);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Error classes for SQLite failures, chosen by SQLite result code
+ */
+
+/**
+ * Where an error happened; any of these may be unknown
+ */
+export interface SQLiteErrorDetails {
+  table?: string;
+  sql?: string;
+  params?: unknown;
+  /** Anything else the caller knows, e.g. the collection or document being written */
+  context?: unknown;
+}
+
+/**
+ * A failure reported by SQLite. `code` is the extended result code
+ * (e.g. "SQLITE_CONSTRAINT_UNIQUE"), and `cause` the original error.
+ */
+export class SQLiteError extends Error {
+  readonly table?: string;
+  readonly sql?: string;
+  readonly params?: unknown;
+  readonly context?: unknown;
+  readonly cause: unknown;
+
+  constructor(message: string, public readonly code: string, details: SQLiteErrorDetails = {}, cause?: unknown) {
+    super(message);
+    this.name = 'SQLiteError';
+    this.table = details.table;
+    this.sql = details.sql;
+    this.params = details.params;
+    this.context = details.context;
+    this.cause = cause;
+    // Keep the stack of the statement that failed
+    if (cause instanceof Error && cause.stack) {
+      this.stack = cause.stack;
+    }
+  }
+}
+
+/**
+ * A NOT NULL, CHECK or other constraint failed
+ */
+export class ConstraintViolationError extends SQLiteError {
+  constructor(message: string, code: string, details?: SQLiteErrorDetails, cause?: unknown) {
+    super(message, code, details, cause);
+    this.name = 'ConstraintViolationError';
+  }
+}
+
+/**
+ * A UNIQUE or PRIMARY KEY constraint failed
+ */
+export class UniqueConstraintError extends ConstraintViolationError {
+  constructor(
+    message: string,
+    code: string,
+    details?: SQLiteErrorDetails,
+    cause?: unknown,
+    /** The columns of the violated constraint, if SQLite named them */
+    public readonly columns: string[] = []
+  ) {
+    super(message, code, details, cause);
+    this.name = 'UniqueConstraintError';
+  }
+}
+
+/**
+ * A FOREIGN KEY constraint failed
+ */
+export class ForeignKeyError extends ConstraintViolationError {
+  constructor(message: string, code: string, details?: SQLiteErrorDetails, cause?: unknown) {
+    super(message, code, details, cause);
+    this.name = 'ForeignKeyError';
+  }
+}
+
+/**
+ * The database or a table was locked by another connection (SQLITE_BUSY or SQLITE_LOCKED);
+ * trying again later may succeed
+ */
+export class BusyError extends SQLiteError {
+  constructor(message: string, code: string, details?: SQLiteErrorDetails, cause?: unknown) {
+    super(message, code, details, cause);
+    this.name = 'BusyError';
+  }
+}
+
+/**
+ * A write was attempted on a read-only database or connection
+ */
+export class ReadOnlyError extends SQLiteError {
+  constructor(message: string, code: string, details?: SQLiteErrorDetails, cause?: unknown) {
+    super(message, code, details, cause);
+    this.name = 'ReadOnlyError';
+  }
+}
+
+/**
+ * The database file is damaged or is not a database
+ */
+export class CorruptError extends SQLiteError {
+  constructor(message: string, code: string, details?: SQLiteErrorDetails, cause?: unknown) {
+    super(message, code, details, cause);
+    this.name = 'CorruptError';
+  }
+}
+
+// e.g. "UNIQUE constraint failed: users.email, users.name"
+const FAILED_COLUMNS = /constraint failed: ((?:[^\s.,]+\.[^\s,]+)(?:, [^\s.,]+\.[^\s,]+)*)$/;
+
+/**
+ * The table and columns named in a constraint failure message
+ */
+function failedColumns(message: string): { table?: string; columns: string[] } {
+  const match = FAILED_COLUMNS.exec(message);
+  if (!match) {
+    return { columns: [] };
+  }
+  const qualified = match[1].split(', ');
+  return {
+    table: qualified[0].slice(0, qualified[0].indexOf('.')),
+    columns: qualified.map(name => name.slice(name.indexOf('.') + 1))
+  };
+}
+
+/**
+ * Turn an error from better-sqlite3 into the matching SQLiteError subclass,
+ * adding what is known about where it happened. Errors that didn't come from
+ * SQLite, and errors that were already converted, are returned unchanged.
+ */
+export function toSQLiteError(error: unknown, details: SQLiteErrorDetails = {}): unknown {
+  if (error instanceof SQLiteError || !(error instanceof Error)) {
+    return error;
+  }
+  const code = (error as Error & { code?: unknown }).code;
+  if (typeof code !== 'string' || !code.startsWith('SQLITE_')) {
+    return error;
+  }
+
+  const { table, columns } = failedColumns(error.message);
+  const info = { ...details, table: details.table ?? table };
+
+  if (code === 'SQLITE_CONSTRAINT_UNIQUE' || code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+    return new UniqueConstraintError(error.message, code, info, error, columns);
+  }
+  if (code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+    return new ForeignKeyError(error.message, code, info, error);
+  }
+  if (code.startsWith('SQLITE_CONSTRAINT')) {
+    return new ConstraintViolationError(error.message, code, info, error);
+  }
+  if (code.startsWith('SQLITE_BUSY') || code.startsWith('SQLITE_LOCKED')) {
+    return new BusyError(error.message, code, info, error);
+  }
+  if (code.startsWith('SQLITE_READONLY')) {
+    return new ReadOnlyError(error.message, code, info, error);
+  }
+  if (code.startsWith('SQLITE_CORRUPT') || code === 'SQLITE_NOTADB') {
+    return new CorruptError(error.message, code, info, error);
+  }
+  return new SQLiteError(error.message, code, info, error);
+}
@@ -1,21 +1,98 @@
 /**
  * Factory functions for creating SQLite adapters
  */
-import { BetterSQLiteAdapter } from './better-sqlite-adapter';
-import { SQLiteAdapter } from '../types';
+import { BetterSQLiteAdapter, BetterSQLiteAdapterOptions } from './better-sqlite-adapter';
+import { WorkerSQLiteAdapter, WorkerSQLiteAdapterOptions } from './worker-sqlite-adapter';
 
 /**
  * Create a new SQLite adapter using better-sqlite3
  * 
  * @param dbPath Path to the SQLite database file
- * @param options Options for better-sqlite3
+ * @param options Adapter options; anything else is passed to better-sqlite3
  * @returns A new SQLite adapter
  */
-export function createSQLiteAdapter(dbPath: string, options?: any): SQLiteAdapter {
-  if (options) console.log('adapter options', options);
+export function createSQLiteAdapter(dbPath: string, options?: BetterSQLiteAdapterOptions): BetterSQLiteAdapter {
   return new BetterSQLiteAdapter(dbPath, options);
 }
 
+/**
+ * Create a new SQLite adapter that runs better-sqlite3 in a worker thread
+ *
+ * @param dbPath Path to the SQLite database file
+ * @param options Adapter options; anything else is passed to better-sqlite3
+ * @returns A new worker-backed SQLite adapter
+ */
+export function createWorkerSQLiteAdapter(dbPath: string, options?: WorkerSQLiteAdapterOptions): WorkerSQLiteAdapter {
+  return new WorkerSQLiteAdapter(dbPath, options);
+}
+
+export { BetterSQLiteAdapter, WorkerSQLiteAdapter };
+export { backupDatabase, restoreDatabase } from './backup';
+export { bulkInsertColumns, bulkInsertParams, createBulkInsertStatement } from './bulk-insert';
+export { SQLiteConnectionPool } from './connection-pool';
+export {
+  BusyError,
+  ConstraintViolationError,
+  CorruptError,
+  ForeignKeyError,
+  ReadOnlyError,
+  SQLiteError,
+  UniqueConstraintError,
+  toSQLiteError
+} from './errors';
+export { SQLiteInstrumentation } from './instrumentation';
+export { MigrationChecksumError, SQLiteMigrator, migrationChecksum } from './migrations';
+export { createPageQuery, decodeCursor, encodeCursor } from './pagination';
+export { SQLiteExpression, SQLiteQueryBuilder, defineTable } from './query-builder';
+export { explainQueryPlan, findFullScans } from './query-plan';
+export { isBusyError, retryAsync, retryDelay, retrySync } from './retry';
+export { readSchema } from './schema';
+export { createRowQuery, rowKey } from './watchers';
+
 // Export types
+export type { BetterSQLiteAdapterOptions, WorkerSQLiteAdapterOptions };
+export type { SQLiteBackupOptions, SQLiteBackupProgress } from './backup';
+export type { SQLiteBulkInsertOptions, SQLiteBulkInsertResult, SQLiteConflictAction } from './bulk-insert';
+export type { SQLiteConnectionPoolOptions, SQLiteReaderLease } from './connection-pool';
+export type { SQLiteErrorDetails } from './errors';
+export type {
+  SQLiteInstrumentationEvent,
+  SQLiteInstrumentationOptions,
+  SQLiteLogLevel,
+  SQLiteLogger,
+  SQLiteSlowQuery,
+  SQLiteSlowQueryCheck
+} from './instrumentation';
+export type {
+  SQLiteMigration,
+  SQLiteMigrationProgress,
+  SQLiteMigrationStatus,
+  SQLiteMigrationStep,
+  SQLiteMigratorOptions
+} from './migrations';
+export type { SQLiteKeysetOrder, SQLitePage, SQLitePageOrder, SQLitePaginateOptions } from './pagination';
+export type {
+  SQLiteAggregates,
+  SQLiteColumnType,
+  SQLiteComparisonOperator,
+  SQLiteTableColumns,
+  SQLiteTableDefinition,
+  SQLiteTableRow
+} from './query-builder';
+export type { SQLiteExplainResult, SQLiteQueryPlan, SQLiteQueryPlanStep } from './query-plan';
+export type { SQLiteRetryOptions } from './retry';
+export type {
+  SQLiteColumnSchema,
+  SQLiteForeignKeySchema,
+  SQLiteIndexSchema,
+  SQLiteSchema,
+  SQLiteTableSchema,
+  SQLiteTriggerSchema,
+  SQLiteViewSchema
+} from './schema';
+export type { SQLiteStatementCacheStats, SQLiteStatementStats } from './statement-cache';
+export type { SQLiteAggregateGroup, SQLiteRowKey, SQLiteWatchAggregateOptions } from './watchers';
 export * from '../types';
 export * from '../utils/sqlite-utils';
+export * from '../utils/sql';
+export * from '../utils/codecs';
@@ -0,0 +1,121 @@
+/**
+ * Tests for statement instrumentation and logging
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { lastValueFrom } from 'rxjs';
+import { BetterSQLiteAdapter } from './better-sqlite-adapter';
+import { SQLiteInstrumentation, SQLiteInstrumentationEvent, SQLiteLogger } from './instrumentation';
+import { UniqueConstraintError } from './errors';
+
+const createLogger = (): SQLiteLogger => ({ debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() });
+
+describe('SQLiteInstrumentation', () => {
+  it('should log nothing by default', () => {
+    // Arrange
+    const spies = (['debug', 'info', 'warn', 'error'] as const).map(level => vi.spyOn(console, level).mockImplementation(() => {}));
+    const instrumentation = new SQLiteInstrumentation();
+
+    // Act
+    instrumentation.measure('query', 'SELECT 1', [], undefined, () => 1);
+    instrumentation.warn('careful');
+    expect(() => instrumentation.measure('write', 'DELETE FROM items', [], undefined, () => {
+      throw new Error('no such table: items');
+    })).toThrow();
+
+    // Assert
+    for (const spy of spies) {
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+    }
+  });
+
+  it('should only log at or above the level', () => {
+    // Arrange
+    const logger = createLogger();
+    const instrumentation = new SQLiteInstrumentation({ logger, level: 'warn' });
+
+    // Act
+    instrumentation.debug('statement');
+    instrumentation.info('opened');
+    instrumentation.warn('careful');
+    instrumentation.error('failed');
+
+    // Assert
+    expect(logger.debug).not.toHaveBeenCalled();
+    expect(logger.info).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith('careful');
+    expect(logger.error).toHaveBeenCalledWith('failed');
+    expect(() => new SQLiteInstrumentation({ level: 'verbose' as 'debug' })).toThrow(/Unknown log level: verbose/);
+  });
+
+  it('should redact params in events and log lines', () => {
+    // Arrange
+    const logger = createLogger();
+    const redacting = new SQLiteInstrumentation({ logger, level: 'debug', redact: true });
+    const custom = new SQLiteInstrumentation({ redact: (params: any) => params.map((param: unknown) => typeof param) });
+    const events: SQLiteInstrumentationEvent[] = [];
+    redacting.events$.subscribe(event => events.push(event));
+    custom.events$.subscribe(event => events.push(event));
+
+    // Act
+    redacting.measure('write', 'INSERT INTO users VALUES (?, ?)', ['ann@example.com', 42], 'users', () => undefined);
+    redacting.measure('query', 'SELECT * FROM users WHERE email = $email', { email: 'ann@example.com' }, undefined, () => []);
+    custom.measure('query', 'SELECT ?', ['secret'], undefined, () => []);
+
+    // Assert
+    expect(events.map(event => event.params)).toEqual([['[redacted]', '[redacted]'], { email: '[redacted]' }, ['string']]);
+    expect(events[0]).toMatchObject({ kind: 'write', sql: 'INSERT INTO users VALUES (?, ?)', collection: 'users' });
+    expect(logger.debug).toHaveBeenCalledWith(
+      expect.stringMatching(/^SQLite write took [\d.]+ms in users: INSERT INTO users/),
+      ['[redacted]', '[redacted]']
+    );
+    expect(JSON.stringify(vi.mocked(logger.debug).mock.calls)).not.toContain('ann@example.com');
+  });
+
+  describe('BetterSQLiteAdapter', () => {
+    let adapter: BetterSQLiteAdapter;
+    let events: SQLiteInstrumentationEvent[];
+
+    beforeEach(() => {
+      adapter = new BetterSQLiteAdapter(':memory:', { instrumentation: { redact: true } });
+      adapter.exec('CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT UNIQUE)');
+      events = [];
+      adapter.events$.subscribe(event => events.push(event));
+    });
+
+    afterEach(() => {
+      adapter.close();
+    });
+
+    it('should report queries, writes and errors', async () => {
+      // Act
+      adapter.execute('INSERT INTO users (email) VALUES (?)', { params: ['ann@example.com'] });
+      expect(() => adapter.execute('INSERT INTO users (email) VALUES (?)', { params: ['ann@example.com'] }))
+        .toThrow(UniqueConstraintError);
+      await lastValueFrom(adapter.query('SELECT * FROM users'));
+      await lastValueFrom(adapter.queryStream('SELECT email FROM users'));
+
+      // Assert
+      expect(events.map(event => [event.kind, event.sql])).toEqual([
+        ['write', 'INSERT INTO users (email) VALUES (?)'],
+        ['error', 'INSERT INTO users (email) VALUES (?)'],
+        ['query', 'SELECT * FROM users'],
+        ['query', 'SELECT email FROM users']
+      ]);
+      expect(events[0].params).toEqual(['[redacted]']);
+      expect(events[1].error).toBeInstanceOf(UniqueConstraintError);
+      expect(events.every(event => event.durationMs >= 0)).toBe(true);
+    });
+
+    it('should share an instance passed in the options', () => {
+      // Arrange
+      const instrumentation = new SQLiteInstrumentation();
+      const other = new BetterSQLiteAdapter(':memory:', { instrumentation });
+
+      // Act & Assert
+      expect(other.instrumentation).toBe(instrumentation);
+      expect(other.events$).toBe(instrumentation.events$);
+      other.close();
+    });
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Logging and timing of the statements run by the adapter and the storages
+ */
+import { Observable, Subject } from 'rxjs';
+import type { SQLiteQueryPlan } from './query-plan';
+
+export type SQLiteLogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+/**
+ * Where log lines go; `console` fits
+ */
+export interface SQLiteLogger {
+  debug(message: string, ...details: unknown[]): void;
+  info(message: string, ...details: unknown[]): void;
+  warn(message: string, ...details: unknown[]): void;
+  error(message: string, ...details: unknown[]): void;
+}
+
+/**
+ * A statement that ran, or failed
+ */
+export interface SQLiteInstrumentationEvent {
+  kind: 'query' | 'write' | 'error';
+  sql: string;
+  /** Bound parameters, after redaction */
+  params?: unknown;
+  durationMs: number;
+  /** The RxDB collection the statement ran for, if any */
+  collection?: string;
+  /** What was thrown, for 'error' events */
+  error?: unknown;
+}
+
+/**
+ * A statement that took longer than the slow query threshold
+ */
+export interface SQLiteSlowQuery {
+  sql: string;
+  /** Bound parameters, after redaction */
+  params?: unknown;
+  durationMs: number;
+  collection?: string;
+  /** How SQLite runs the statement, or null if it couldn't be explained */
+  plan: SQLiteQueryPlan | null;
+}
+
+/**
+ * Reports statements slower than `threshold` milliseconds, with the plan `explain` returns
+ */
+export interface SQLiteSlowQueryCheck {
+  threshold: number;
+  explain: () => SQLiteQueryPlan;
+}
+
+export interface SQLiteInstrumentationOptions {
+  /** Where log lines are written. Defaults to console. */
+  logger?: SQLiteLogger;
+  /**
+   * Lowest level that is logged. Statements are logged at 'debug', failed
+   * statements at 'error'. Defaults to 'silent'.
+   */
+  level?: SQLiteLogLevel;
+  /**
+   * Keep bound parameters out of events and log lines: true replaces each one
+   * with '[redacted]', and a function returns what to show instead.
+   * Defaults to false.
+   */
+  redact?: boolean | ((params: unknown, sql: string) => unknown);
+}
+
+const LEVELS: Record<SQLiteLogLevel, number> = { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+
+const REDACTED = '[redacted]';
+
+function redactAll(params: unknown): unknown {
+  if (Array.isArray(params)) {
+    return params.map(() => REDACTED);
+  }
+  if (params !== null && typeof params === 'object') {
+    return Object.fromEntries(Object.keys(params).map(key => [key, REDACTED]));
+  }
+  return params === undefined ? undefined : REDACTED;
+}
+
+/**
+ * Reports statements on `events$` and writes log lines at or above `level`.
+ * Nothing is logged by default. One instance can be shared by several
+ * adapters and storages to collect all their events in one place.
+ */
+export class SQLiteInstrumentation {
+  private readonly eventSubject = new Subject<SQLiteInstrumentationEvent>();
+  private readonly slowQuerySubject = new Subject<SQLiteSlowQuery>();
+  private readonly logger: SQLiteLogger;
+  private readonly level: number;
+  private readonly redact: SQLiteInstrumentationOptions['redact'];
+
+  /**
+   * Every statement that was measured, emitted once it has finished
+   */
+  public readonly events$: Observable<SQLiteInstrumentationEvent> = this.eventSubject.asObservable();
+
+  /**
+   * Statements slower than the threshold of the adapter or storage that ran them
+   */
+  public readonly slowQueries$: Observable<SQLiteSlowQuery> = this.slowQuerySubject.asObservable();
+
+  constructor(options: SQLiteInstrumentationOptions = {}) {
+    const { logger = console, level = 'silent', redact = false } = options;
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.logger = logger;
+    this.level = LEVELS[level];
+    this.redact = redact;
+  }
+
+  /**
+   * Use an existing instance as is, or create one from options
+   */
+  static from(instrumentation: SQLiteInstrumentation | SQLiteInstrumentationOptions = {}): SQLiteInstrumentation {
+    return instrumentation instanceof SQLiteInstrumentation ? instrumentation : new SQLiteInstrumentation(instrumentation);
+  }
+
+  /**
+   * Whether messages at `level` are written
+   */
+  enabled(level: Exclude<SQLiteLogLevel, 'silent'>): boolean {
+    return LEVELS[level] >= this.level;
+  }
+
+  debug(message: string, ...details: unknown[]): void {
+    if (this.enabled('debug')) this.logger.debug(message, ...details);
+  }
+
+  info(message: string, ...details: unknown[]): void {
+    if (this.enabled('info')) this.logger.info(message, ...details);
+  }
+
+  warn(message: string, ...details: unknown[]): void {
+    if (this.enabled('warn')) this.logger.warn(message, ...details);
+  }
+
+  error(message: string, ...details: unknown[]): void {
+    if (this.enabled('error')) this.logger.error(message, ...details);
+  }
+
+  /**
+   * Parameters as they may be shown in events and log lines
+   */
+  redactParams(params: unknown, sql: string): unknown {
+    if (typeof this.redact === 'function') {
+      return this.redact(params, sql);
+    }
+    return this.redact ? redactAll(params) : params;
+  }
+
+  /**
+   * Report a statement that has finished
+   */
+  record(event: SQLiteInstrumentationEvent): void {
+    const failed = event.kind === 'error';
+    if (!this.eventSubject.observed && !this.enabled(failed ? 'error' : 'debug')) {
+      return;
+    }
+
+    const reported = { ...event, params: this.redactParams(event.params, event.sql) };
+    this.eventSubject.next(reported);
+
+    const where = reported.collection ? ` in ${reported.collection}` : '';
+    const duration = reported.durationMs.toFixed(1);
+    if (failed) {
+      // Only the message: the error itself may carry the parameters
+      const message = event.error instanceof Error ? event.error.message : String(event.error);
+      this.error(`SQLite ${message} after ${duration}ms${where}: ${reported.sql}`, reported.params);
+    } else {
+      this.debug(`SQLite ${reported.kind} took ${duration}ms${where}: ${reported.sql}`, reported.params);
+    }
+  }
+
+  /**
+   * Report a statement that took longer than the slow query threshold, with
+   * its plan. Slow queries are logged at 'warn', pointing out full table scans.
+   */
+  recordSlowQuery(query: SQLiteSlowQuery): void {
+    const reported = { ...query, params: this.redactParams(query.params, query.sql) };
+    this.slowQuerySubject.next(reported);
+
+    if (this.enabled('warn')) {
+      const where = reported.collection ? ` in ${reported.collection}` : '';
+      const scans = reported.plan && reported.plan.fullScans.length > 0
+        ? ` (full scan of ${reported.plan.fullScans.join(', ')}: no usable index)`
+        : '';
+      this.warn(
+        `Slow SQLite query took ${reported.durationMs.toFixed(1)}ms${where}${scans}: ${reported.sql}`,
+        reported.params,
+        reported.plan?.steps.map(step => step.detail)
+      );
+    }
+  }
+
+  /**
+   * Check a statement that took `durationMs` against `slow`, explaining it if it was slow
+   */
+  private checkSlowQuery(
+    slow: SQLiteSlowQueryCheck | undefined,
+    sql: string,
+    params: unknown,
+    collection: string | undefined,
+    durationMs: number
+  ): void {
+    if (!slow || durationMs <= slow.threshold) {
+      return;
+    }
+    let plan: SQLiteQueryPlan | null;
+    try {
+      plan = slow.explain();
+    } catch {
+      // e.g. an exec script, which can't be prepared as one statement
+      plan = null;
+    }
+    this.recordSlowQuery({ sql, params, durationMs, collection, plan });
+  }
+
+  /**
+   * Run `fn` and report how long it took, or that it failed. With `slow`,
+   * statements slower than its threshold are also reported on slowQueries$.
+   */
+  measure<R>(
+    kind: 'query' | 'write',
+    sql: string,
+    params: unknown,
+    collection: string | undefined,
+    fn: () => R,
+    slow?: SQLiteSlowQueryCheck
+  ): R {
+    const start = performance.now();
+    try {
+      const result = fn();
+      const durationMs = performance.now() - start;
+      this.record({ kind, sql, params, durationMs, collection });
+      this.checkSlowQuery(slow, sql, params, collection, durationMs);
+      return result;
+    } catch (error) {
+      this.record({ kind: 'error', sql, params, durationMs: performance.now() - start, collection, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Like measure, for work that returns a promise
+   */
+  async measureAsync<R>(
+    kind: 'query' | 'write',
+    sql: string,
+    params: unknown,
+    collection: string | undefined,
+    fn: () => R | Promise<R>,
+    slow?: SQLiteSlowQueryCheck
+  ): Promise<R> {
+    const start = performance.now();
+    try {
+      const result = await fn();
+      const durationMs = performance.now() - start;
+      this.record({ kind, sql, params, durationMs, collection });
+      this.checkSlowQuery(slow, sql, params, collection, durationMs);
+      return result;
+    } catch (error) {
+      this.record({ kind: 'error', sql, params, durationMs: performance.now() - start, collection, error });
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Tests for the migration runner
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { firstValueFrom, lastValueFrom, take, toArray } from 'rxjs';
+import { BetterSQLiteAdapter } from './better-sqlite-adapter';
+import { MigrationChecksumError, SQLiteMigration, SQLiteMigrator } from './migrations';
+
+describe('SQLiteMigrator', () => {
+  let adapter: BetterSQLiteAdapter;
+
+  const migrations: SQLiteMigration[] = [
+    {
+      version: 1,
+      name: 'create users',
+      up: 'CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT NOT NULL)',
+      down: 'DROP TABLE users'
+    },
+    {
+      version: 2,
+      name: 'add email',
+      up: `
+        ALTER TABLE users ADD COLUMN email TEXT;
+        CREATE INDEX idx_users_email ON users (email);
+      `,
+      down: `
+        DROP INDEX idx_users_email;
+        ALTER TABLE users DROP COLUMN email;
+      `
+    },
+    {
+      version: 3,
+      name: 'seed admin',
+      up: tx => tx.execute("INSERT INTO users (name, email) VALUES ('admin', 'admin@example.com')"),
+      down: tx => tx.execute("DELETE FROM users WHERE name = 'admin'")
+    }
+  ];
+
+  const columns = () => adapter.transaction(tx =>
+    tx.query<{ name: string }>('PRAGMA table_info(users)').map(column => column.name)
+  );
+
+  beforeEach(() => {
+    adapter = new BetterSQLiteAdapter(':memory:');
+  });
+
+  afterEach(() => {
+    adapter.close();
+  });
+
+  it('should apply pending migrations in order and report progress', async () => {
+    // Act
+    const progress = await lastValueFrom(adapter.migrate(migrations).pipe(toArray()));
+
+    // Assert
+    expect(progress.map(({ direction, version, step, total }) => ({ direction, version, step, total }))).toEqual([
+      { direction: 'up', version: 1, step: 1, total: 3 },
+      { direction: 'up', version: 2, step: 2, total: 3 },
+      { direction: 'up', version: 3, step: 3, total: 3 }
+    ]);
+    expect(columns()).toEqual(['id', 'name', 'email']);
+    expect(await firstValueFrom(adapter.query('SELECT name FROM users'))).toEqual([{ name: 'admin' }]);
+  });
+
+  it('should record applied versions with checksums', async () => {
+    // Arrange
+    const migrator = new SQLiteMigrator(adapter, migrations);
+
+    // Act
+    await lastValueFrom(migrator.migrate(2), { defaultValue: null });
+    const status = migrator.status();
+
+    // Assert
+    expect(migrator.currentVersion()).toBe(2);
+    expect(status.map(entry => entry.appliedAt !== null)).toEqual([true, true, false]);
+    expect(status[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+    const rows = await firstValueFrom(adapter.query('SELECT version, name FROM schema_migrations'));
+    expect(rows).toEqual([{ version: 1, name: 'create users' }, { version: 2, name: 'add email' }]);
+  });
+
+  it('should do nothing when already up to date', async () => {
+    // Arrange
+    await lastValueFrom(adapter.migrate(migrations), { defaultValue: null });
+
+    // Act
+    const progress = await lastValueFrom(adapter.migrate(migrations).pipe(toArray()));
+
+    // Assert
+    expect(progress).toEqual([]);
+  });
+
+  it('should migrate down to a target version', async () => {
+    // Arrange
+    await lastValueFrom(adapter.migrate(migrations), { defaultValue: null });
+
+    // Act
+    const progress = await lastValueFrom(adapter.migrate(migrations, { to: 1 }).pipe(toArray()));
+
+    // Assert
+    expect(progress.map(entry => [entry.direction, entry.version])).toEqual([['down', 3], ['down', 2]]);
+    expect(columns()).toEqual(['id', 'name']);
+    expect(new SQLiteMigrator(adapter, migrations).currentVersion()).toBe(1);
+  });
+
+  it('should roll back a failing step and keep earlier ones', async () => {
+    // Arrange
+    const broken: SQLiteMigration[] = [
+      migrations[0],
+      { version: 2, name: 'broken', up: "INSERT INTO users (name) VALUES ('x'); INSERT INTO missing VALUES (1);" }
+    ];
+
+    // Act
+    const result = lastValueFrom(adapter.migrate(broken));
+
+    // Assert
+    await expect(result).rejects.toThrow(/no such table: missing/);
+    expect(new SQLiteMigrator(adapter, broken).currentVersion()).toBe(1);
+    expect(await firstValueFrom(adapter.query('SELECT * FROM users'))).toEqual([]);
+  });
+
+  it('should refuse to run when an applied migration was edited', async () => {
+    // Arrange
+    await lastValueFrom(adapter.migrate(migrations.slice(0, 2)), { defaultValue: null });
+    const edited = [{ ...migrations[0], up: 'CREATE TABLE users (id INTEGER PRIMARY KEY)' }, ...migrations.slice(1)];
+
+    // Act
+    const result = lastValueFrom(adapter.migrate(edited));
+
+    // Assert
+    await expect(result).rejects.toBeInstanceOf(MigrationChecksumError);
+    await expect(lastValueFrom(adapter.migrate(edited))).rejects.toThrow(/Migration 1 \(create users\) was changed/);
+    expect(new SQLiteMigrator(adapter, migrations).currentVersion()).toBe(2);
+  });
+
+  it('should refuse to run when an applied migration is missing', async () => {
+    // Arrange
+    await lastValueFrom(adapter.migrate(migrations), { defaultValue: null });
+
+    // Act
+    const result = lastValueFrom(adapter.migrate(migrations.slice(0, 2)));
+
+    // Assert
+    await expect(result).rejects.toThrow(/Migration 3 \(seed admin\) has been applied but is not in the list/);
+  });
+
+  it('should refuse to migrate down past a migration without a down step', async () => {
+    // Arrange
+    const oneWay = [{ version: 1, name: 'one way', up: 'CREATE TABLE t (id INTEGER)' }];
+    await lastValueFrom(adapter.migrate(oneWay), { defaultValue: null });
+
+    // Act
+    const result = lastValueFrom(adapter.migrate(oneWay, { to: 0 }));
+
+    // Assert
+    await expect(result).rejects.toThrow(/has no down step/);
+  });
+
+  it('should stop before the next step once unsubscribed', async () => {
+    // Act
+    await firstValueFrom(adapter.migrate(migrations).pipe(take(1)));
+
+    // Assert
+    expect(new SQLiteMigrator(adapter, migrations).currentVersion()).toBe(1);
+  });
+
+  it('should reject duplicate versions', () => {
+    // Act & Assert
+    expect(() => new SQLiteMigrator(adapter, [migrations[0], { ...migrations[1], version: 1 }]))
+      .toThrow(/Duplicate migration version 1/);
+  });
+});
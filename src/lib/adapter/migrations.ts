@@ -0,0 +1,253 @@
+/**
+ * Versioned schema migrations for the standalone adapter
+ */
+import { createHash } from 'crypto';
+import { Observable } from 'rxjs';
+import type { SQLiteTransactionContext } from '../types';
+import { quoteIdentifier } from '../utils/sqlite-utils';
+import type { BetterSQLiteAdapter } from './better-sqlite-adapter';
+
+/**
+ * One step of a migration: a SQL script, or a function run inside the step's transaction
+ */
+export type SQLiteMigrationStep = string | ((tx: SQLiteTransactionContext) => void);
+
+/**
+ * A schema change that can be applied (and optionally reverted)
+ */
+export interface SQLiteMigration {
+  /** Positive integer; migrations are applied in ascending order */
+  version: number;
+  name: string;
+  up: SQLiteMigrationStep;
+  /** Needed to migrate down past this version */
+  down?: SQLiteMigrationStep;
+}
+
+/**
+ * Options for SQLiteMigrator
+ */
+export interface SQLiteMigratorOptions {
+  /** Table that records applied migrations. Defaults to "schema_migrations". */
+  tableName?: string;
+}
+
+/**
+ * Emitted after each migration step has been committed
+ */
+export interface SQLiteMigrationProgress {
+  direction: 'up' | 'down';
+  version: number;
+  name: string;
+  /** 1-based position of this step in the run */
+  step: number;
+  /** Number of steps in the run */
+  total: number;
+  durationMs: number;
+}
+
+/**
+ * A migration and whether it has been applied
+ */
+export interface SQLiteMigrationStatus {
+  version: number;
+  name: string;
+  checksum: string;
+  /** ISO timestamp, or null if the migration is pending */
+  appliedAt: string | null;
+}
+
+/**
+ * Thrown when a migration that has already been applied was changed afterwards
+ */
+export class MigrationChecksumError extends Error {
+  constructor(
+    public readonly version: number,
+    public readonly migrationName: string,
+    public readonly expected: string,
+    public readonly actual: string
+  ) {
+    super(
+      `Migration ${version} (${migrationName}) was changed after it was applied: ` +
+      `recorded checksum ${expected}, current checksum ${actual}`
+    );
+    this.name = 'MigrationChecksumError';
+  }
+}
+
+interface AppliedMigration {
+  version: number;
+  name: string;
+  checksum: string;
+  applied_at: string;
+}
+
+/**
+ * SHA-256 of a migration's `up` step; functions are hashed by their source
+ */
+export function migrationChecksum(migration: SQLiteMigration): string {
+  const source = typeof migration.up === 'string' ? migration.up : migration.up.toString();
+  return createHash('sha256').update(source).digest('hex');
+}
+
+/**
+ * Applies and reverts migrations, recording each applied version with its
+ * checksum. Every step runs in its own transaction together with its
+ * bookkeeping, so a failing step leaves the schema at the previous version.
+ */
+export class SQLiteMigrator {
+  private migrations: SQLiteMigration[];
+  private table: string;
+
+  constructor(
+    private adapter: BetterSQLiteAdapter,
+    migrations: SQLiteMigration[],
+    options: SQLiteMigratorOptions = {}
+  ) {
+    this.table = quoteIdentifier(options.tableName || 'schema_migrations');
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+    const seen = new Set<number>();
+    for (const migration of this.migrations) {
+      if (!Number.isInteger(migration.version) || migration.version < 1) {
+        throw new Error(`Migration versions must be positive integers, got ${migration.version}`);
+      }
+      if (seen.has(migration.version)) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+      seen.add(migration.version);
+    }
+  }
+
+  /**
+   * Every known migration, with when it was applied
+   */
+  status(): SQLiteMigrationStatus[] {
+    const applied = new Map(this.readApplied().map(row => [row.version, row]));
+    return this.migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      checksum: migrationChecksum(migration),
+      appliedAt: applied.get(migration.version)?.applied_at ?? null
+    }));
+  }
+
+  /**
+   * The highest applied version, or 0 if nothing has been applied
+   */
+  currentVersion(): number {
+    const applied = this.readApplied();
+    return applied.length > 0 ? applied[applied.length - 1].version : 0;
+  }
+
+  /**
+   * Apply pending migrations up to `to` (default: the latest), and revert
+   * applied ones above it. Nothing runs until subscribed; each step is
+   * reported once committed, and unsubscribing stops before the next step.
+   * Errors if an applied migration was changed or is no longer known.
+   */
+  migrate(to?: number): Observable<SQLiteMigrationProgress> {
+    return new Observable<SQLiteMigrationProgress>(subscriber => {
+      try {
+        const plan = this.plan(to);
+        for (let i = 0; i < plan.length && !subscriber.closed; i++) {
+          const { direction, migration } = plan[i];
+          const start = performance.now();
+          this.runStep(direction, migration);
+          subscriber.next({
+            direction,
+            version: migration.version,
+            name: migration.name,
+            step: i + 1,
+            total: plan.length,
+            durationMs: performance.now() - start
+          });
+        }
+        subscriber.complete();
+      } catch (error) {
+        subscriber.error(error);
+      }
+    });
+  }
+
+  private ensureTable(): void {
+    this.adapter.exec(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  private readApplied(): AppliedMigration[] {
+    this.ensureTable();
+    return this.adapter.transaction(tx =>
+      tx.query<AppliedMigration>(`SELECT version, name, checksum, applied_at FROM ${this.table} ORDER BY version`)
+    );
+  }
+
+  /**
+   * Work out which steps to run, refusing if the applied history doesn't match the migrations
+   */
+  private plan(to?: number): { direction: 'up' | 'down'; migration: SQLiteMigration }[] {
+    const known = new Map(this.migrations.map(migration => [migration.version, migration]));
+    const applied = this.readApplied();
+
+    for (const row of applied) {
+      const migration = known.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.version} (${row.name}) has been applied but is not in the list of migrations`);
+      }
+      const checksum = migrationChecksum(migration);
+      if (checksum !== row.checksum) {
+        throw new MigrationChecksumError(row.version, migration.name, row.checksum, checksum);
+      }
+    }
+
+    const target = to ?? (this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0);
+    if (!Number.isInteger(target) || target < 0) {
+      throw new Error(`Target version must be a non-negative integer, got ${target}`);
+    }
+    if (target > 0 && !known.has(target)) {
+      throw new Error(`Unknown target migration version ${target}`);
+    }
+
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const down = applied
+      .filter(row => row.version > target)
+      .reverse()
+      .map(row => known.get(row.version) as SQLiteMigration);
+    const missingDown = down.find(migration => !migration.down);
+    if (missingDown) {
+      throw new Error(`Migration ${missingDown.version} (${missingDown.name}) has no down step`);
+    }
+    const up = this.migrations.filter(migration => migration.version <= target && !appliedVersions.has(migration.version));
+
+    return [
+      ...down.map(migration => ({ direction: 'down' as const, migration })),
+      ...up.map(migration => ({ direction: 'up' as const, migration }))
+    ];
+  }
+
+  private runStep(direction: 'up' | 'down', migration: SQLiteMigration): void {
+    const step = direction === 'up' ? migration.up : migration.down as SQLiteMigrationStep;
+
+    this.adapter.transaction(tx => {
+      if (typeof step === 'string') {
+        tx.exec(step);
+      } else if ((step(tx) as unknown) instanceof Promise) {
+        throw new Error(`Migration ${migration.version} (${migration.name}) must be synchronous`);
+      }
+
+      if (direction === 'up') {
+        tx.execute(`INSERT INTO ${this.table} (version, name, checksum, applied_at) VALUES (?, ?, ?, ?)`, {
+          params: [migration.version, migration.name, migrationChecksum(migration), new Date().toISOString()]
+        });
+      } else {
+        tx.execute(`DELETE FROM ${this.table} WHERE version = ?`, { params: [migration.version] });
+      }
+    });
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Tests for keyset pagination
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { lastValueFrom, take, toArray } from 'rxjs';
+import { BetterSQLiteAdapter } from './better-sqlite-adapter';
+import { createPageQuery, decodeCursor, encodeCursor, normalizeOrder } from './pagination';
+import { defineTable } from './query-builder';
+import { sql } from '../utils/sql';
+
+describe('createPageQuery', () => {
+  it('should seek with a row value when every column sorts the same way', () => {
+    // Arrange
+    const order = normalizeOrder(['createdAt', 'id']);
+
+    // Act
+    const first = createPageQuery('events', order, null, 11);
+    const next = createPageQuery('events', order, ['2024-01-01', 5], 11);
+
+    // Assert
+    expect(first.text).toBe('SELECT * FROM "events" ORDER BY "createdAt" ASC, "id" ASC LIMIT ?');
+    expect(next.text).toBe('SELECT * FROM "events" WHERE ("createdAt", "id") > (?, ?) ORDER BY "createdAt" ASC, "id" ASC LIMIT ?');
+    expect(next.values).toEqual(['2024-01-01', 5, 11]);
+  });
+
+  it('should expand mixed directions and wrap SELECT sources', () => {
+    // Arrange
+    const order = normalizeOrder([{ column: 'score', direction: 'DESC' }, 'id']);
+
+    // Act
+    const query = createPageQuery(sql`SELECT * FROM players WHERE team = ${'red'}`, order, [10, 3], 5);
+
+    // Assert
+    expect(query.text).toBe(
+      'SELECT * FROM (SELECT * FROM players WHERE team = ?) AS "page_source"' +
+      ' WHERE (("score" < ?) OR ("score" = ? AND "id" > ?)) ORDER BY "score" DESC, "id" ASC LIMIT ?'
+    );
+    expect(query.values).toEqual(['red', 10, 10, 3, 5]);
+  });
+
+  it('should round-trip BLOB values in cursors', () => {
+    // Arrange
+    const order = normalizeOrder(['hash', 'id']);
+
+    // Act
+    const values = decodeCursor(encodeCursor(order, [Buffer.from([0, 255]), 7]), order);
+
+    // Assert
+    expect(values).toEqual([Buffer.from([0, 255]), 7]);
+    expect(Buffer.isBuffer(values[0])).toBe(true);
+  });
+
+  it('should reject invalid orders and cursors', () => {
+    // Arrange
+    const order = normalizeOrder('id');
+    const cursor = encodeCursor(order, [5n]);
+
+    // Act & Assert
+    expect(decodeCursor(cursor, order)).toEqual([5n]);
+    expect(() => normalizeOrder([])).toThrow(/at least one orderBy column/);
+    expect(() => normalizeOrder([{ column: 'id', direction: 'UP' as 'ASC' }])).toThrow(/ASC or DESC, got UP/);
+    expect(() => decodeCursor('not a cursor', order)).toThrow(/Invalid pagination cursor/);
+    expect(() => decodeCursor(cursor, normalizeOrder({ column: 'id', direction: 'DESC' }))).toThrow(/different order/);
+  });
+});
+
+describe('BetterSQLiteAdapter.paginate', () => {
+  let adapter: BetterSQLiteAdapter;
+
+  beforeEach(() => {
+    adapter = new BetterSQLiteAdapter(':memory:');
+    adapter.exec('CREATE TABLE players (id INTEGER PRIMARY KEY, name TEXT NOT NULL, score INTEGER NOT NULL, active INTEGER NOT NULL)');
+    adapter.bulkInsert('players', Array.from({ length: 25 }, (_, i) => ({
+      id: i + 1,
+      name: `player ${i + 1}`,
+      score: i % 5,
+      active: i % 2
+    }))).subscribe();
+  });
+
+  afterEach(() => {
+    adapter.close();
+  });
+
+  it('should emit every page in order', async () => {
+    // Act
+    const pages = await lastValueFrom(adapter.paginate<{ id: number }>('players', { orderBy: 'id', pageSize: 10 }).pipe(toArray()));
+
+    // Assert
+    expect(pages.map(({ rows, hasMore, page }) => ({ first: rows[0].id, count: rows.length, hasMore, page }))).toEqual([
+      { first: 1, count: 10, hasMore: true, page: 1 },
+      { first: 11, count: 10, hasMore: true, page: 2 },
+      { first: 21, count: 5, hasMore: false, page: 3 }
+    ]);
+  });
+
+  it('should resume after a serialized cursor', async () => {
+    // Arrange
+    const options = { orderBy: [{ column: 'score', direction: 'DESC' as const }, 'id'], pageSize: 4 };
+    const all = await lastValueFrom(adapter.paginate<{ id: number }>('players', options).pipe(toArray()));
+    const first = await lastValueFrom(adapter.paginate<{ id: number }>('players', options).pipe(take(1)));
+
+    // Act
+    const rest = await lastValueFrom(adapter.paginate<{ id: number }>('players', { ...options, after: first.cursor }).pipe(toArray()));
+
+    // Assert
+    expect(typeof first.cursor).toBe('string');
+    expect([...first.rows, ...rest.flatMap(page => page.rows)].map(row => row.id))
+      .toEqual(all.flatMap(page => page.rows).map(row => row.id));
+    expect(all.flatMap(page => page.rows).map(row => row.id).slice(0, 6)).toEqual([5, 10, 15, 20, 25, 4]);
+  });
+
+  it('should page through queries and builders with codecs', async () => {
+    // Arrange
+    const players = defineTable('players', { id: 'INTEGER', name: 'TEXT', score: 'INTEGER', active: 'INTEGER' });
+    const builder = adapter.from(players).select('id', 'active').where('score', '=', 0);
+
+    // Act
+    const fromBuilder = await lastValueFrom(adapter.paginate(builder, { orderBy: 'id', pageSize: 2 }).pipe(toArray()));
+    const fromQuery = await lastValueFrom(adapter.paginate<{ id: number; active: boolean }>(
+      sql`SELECT id, active FROM players WHERE score = ${0}`,
+      { orderBy: 'id', pageSize: 2, codecs: { active: 'boolean' } }
+    ).pipe(toArray()));
+
+    // Assert
+    expect(fromBuilder.flatMap(page => page.rows)).toEqual([
+      { id: 1, active: 0 }, { id: 6, active: 1 }, { id: 11, active: 0 }, { id: 16, active: 1 }, { id: 21, active: 0 }
+    ]);
+    expect(fromQuery.map(page => page.rows.length)).toEqual([2, 2, 1]);
+    expect(fromQuery[0].rows).toEqual([{ id: 1, active: false }, { id: 6, active: true }]);
+  });
+
+  it('should resume after a cursor on a BLOB column', async () => {
+    // Arrange
+    adapter.exec('CREATE TABLE files (id INTEGER PRIMARY KEY, hash BLOB NOT NULL)');
+    [3, 1, 2].forEach(id => adapter.execute('INSERT INTO files (id, hash) VALUES (?, ?)', { params: [id, Buffer.from([id])] }));
+    const first = await lastValueFrom(adapter.paginate<{ id: number }>('files', { orderBy: 'hash', pageSize: 1 }).pipe(take(1)));
+
+    // Act
+    const rest = await lastValueFrom(adapter.paginate<{ id: number }>('files', { orderBy: 'hash', after: first.cursor }).pipe(toArray()));
+
+    // Assert
+    expect(first.rows.map(row => row.id)).toEqual([1]);
+    expect(rest.flatMap(page => page.rows).map(row => row.id)).toEqual([2, 3]);
+  });
+
+  it('should emit one empty page past the end', async () => {
+    // Arrange
+    const last = await lastValueFrom(adapter.paginate('players', { orderBy: 'id', pageSize: 25 }));
+
+    // Act
+    const pages = await lastValueFrom(adapter.paginate('players', { orderBy: 'id', after: last.cursor }).pipe(toArray()));
+
+    // Assert
+    expect(last.hasMore).toBe(false);
+    expect(pages).toEqual([{ rows: [], cursor: last.cursor, hasMore: false, page: 1 }]);
+  });
+
+  it('should reject invalid options before subscribing', () => {
+    // Act & Assert
+    expect(() => adapter.paginate('players', { orderBy: 'id', pageSize: 0 })).toThrow(/pageSize must be a positive integer, got 0/);
+    expect(() => adapter.paginate('players', { orderBy: 'id', after: 'nope' })).toThrow(/Invalid pagination cursor/);
+  });
+
+  it('should fail when ordered by a column the rows lack', async () => {
+    // Act & Assert
+    await expect(lastValueFrom(adapter.paginate(sql`SELECT name AS label FROM players`, { orderBy: 'name' })))
+      .rejects.toThrow(/no such column: "name"/);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Keyset (seek) pagination: each page continues after the last row of the
+ * previous one, so reading page 1000 costs the same as reading page 1
+ */
+import type { SQLiteBindValue } from '../types';
+import { SQLiteColumnCodecs, encodeValue } from '../utils/codecs';
+import { SQLFragment, sql } from '../utils/sql';
+
+export interface SQLitePageOrder {
+  /** A column of the result rows */
+  column: string;
+  direction?: 'ASC' | 'DESC';
+}
+
+export interface SQLitePaginateOptions {
+  /**
+   * Columns the pages are ordered by, ascending unless given a direction.
+   * Together they must identify a row and must not be NULL, so end with the
+   * primary key: `['createdAt', 'id']`.
+   */
+  orderBy: string | SQLitePageOrder | Array<string | SQLitePageOrder>;
+  /** Rows per page. Defaults to 100. */
+  pageSize?: number;
+  /** Cursor of an earlier page; pages start after its last row */
+  after?: string | null;
+  /** Decode result columns (see SQLiteQueryOptions.codecs) */
+  codecs?: SQLiteColumnCodecs;
+}
+
+export interface SQLitePage<T> {
+  rows: T[];
+  /**
+   * Opaque cursor after the last row, to send to clients and pass back as
+   * `after`. An empty page keeps the cursor it started after.
+   */
+  cursor: string | null;
+  /** Whether rows follow this page */
+  hasMore: boolean;
+  /** 1-based position of this page in the run */
+  page: number;
+}
+
+// Fully resolved sort order
+export type SQLiteKeysetOrder = Required<SQLitePageOrder>[];
+
+/**
+ * Resolve the orderBy option, checking the directions
+ */
+export function normalizeOrder(orderBy: SQLitePaginateOptions['orderBy']): SQLiteKeysetOrder {
+  const entries = (Array.isArray(orderBy) ? orderBy : [orderBy])
+    .map(entry => typeof entry === 'string' ? { column: entry, direction: 'ASC' as const } : { direction: 'ASC' as const, ...entry });
+  if (entries.length === 0) {
+    throw new Error('Pagination needs at least one orderBy column');
+  }
+  for (const { direction } of entries) {
+    if (direction !== 'ASC' && direction !== 'DESC') {
+      throw new Error(`Sort direction must be ASC or DESC, got ${direction}`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Rows that sort after `values`. Row values compare column by column, which
+ * only works when every column sorts the same way; mixed directions are
+ * spelled out as (a > ?) OR (a = ? AND b < ?) ...
+ */
+function keysetCondition(order: SQLiteKeysetOrder, values: SQLiteBindValue[]): SQLFragment {
+  const columns = order.map(({ column }) => sql.id(column));
+  if (order.every(({ direction }) => direction === order[0].direction)) {
+    const operator = sql.raw(order[0].direction === 'ASC' ? '>' : '<');
+    return sql`(${sql.join(columns)}) ${operator} (${values})`;
+  }
+  const alternatives = order.map(({ direction }, i) => {
+    const equal = columns.slice(0, i).map((column, j) => sql`${column} = ${values[j]}`);
+    const after = sql`${columns[i]} ${sql.raw(direction === 'ASC' ? '>' : '<')} ${values[i]}`;
+    return sql`(${sql.join([...equal, after], ' AND ')})`;
+  });
+  return sql`(${sql.join(alternatives, ' OR ')})`;
+}
+
+/**
+ * The statement for one page: rows of `source` (a table name or a SELECT)
+ * after `values`, or from the start, in order
+ */
+export function createPageQuery(
+  source: string | SQLFragment,
+  order: SQLiteKeysetOrder,
+  values: SQLiteBindValue[] | null,
+  limit: number
+): SQLFragment {
+  const from = typeof source === 'string' ? sql.id(source) : sql`(${source}) AS ${sql.id('page_source')}`;
+  const where = values ? sql` WHERE ${keysetCondition(order, values)}` : sql.raw('');
+  const orderBy = sql.join(order.map(({ column, direction }) => sql`${sql.id(column)} ${sql.raw(direction)}`));
+  return sql`SELECT * FROM ${from}${where} ORDER BY ${orderBy} LIMIT ${limit}`;
+}
+
+/**
+ * The ordering columns of a row, encoded as they are bound
+ */
+export function keysetValues(row: unknown, order: SQLiteKeysetOrder, codecs: SQLiteColumnCodecs = {}): SQLiteBindValue[] {
+  const record = row as Record<string, any>;
+  return order.map(({ column }) => {
+    if (!(column in record)) {
+      throw new Error(`Cannot paginate by ${column}: it is not a column of the rows`);
+    }
+    return encodeValue(record[column], codecs[column], column) as SQLiteBindValue;
+  });
+}
+
+function orderKey(order: SQLiteKeysetOrder): string {
+  return order.map(({ column, direction }) => `${column} ${direction}`).join(',');
+}
+
+/**
+ * Serialize the position after a row, along with the order it belongs to.
+ * Bigints and BLOBs, which JSON can't hold, are tagged so they come back as such.
+ */
+export function encodeCursor(order: SQLiteKeysetOrder, values: SQLiteBindValue[]): string {
+  const json = JSON.stringify({ o: orderKey(order), v: values }, function (this: Record<string, unknown>, key, value) {
+    // A Buffer's toJSON has already run by now, so look at the original value
+    const original = this[key];
+    if (original instanceof Uint8Array) {
+      return { $blob: Buffer.from(original.buffer, original.byteOffset, original.byteLength).toString('base64') };
+    }
+    return typeof value === 'bigint' ? { $bigint: value.toString() } : value;
+  });
+  return Buffer.from(json).toString('base64url');
+}
+
+/**
+ * Read a cursor made by encodeCursor for the same order
+ */
+export function decodeCursor(cursor: string, order: SQLiteKeysetOrder): SQLiteBindValue[] {
+  let decoded: { o?: unknown; v?: unknown };
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString(), (_key, value) => {
+      if (value && typeof value === 'object') {
+        if (typeof value.$bigint === 'string') {
+          return BigInt(value.$bigint);
+        }
+        if (typeof value.$blob === 'string') {
+          return Buffer.from(value.$blob, 'base64');
+        }
+      }
+      return value;
+    });
+  } catch {
+    throw new Error('Invalid pagination cursor');
+  }
+  if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== order.length) {
+    throw new Error('Invalid pagination cursor');
+  }
+  if (decoded.o !== orderKey(order)) {
+    throw new Error(`Pagination cursor was made for a different order (${decoded.o}), not ${orderKey(order)}`);
+  }
+  return decoded.v;
+}
@@ -0,0 +1,159 @@
+/**
+ * Tests for the fluent query builder
+ */
+import { describe, it, expect, expectTypeOf, beforeEach, afterEach } from 'vitest';
+import { firstValueFrom } from 'rxjs';
+import { BetterSQLiteAdapter } from './better-sqlite-adapter';
+import { defineTable } from './query-builder';
+import { createTableSchema } from '../utils/sqlite-utils';
+import { sql } from '../utils/sql';
+
+const sensors = defineTable('sensors', {
+  id: 'INTEGER PRIMARY KEY',
+  label: 'TEXT NOT NULL',
+  room: 'TEXT'
+});
+
+const readings = defineTable('readings', {
+  id: 'INTEGER PRIMARY KEY',
+  sensor_id: 'INTEGER NOT NULL',
+  value: 'REAL NOT NULL',
+  taken_at: 'TEXT NOT NULL'
+});
+
+describe('SQLiteQueryBuilder', () => {
+  let adapter: BetterSQLiteAdapter;
+
+  beforeEach(() => {
+    adapter = new BetterSQLiteAdapter(':memory:');
+    adapter.exec(createTableSchema(sensors.name, sensors.columns));
+    adapter.exec(createTableSchema(readings.name, readings.columns));
+    adapter.transaction(tx => {
+      tx.execute(sql`INSERT INTO sensors (id, label, room) VALUES (1, 'north', 'lab'), (2, 'south', NULL), (3, 'spare', 'lab')`);
+      tx.execute(sql`
+        INSERT INTO readings (sensor_id, value, taken_at) VALUES
+          (1, 20.5, '2024-01-01'), (1, 21.5, '2024-01-02'), (1, 25, '2024-01-03'),
+          (2, 18, '2024-01-01'), (2, 19, '2024-01-02')
+      `);
+    });
+  });
+
+  afterEach(() => {
+    adapter.close();
+  });
+
+  it('should build a parameterized SELECT', () => {
+    // Act
+    const query = adapter.from(readings)
+      .where('value', '>', 20)
+      .where({ sensor_id: [1, 2], taken_at: '2024-01-02' })
+      .orderBy('taken_at', 'DESC')
+      .limit(10)
+      .offset(5)
+      .toSQL();
+
+    // Assert
+    expect(query.text).toBe(
+      'SELECT * FROM "readings" WHERE "value" > ? AND "sensor_id" IN (?, ?) AND "taken_at" = ? ' +
+      'ORDER BY "taken_at" DESC LIMIT ? OFFSET ?'
+    );
+    expect(query.values).toEqual([20, 1, 2, '2024-01-02', 10, 5]);
+  });
+
+  it('should return typed rows', async () => {
+    // Act
+    const rows = await firstValueFrom(
+      adapter.from(readings).select('value', 'taken_at').where('sensor_id', '=', 2).orderBy('taken_at').query()
+    );
+
+    // Assert
+    expectTypeOf(rows).toEqualTypeOf<{ value: number; taken_at: string }[]>();
+    expect(rows).toEqual([{ value: 18, taken_at: '2024-01-01' }, { value: 19, taken_at: '2024-01-02' }]);
+  });
+
+  it('should join tables and aggregate groups', async () => {
+    // Act
+    const rows = await firstValueFrom(
+      adapter.from(readings)
+        .join(sensors, 'readings.sensor_id', 'sensors.id')
+        .select('sensors.label')
+        .select(a => ({ count: a.count(), average: a.avg('value'), highest: a.max('value') }))
+        .groupBy('sensors.label')
+        .having(sql`COUNT(*) > ${2}`)
+        .query()
+    );
+
+    // Assert
+    expectTypeOf(rows).toEqualTypeOf<{ label: string; count: number; average: number | null; highest: number | null }[]>();
+    expect(rows).toEqual([{ label: 'north', count: 3, average: 22.333333333333332, highest: 25 }]);
+  });
+
+  it('should keep unmatched rows of a left join as nulls', async () => {
+    // Act
+    const rows = await firstValueFrom(
+      adapter.from(sensors)
+        .leftJoin(readings, 'sensors.id', 'readings.sensor_id')
+        .select('label')
+        .select(a => ({ readings: a.count('readings.id') }))
+        .where({ room: 'lab' })
+        .groupBy('sensors.id')
+        .orderBy('readings', 'DESC')
+        .query()
+    );
+
+    // Assert
+    expect(rows).toEqual([{ label: 'north', readings: 3 }, { label: 'spare', readings: 0 }]);
+  });
+
+  it('should match NULL and accept sql conditions', async () => {
+    // Act
+    const missingRoom = await firstValueFrom(adapter.from(sensors).where({ room: null }).query());
+    const either = await firstValueFrom(
+      adapter.from(sensors).select('id').where(sql`label = ${'north'} OR label = ${'spare'}`).orderBy('id').query()
+    );
+
+    // Assert
+    expect(missingRoom).toEqual([{ id: 2, label: 'south', room: null }]);
+    expect(either).toEqual([{ id: 1 }, { id: 3 }]);
+  });
+
+  it('should re-run live queries when a joined table changes', () => {
+    // Arrange
+    const results: number[] = [];
+    const subscription = adapter.from(readings)
+      .join(sensors, 'readings.sensor_id', 'sensors.id')
+      .select(a => ({ count: a.count() }))
+      .where('sensors.room', '=', 'lab')
+      .live()
+      .subscribe(rows => results.push(rows[0].count));
+
+    // Act
+    adapter.execute("UPDATE sensors SET room = 'lab' WHERE id = 2");
+    adapter.execute("INSERT INTO readings (sensor_id, value, taken_at) VALUES (3, 1, '2024-01-04')");
+    subscription.unsubscribe();
+
+    // Assert
+    expect(results).toEqual([3, 5, 6]);
+  });
+
+  it('should leave the original builder unchanged', () => {
+    // Arrange
+    const base = adapter.from('readings').where('sensor_id', '=', 1);
+
+    // Act
+    const limited = base.limit(1);
+
+    // Assert
+    expect(base.toSQL().text).toBe('SELECT * FROM "readings" WHERE "sensor_id" = ?');
+    expect(limited.toSQL().text).toBe('SELECT * FROM "readings" WHERE "sensor_id" = ? LIMIT ?');
+  });
+
+  it('should reject unknown operators and bad limits', () => {
+    // Arrange
+    const query = adapter.from('readings');
+
+    // Act & Assert
+    expect(() => query.where('value', 'DROP' as '=', 1)).toThrow(/Unknown operator: DROP/);
+    expect(() => query.limit(-1)).toThrow(/limit must be a non-negative integer/);
+  });
+});
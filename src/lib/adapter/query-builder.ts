@@ -0,0 +1,381 @@
+/**
+ * Fluent, typed SELECT builder over a SQLiteAdapter or WorkerSQLiteAdapter
+ */
+import type { Observable } from 'rxjs';
+import type { SQLiteAsyncAdapter, SQLiteReactiveQueryOptions, SQLiteRow, SQLiteValue } from '../types';
+import { SQLFragment, SQLInterpolation, sql } from '../utils/sql';
+
+/**
+ * A table and its column declarations, as passed to createTableSchema
+ * (e.g. `{ id: 'INTEGER PRIMARY KEY', name: 'TEXT NOT NULL' }`)
+ */
+export interface SQLiteTableDefinition<
+  Name extends string = string,
+  Columns extends Record<string, string> = Record<string, string>
+> {
+  readonly name: Name;
+  readonly columns: Columns;
+}
+
+/**
+ * Declare a table so the query builder can type its rows
+ */
+export function defineTable<const Name extends string, const Columns extends Record<string, string>>(
+  name: Name,
+  columns: Columns
+): SQLiteTableDefinition<Name, Columns> {
+  return { name, columns };
+}
+
+// The declared type name, e.g. "VARCHAR(20)" from "VARCHAR(20) NOT NULL"
+type TypeName<Declaration extends string> =
+  Uppercase<Declaration> extends `${infer Name} ${string}` ? Name : Uppercase<Declaration>;
+
+/**
+ * The TypeScript type of a column, following SQLite's type affinity rules
+ */
+export type SQLiteColumnType<Declaration extends string> =
+  TypeName<Declaration> extends `${string}INT${string}` ? number
+  : TypeName<Declaration> extends `${string}${'CHAR' | 'CLOB' | 'TEXT'}${string}` ? string
+  : TypeName<Declaration> extends `${string}BLOB${string}` ? Buffer
+  : TypeName<Declaration> extends '' ? SQLiteValue
+  : number;
+
+type ColumnValue<Declaration extends string> =
+  | SQLiteColumnType<Declaration>
+  | (Uppercase<Declaration> extends `${string}${'NOT NULL' | 'PRIMARY KEY'}${string}` ? never : null);
+
+/**
+ * The row type of a table definition
+ */
+export type SQLiteTableRow<Table extends SQLiteTableDefinition> = {
+  -readonly [K in keyof Table['columns']]: ColumnValue<Table['columns'][K] & string>;
+};
+
+/**
+ * Column names of a table definition, bare or qualified with the table name
+ */
+export type SQLiteTableColumns<Table extends SQLiteTableDefinition> =
+  | Extract<keyof Table['columns'], string>
+  | `${Table['name']}.${Extract<keyof Table['columns'], string>}`;
+
+// "readings.value" -> "value"
+type ColumnName<Ref extends string> = Ref extends `${string}.${infer Name}` ? Name : Ref;
+
+type ColumnValueOf<Row, Ref extends string> =
+  ColumnName<Ref> extends keyof Row ? Row[ColumnName<Ref>] : SQLiteValue;
+
+type Nullable<Row> = { [K in keyof Row]: Row[K] | null };
+
+type SelectedSoFar<Selected> = Selected extends null ? unknown : Selected;
+
+type ExpressionType<E> = E extends SQLiteExpression<infer T> ? T : never;
+
+// Merge an intersection into one object type, so rows read as plain objects
+type Merge<T> = { [K in keyof T]: T[K] };
+
+/**
+ * A SQL expression that evaluates to a `T`, such as an aggregate
+ */
+export class SQLiteExpression<T> extends SQLFragment {
+  declare readonly type?: T;
+}
+
+/**
+ * Aggregates available to `select`, restricted to the query's columns
+ */
+export interface SQLiteAggregates<Row, Columns extends string> {
+  count(column?: Columns): SQLiteExpression<number>;
+  countDistinct(column: Columns): SQLiteExpression<number>;
+  sum(column: Columns): SQLiteExpression<number | null>;
+  avg(column: Columns): SQLiteExpression<number | null>;
+  min<K extends Columns>(column: K): SQLiteExpression<ColumnValueOf<Row, K> | null>;
+  max<K extends Columns>(column: K): SQLiteExpression<ColumnValueOf<Row, K> | null>;
+}
+
+/**
+ * Operators accepted by `where(column, operator, value)`
+ */
+export type SQLiteComparisonOperator =
+  | '=' | '!=' | '<>' | '<' | '<=' | '>' | '>='
+  | 'LIKE' | 'NOT LIKE' | 'GLOB'
+  | 'IN' | 'NOT IN'
+  | 'IS' | 'IS NOT';
+
+const OPERATORS = new Set<string>([
+  '=', '!=', '<>', '<', '<=', '>', '>=', 'LIKE', 'NOT LIKE', 'GLOB', 'IN', 'NOT IN', 'IS', 'IS NOT'
+]);
+
+// Implementation signatures of the overloaded methods, whose types come from the overloads
+type AnyQueryBuilder = SQLiteQueryBuilder<any, any, any>;
+
+interface QueryState {
+  table: string;
+  tables: string[];
+  joins: SQLFragment[];
+  select: SQLFragment[];
+  where: SQLFragment[];
+  groupBy: SQLFragment[];
+  having: SQLFragment[];
+  orderBy: SQLFragment[];
+  limit?: number;
+  offset?: number;
+}
+
+/**
+ * Quote a column reference, splitting "table.column" into its parts
+ */
+function column(ref: string): SQLFragment {
+  const dot = ref.indexOf('.');
+  return dot === -1 ? sql.id(ref) : sql.id(ref.slice(0, dot), ref.slice(dot + 1));
+}
+
+function tableName(table: string | SQLiteTableDefinition): string {
+  return typeof table === 'string' ? table : table.name;
+}
+
+function nonNegativeInteger(name: string, value: number): number {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative integer, got ${value}`);
+  }
+  return value;
+}
+
+function aggregate<T>(fn: string, argument: SQLFragment): SQLiteExpression<T> {
+  return new SQLiteExpression<T>(`${fn}(${argument.text})`, argument.values);
+}
+
+const aggregates: SQLiteAggregates<SQLiteRow, string> = {
+  count: ref => aggregate('COUNT', ref === undefined ? sql.raw('*') : column(ref)),
+  countDistinct: ref => aggregate('COUNT', sql`DISTINCT ${column(ref)}`),
+  sum: ref => aggregate('SUM', column(ref)),
+  avg: ref => aggregate('AVG', column(ref)),
+  min: ref => aggregate('MIN', column(ref)),
+  max: ref => aggregate('MAX', column(ref))
+};
+
+/**
+ * Builds a SELECT from method calls and runs it on an adapter.
+ * Every call returns a new builder, so partial queries can be shared and extended.
+ *
+ * `Row` is the type of the rows in the FROM and joined tables, `Columns` the
+ * column references they accept and `Selected` the shape picked by `select`
+ * (null while everything is selected).
+ */
+export class SQLiteQueryBuilder<Row, Columns extends string, Selected extends object | null = null> {
+  private state: QueryState;
+
+  constructor(
+    private adapter: SQLiteAsyncAdapter,
+    table: string | SQLiteTableDefinition,
+    state?: QueryState
+  ) {
+    this.state = state || {
+      table: tableName(table),
+      tables: [tableName(table)],
+      joins: [],
+      select: [],
+      where: [],
+      groupBy: [],
+      having: [],
+      orderBy: []
+    };
+  }
+
+  private with<R, C extends string, S extends object | null>(changes: Partial<QueryState>): SQLiteQueryBuilder<R, C, S> {
+    return new SQLiteQueryBuilder<R, C, S>(this.adapter, this.state.table, { ...this.state, ...changes });
+  }
+
+  private addJoin(type: 'JOIN' | 'LEFT JOIN', table: string | SQLiteTableDefinition, on: string | SQLFragment, right?: string) {
+    const condition = on instanceof SQLFragment
+      ? on
+      : sql`${column(on)} = ${column(right as string)}`;
+    return {
+      tables: [...this.state.tables, tableName(table)],
+      joins: [...this.state.joins, sql`${sql.raw(type)} ${sql.id(tableName(table))} ON ${condition}`]
+    };
+  }
+
+  /**
+   * Inner join another table, on two columns being equal or on a `sql` condition
+   */
+  join<Table extends SQLiteTableDefinition>(
+    table: Table,
+    left: Columns,
+    right: SQLiteTableColumns<Table>
+  ): SQLiteQueryBuilder<Merge<Row & SQLiteTableRow<Table>>, Columns | SQLiteTableColumns<Table>, Selected>;
+  join<Table extends SQLiteTableDefinition>(
+    table: Table,
+    on: SQLFragment
+  ): SQLiteQueryBuilder<Merge<Row & SQLiteTableRow<Table>>, Columns | SQLiteTableColumns<Table>, Selected>;
+  join<T = SQLiteRow>(
+    table: string,
+    left: Columns,
+    right: string
+  ): SQLiteQueryBuilder<Merge<Row & T>, Columns | string, Selected>;
+  join<T = SQLiteRow>(table: string, on: SQLFragment): SQLiteQueryBuilder<Merge<Row & T>, Columns | string, Selected>;
+  join(table: string | SQLiteTableDefinition, on: string | SQLFragment, right?: string): AnyQueryBuilder {
+    return this.with(this.addJoin('JOIN', table, on, right));
+  }
+
+  /**
+   * Left join another table; its columns are null where nothing matched
+   */
+  leftJoin<Table extends SQLiteTableDefinition>(
+    table: Table,
+    left: Columns,
+    right: SQLiteTableColumns<Table>
+  ): SQLiteQueryBuilder<Merge<Row & Nullable<SQLiteTableRow<Table>>>, Columns | SQLiteTableColumns<Table>, Selected>;
+  leftJoin<Table extends SQLiteTableDefinition>(
+    table: Table,
+    on: SQLFragment
+  ): SQLiteQueryBuilder<Merge<Row & Nullable<SQLiteTableRow<Table>>>, Columns | SQLiteTableColumns<Table>, Selected>;
+  leftJoin<T = SQLiteRow>(
+    table: string,
+    left: Columns,
+    right: string
+  ): SQLiteQueryBuilder<Merge<Row & Nullable<T>>, Columns | string, Selected>;
+  leftJoin<T = SQLiteRow>(table: string, on: SQLFragment): SQLiteQueryBuilder<Merge<Row & Nullable<T>>, Columns | string, Selected>;
+  leftJoin(table: string | SQLiteTableDefinition, on: string | SQLFragment, right?: string): AnyQueryBuilder {
+    return this.with(this.addJoin('LEFT JOIN', table, on, right));
+  }
+
+  /**
+   * Pick columns, or aliased expressions built from the aggregates passed to
+   * the callback. Repeated calls add to the selection; without any, every column is selected.
+   */
+  select<K extends Columns>(
+    ...columns: K[]
+  ): SQLiteQueryBuilder<Row, Columns, Merge<SelectedSoFar<Selected> & { [C in K as ColumnName<C>]: ColumnValueOf<Row, C> }>>;
+  select<E extends Record<string, SQLiteExpression<unknown>>>(
+    expressions: (aggregates: SQLiteAggregates<Row, Columns>) => E
+  ): SQLiteQueryBuilder<Row, Columns, Merge<SelectedSoFar<Selected> & { [A in keyof E]: ExpressionType<E[A]> }>>;
+  select(...args: unknown[]): AnyQueryBuilder {
+    if (typeof args[0] === 'function') {
+      const expressions = (args[0] as (aggregates: unknown) => Record<string, SQLFragment>)(aggregates);
+      const selected = Object.entries(expressions).map(([alias, expression]) => sql`${expression} AS ${sql.id(alias)}`);
+      return this.with({ select: [...this.state.select, ...selected] });
+    }
+    return this.with({ select: [...this.state.select, ...(args as string[]).map(column)] });
+  }
+
+  /**
+   * Add a condition; conditions from repeated calls are combined with AND.
+   * Takes a column, operator and value, an object of column values to match
+   * (null matches NULL, arrays match any of their values), or a `sql` fragment.
+   */
+  where<K extends Columns>(
+    column: K,
+    operator: SQLiteComparisonOperator,
+    value: ColumnValueOf<Row, K> | ColumnValueOf<Row, K>[] | SQLFragment
+  ): SQLiteQueryBuilder<Row, Columns, Selected>;
+  where(
+    conditions: { [K in Columns]?: ColumnValueOf<Row, K> | ColumnValueOf<Row, K>[] }
+  ): SQLiteQueryBuilder<Row, Columns, Selected>;
+  where(condition: SQLFragment): SQLiteQueryBuilder<Row, Columns, Selected>;
+  where(
+    ref: string | SQLFragment | Record<string, unknown>,
+    operator?: SQLiteComparisonOperator,
+    value?: unknown
+  ): SQLiteQueryBuilder<Row, Columns, Selected> {
+    let conditions: SQLFragment[];
+    if (ref instanceof SQLFragment) {
+      conditions = [sql`(${ref})`];
+    } else if (typeof ref === 'string') {
+      const op = String(operator).toUpperCase();
+      if (!OPERATORS.has(op)) {
+        throw new Error(`Unknown operator: ${operator}`);
+      }
+      const operand = Array.isArray(value) ? sql`(${value})` : value as SQLInterpolation;
+      conditions = [sql`${column(ref)} ${sql.raw(op)} ${operand}`];
+    } else {
+      conditions = Object.entries(ref as Record<string, SQLInterpolation>).map(([name, match]) => {
+        if (match === null) {
+          return sql`${column(name)} IS NULL`;
+        }
+        return Array.isArray(match) ? sql`${column(name)} IN (${match})` : sql`${column(name)} = ${match}`;
+      });
+    }
+    return this.with({ where: [...this.state.where, ...conditions] });
+  }
+
+  groupBy(...columns: Columns[]): SQLiteQueryBuilder<Row, Columns, Selected> {
+    return this.with({ groupBy: [...this.state.groupBy, ...columns.map(column)] });
+  }
+
+  /**
+   * Filter groups; conditions from repeated calls are combined with AND
+   */
+  having(condition: SQLFragment): SQLiteQueryBuilder<Row, Columns, Selected> {
+    return this.with({ having: [...this.state.having, sql`(${condition})`] });
+  }
+
+  /**
+   * Sort by a column, a selected alias or an expression; repeated calls add tie-breakers
+   */
+  orderBy(
+    by: Columns | Extract<keyof Selected, string> | SQLFragment,
+    direction: 'ASC' | 'DESC' = 'ASC'
+  ): SQLiteQueryBuilder<Row, Columns, Selected> {
+    if (direction !== 'ASC' && direction !== 'DESC') {
+      throw new Error(`Sort direction must be ASC or DESC, got ${direction}`);
+    }
+    const expression = by instanceof SQLFragment ? by : column(by);
+    return this.with({ orderBy: [...this.state.orderBy, sql`${expression} ${sql.raw(direction)}`] });
+  }
+
+  limit(count: number): SQLiteQueryBuilder<Row, Columns, Selected> {
+    return this.with({ limit: nonNegativeInteger('limit', count) });
+  }
+
+  offset(count: number): SQLiteQueryBuilder<Row, Columns, Selected> {
+    return this.with({ offset: nonNegativeInteger('offset', count) });
+  }
+
+  /**
+   * The statement and its parameters
+   */
+  toSQL(): SQLFragment {
+    const { table, joins, select, where, groupBy, having, orderBy, limit, offset } = this.state;
+    const parts = [
+      sql`SELECT ${select.length > 0 ? sql.join(select) : sql.raw('*')} FROM ${sql.id(table)}`,
+      ...joins
+    ];
+    if (where.length > 0) {
+      parts.push(sql`WHERE ${sql.join(where, ' AND ')}`);
+    }
+    if (groupBy.length > 0) {
+      parts.push(sql`GROUP BY ${sql.join(groupBy)}`);
+    }
+    if (having.length > 0) {
+      parts.push(sql`HAVING ${sql.join(having, ' AND ')}`);
+    }
+    if (orderBy.length > 0) {
+      parts.push(sql`ORDER BY ${sql.join(orderBy)}`);
+    }
+    if (limit !== undefined || offset !== undefined) {
+      // SQLite needs a LIMIT before OFFSET; -1 means no limit
+      parts.push(sql`LIMIT ${limit ?? -1}`);
+    }
+    if (offset !== undefined) {
+      parts.push(sql`OFFSET ${offset}`);
+    }
+    return sql.join(parts, ' ');
+  }
+
+  /**
+   * Run the query once
+   */
+  query(): Observable<Array<Selected extends null ? Row : Selected>> {
+    return this.adapter.query(this.toSQL());
+  }
+
+  /**
+   * Run the query now and again whenever one of its tables changes (see reactiveQuery)
+   */
+  live(
+    options: Omit<SQLiteReactiveQueryOptions<Selected extends null ? Row : Selected>, 'params' | 'tables'> = {}
+  ): Observable<Array<Selected extends null ? Row : Selected>> {
+    return this.adapter.reactiveQuery(this.toSQL(), { ...options, tables: this.state.tables });
+  }
+}
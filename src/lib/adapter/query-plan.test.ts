@@ -0,0 +1,137 @@
+/**
+ * Tests for EXPLAIN QUERY PLAN capture and the slow query log
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { lastValueFrom } from 'rxjs';
+import { BetterSQLiteAdapter } from './better-sqlite-adapter';
+import { SQLiteInstrumentation, SQLiteLogger, SQLiteSlowQuery } from './instrumentation';
+import { findFullScans } from './query-plan';
+import { sql } from '../utils/sql';
+
+const createLogger = (): SQLiteLogger => ({ debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() });
+
+describe('findFullScans', () => {
+  it('should only count scans that use no index', () => {
+    // Arrange
+    const details = [
+      'SCAN users',
+      'SCAN TABLE orders AS o',
+      'SEARCH items USING INDEX idx_items_order (order_id=?)',
+      'SCAN tags USING COVERING INDEX idx_tags_name',
+      'SCAN CONSTANT ROW',
+      'SCAN (subquery-1)',
+      'USE TEMP B-TREE FOR ORDER BY'
+    ];
+
+    // Act
+    const scans = findFullScans(details.map((detail, id) => ({ id, parent: 0, detail })));
+
+    // Assert
+    expect(scans).toEqual(['users', 'orders']);
+  });
+});
+
+describe('BetterSQLiteAdapter query plans', () => {
+  let adapter: BetterSQLiteAdapter;
+
+  afterEach(() => {
+    adapter.close();
+  });
+
+  describe('explain', () => {
+    beforeEach(() => {
+      adapter = new BetterSQLiteAdapter(':memory:');
+      adapter.exec(`
+        CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT, name TEXT);
+        CREATE INDEX idx_users_email ON users (email);
+      `);
+    });
+
+    it('should point out full scans', () => {
+      // Act
+      const indexed = adapter.explain(sql`SELECT * FROM users WHERE email = ${'ann@example.com'}`);
+      const scanned = adapter.explain('SELECT * FROM users WHERE name = ?', { params: ['Ann'] });
+
+      // Assert
+      expect(indexed.fullScans).toEqual([]);
+      expect(indexed.steps[0].detail).toMatch(/USING INDEX idx_users_email/);
+      expect(scanned.fullScans).toEqual(['users']);
+    });
+
+    it('should not run the statement', () => {
+      // Act
+      adapter.explain('DELETE FROM users');
+      adapter.execute('INSERT INTO users (email) VALUES (?)', { params: ['ann@example.com'] });
+      adapter.explain('DELETE FROM users');
+
+      // Assert
+      expect(adapter.explain('SELECT 1').steps.map(step => step.detail)).toEqual(['SCAN CONSTANT ROW']);
+      expect(adapter.transaction(tx => tx.queryOne<{ n: number }>('SELECT COUNT(*) AS n FROM users'))?.n).toBe(1);
+    });
+  });
+
+  describe('slowQueryThreshold', () => {
+    let logger: SQLiteLogger;
+    let slowQueries: SQLiteSlowQuery[];
+
+    beforeEach(() => {
+      logger = createLogger();
+      // Every statement takes longer than 0ms
+      adapter = new BetterSQLiteAdapter(':memory:', {
+        slowQueryThreshold: 0,
+        instrumentation: new SQLiteInstrumentation({ logger, level: 'warn', redact: true })
+      });
+      adapter.exec('CREATE TABLE items (id INTEGER PRIMARY KEY, sku TEXT)');
+      slowQueries = [];
+      adapter.slowQueries$.subscribe(query => slowQueries.push(query));
+    });
+
+    it('should report slow statements with their plan', async () => {
+      // Act
+      adapter.execute('INSERT INTO items (sku) VALUES (?)', { params: ['A-1'] });
+      await lastValueFrom(adapter.query('SELECT * FROM items WHERE sku = ?', { params: ['A-1'] }));
+      await lastValueFrom(adapter.query('SELECT * FROM items WHERE id = ?', { params: [1] }));
+
+      // Assert
+      expect(slowQueries.map(query => query.sql)).toEqual([
+        'INSERT INTO items (sku) VALUES (?)',
+        'SELECT * FROM items WHERE sku = ?',
+        'SELECT * FROM items WHERE id = ?'
+      ]);
+      expect(slowQueries[1].params).toEqual(['[redacted]']);
+      expect(slowQueries[1].durationMs).toBeGreaterThan(0);
+      expect(slowQueries[1].plan?.fullScans).toEqual(['items']);
+      expect(slowQueries[2].plan?.fullScans).toEqual([]);
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.stringMatching(/^Slow SQLite query took [\d.]+ms \(full scan of items: no usable index\): SELECT \* FROM items WHERE sku/),
+        ['[redacted]'],
+        ['SCAN items']
+      );
+    });
+
+    it('should report statements that cannot be explained without a plan', () => {
+      // Act
+      adapter.exec('CREATE INDEX idx_items_sku ON items (sku); DROP INDEX idx_items_sku');
+
+      // Assert
+      expect(slowQueries).toHaveLength(1);
+      expect(slowQueries[0].plan).toBeNull();
+    });
+
+    it('should be off by default and reject negative thresholds', async () => {
+      // Arrange
+      const other = new BetterSQLiteAdapter(':memory:');
+      const reported: SQLiteSlowQuery[] = [];
+      other.slowQueries$.subscribe(query => reported.push(query));
+
+      // Act
+      await lastValueFrom(other.query('SELECT 1'));
+      other.close();
+
+      // Assert
+      expect(reported).toEqual([]);
+      expect(() => new BetterSQLiteAdapter(':memory:', { slowQueryThreshold: -1 }))
+        .toThrow(/slowQueryThreshold must be a non-negative number, got -1/);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Reading EXPLAIN QUERY PLAN output
+ */
+import type Database from 'better-sqlite3';
+
+/**
+ * One row of EXPLAIN QUERY PLAN; `parent` is the id of the step it is nested in
+ */
+export interface SQLiteQueryPlanStep {
+  id: number;
+  parent: number;
+  /** e.g. "SCAN users" or "SEARCH users USING INDEX idx_users_email (email=?)" */
+  detail: string;
+}
+
+export interface SQLiteQueryPlan {
+  steps: SQLiteQueryPlanStep[];
+  /** Tables that are read in full because no index could be used */
+  fullScans: string[];
+}
+
+// "SCAN users" or, before SQLite 3.36, "SCAN TABLE users AS u". Scans that
+// use an index name it ("SCAN users USING COVERING INDEX ...") and don't count.
+const FULL_SCAN = /^SCAN (?:TABLE )?(.+?)(?: AS \S+)?$/;
+
+/**
+ * The tables a plan reads in full, named as in the plan (which uses the
+ * alias, if the query gave one)
+ */
+export function findFullScans(steps: SQLiteQueryPlanStep[]): string[] {
+  const tables = new Set<string>();
+  for (const step of steps) {
+    const match = FULL_SCAN.exec(step.detail);
+    // Subqueries show up as "SCAN (subquery-1)" and SELECTs without FROM as "SCAN CONSTANT ROW"
+    if (match && !step.detail.includes(' USING ') && !match[1].startsWith('(') && match[1] !== 'CONSTANT ROW') {
+      tables.add(match[1]);
+    }
+  }
+  return Array.from(tables);
+}
+
+/**
+ * Ask SQLite how it would run a statement, without running it
+ */
+export function explainQueryPlan(
+  db: Database.Database,
+  sql: string,
+  params: unknown[] | Record<string, unknown> = []
+): SQLiteQueryPlan {
+  const steps = (db.prepare(`EXPLAIN QUERY PLAN ${sql}`).all(params) as { id: number; parent: number; detail: string }[])
+    .map(({ id, parent, detail }) => ({ id, parent, detail }));
+  return { steps, fullScans: findFullScans(steps) };
+}
+
+/**
+ * The SQL a storage query compiles to, and how SQLite would run it
+ */
+export interface SQLiteExplainResult {
+  sql: string;
+  params: unknown[];
+  plan: SQLiteQueryPlan;
+}
@@ -0,0 +1,138 @@
+/**
+ * Tests for retrying busy statements
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { firstValueFrom } from 'rxjs';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BetterSQLiteAdapter } from './better-sqlite-adapter';
+import { BusyError } from './errors';
+import { retryAsync, retryDelay, retrySync } from './retry';
+
+const busy = () => Object.assign(new Error('database is locked'), { code: 'SQLITE_BUSY' });
+
+describe('retry', () => {
+  it('should back off exponentially up to maxDelay', () => {
+    // Act
+    const delays = [1, 2, 3, 4].map(attempt => retryDelay(attempt, { initialDelay: 100, maxDelay: 300, jitter: false }));
+    const jittered = retryDelay(1, { initialDelay: 100 });
+
+    // Assert
+    expect(delays).toEqual([100, 200, 300, 300]);
+    expect(jittered).toBeGreaterThanOrEqual(50);
+    expect(jittered).toBeLessThanOrEqual(100);
+  });
+
+  it('should retry busy errors until the call succeeds', async () => {
+    // Arrange
+    let syncCalls = 0;
+    let asyncCalls = 0;
+
+    // Act
+    const syncResult = retrySync(() => {
+      if (++syncCalls < 3) throw busy();
+      return 'done';
+    }, { initialDelay: 1 });
+    const asyncResult = await retryAsync(async () => {
+      if (++asyncCalls < 3) throw busy();
+      return 'done';
+    }, { initialDelay: 1 });
+
+    // Assert
+    expect([syncResult, syncCalls]).toEqual(['done', 3]);
+    expect([asyncResult, asyncCalls]).toEqual(['done', 3]);
+  });
+
+  it('should give up after the configured retries and not retry other errors', async () => {
+    // Arrange
+    let busyCalls = 0;
+    let otherCalls = 0;
+
+    // Act & Assert
+    expect(() => retrySync(() => {
+      busyCalls++;
+      throw busy();
+    }, { retries: 2, initialDelay: 1 })).toThrow('database is locked');
+    await expect(retryAsync(() => {
+      otherCalls++;
+      throw new Error('no such table: items');
+    }, { initialDelay: 1 })).rejects.toThrow('no such table');
+    expect(busyCalls).toBe(3);
+    expect(otherCalls).toBe(1);
+  });
+
+  describe('BetterSQLiteAdapter', () => {
+    let dir: string;
+    let filename: string;
+    let other: Database.Database;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rxjs-sqlite-retry-'));
+      filename = path.join(dir, 'locked.sqlite');
+      other = new Database(filename);
+      other.exec('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+      other.exec('BEGIN IMMEDIATE');
+    });
+
+    afterEach(() => {
+      other.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should throw a BusyError once retries run out', () => {
+      // Arrange
+      const adapter = new BetterSQLiteAdapter(filename, { busyTimeout: 0, retry: { retries: 2, initialDelay: 5, jitter: false } });
+
+      // Act
+      const start = performance.now();
+      let error: unknown;
+      try {
+        adapter.execute('INSERT INTO items DEFAULT VALUES');
+      } catch (caught) {
+        error = caught;
+      }
+      const elapsed = performance.now() - start;
+      adapter.close();
+
+      // Assert
+      expect(error).toBeInstanceOf(BusyError);
+      expect(error).toMatchObject({ code: 'SQLITE_BUSY', sql: 'INSERT INTO items DEFAULT VALUES' });
+      expect(elapsed).toBeGreaterThanOrEqual(14);
+    });
+
+    it('should keep the usual busy timeout while retrying unless one is given', async () => {
+      // Arrange
+      const adapters = [
+        new BetterSQLiteAdapter(filename),
+        new BetterSQLiteAdapter(filename, { retry: false }),
+        new BetterSQLiteAdapter(filename, { busyTimeout: 250 })
+      ];
+
+      // Act
+      const timeouts = await Promise.all(adapters.map(adapter => firstValueFrom(adapter.query('PRAGMA busy_timeout'))));
+      adapters.forEach(adapter => adapter.close());
+
+      // Assert
+      expect(timeouts).toEqual([[{ timeout: 5000 }], [{ timeout: 5000 }], [{ timeout: 250 }]]);
+    });
+
+    it('should fail straight away when retrying is off', async () => {
+      // Arrange
+      const adapter = new BetterSQLiteAdapter(filename, { busyTimeout: 0, retry: false });
+
+      // Act
+      const start = performance.now();
+      expect(() => adapter.execute('INSERT INTO items DEFAULT VALUES')).toThrow(BusyError);
+      const elapsed = performance.now() - start;
+      other.exec('COMMIT');
+      adapter.execute('INSERT INTO items DEFAULT VALUES');
+
+      // Assert
+      expect(elapsed).toBeLessThan(5);
+      expect(await firstValueFrom(adapter.query('SELECT COUNT(*) AS count FROM items'))).toEqual([{ count: 1 }]);
+      adapter.close();
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Retrying statements that failed because the database was locked
+ */
+import { BusyError, toSQLiteError } from './errors';
+
+/**
+ * How often, and how far apart, to retry after SQLITE_BUSY or SQLITE_LOCKED.
+ * Each retry comes after SQLite's own busy timeout has run out, or straight
+ * away for locks it doesn't wait on, such as a stale WAL snapshot.
+ */
+export interface SQLiteRetryOptions {
+  /** Retries after the first attempt; 0 turns retrying off. Defaults to 3. */
+  retries?: number;
+  /** Milliseconds before the first retry. Defaults to 25. */
+  initialDelay?: number;
+  /** Longest wait between retries. Defaults to 1000. */
+  maxDelay?: number;
+  /** Each wait is this many times the previous one. Defaults to 2. */
+  factor?: number;
+  /** Wait a random time between half and all of each delay, so competing writers spread out. Defaults to true. */
+  jitter?: boolean;
+}
+
+/**
+ * Milliseconds to wait before retry number `attempt` (starting at 1)
+ */
+export function retryDelay(attempt: number, options: SQLiteRetryOptions = {}): number {
+  const { initialDelay = 25, maxDelay = 1000, factor = 2, jitter = true } = options;
+  const delay = Math.min(maxDelay, initialDelay * factor ** (attempt - 1));
+  return jitter ? delay / 2 + Math.random() * delay / 2 : delay;
+}
+
+/**
+ * Whether an error means the database was locked
+ */
+export function isBusyError(error: unknown): boolean {
+  return toSQLiteError(error) instanceof BusyError;
+}
+
+// Atomics.wait needs an Int32Array over shared memory
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Run `fn`, calling it again after a delay while it fails with a busy error.
+ * better-sqlite3 is synchronous, so this blocks the thread while it waits,
+ * just like SQLite's busy timeout does.
+ */
+export function retrySync<R>(fn: () => R, options: SQLiteRetryOptions = {}): R {
+  const { retries = 3 } = options;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return fn();
+    } catch (error) {
+      if (attempt > retries || !isBusyError(error)) {
+        throw error;
+      }
+      Atomics.wait(sleeper, 0, 0, retryDelay(attempt, options));
+    }
+  }
+}
+
+/**
+ * Like retrySync, but waits between attempts without blocking
+ */
+export async function retryAsync<R>(fn: () => R | Promise<R>, options: SQLiteRetryOptions = {}): Promise<R> {
+  const { retries = 3 } = options;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt > retries || !isBusyError(error)) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelay(attempt, options)));
+    }
+  }
+}
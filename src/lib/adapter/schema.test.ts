@@ -0,0 +1,109 @@
+/**
+ * Tests for schema introspection
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { BetterSQLiteAdapter } from './better-sqlite-adapter';
+import { SQLiteSchema } from './schema';
+
+describe('schema introspection', () => {
+  let adapter: BetterSQLiteAdapter;
+
+  beforeEach(() => {
+    adapter = new BetterSQLiteAdapter(':memory:');
+    adapter.exec(`
+      CREATE TABLE authors (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE
+      );
+      CREATE TABLE books (
+        author_id INTEGER NOT NULL REFERENCES authors (id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        status TEXT DEFAULT 'draft',
+        slug TEXT GENERATED ALWAYS AS (lower(title)) VIRTUAL,
+        PRIMARY KEY (author_id, title)
+      ) WITHOUT ROWID;
+      CREATE INDEX idx_books_status ON books (status) WHERE status IS NOT NULL;
+      CREATE VIEW published AS SELECT title FROM books WHERE status = 'published';
+      CREATE TRIGGER books_touch AFTER UPDATE ON books BEGIN SELECT 1; END;
+    `);
+  });
+
+  afterEach(() => {
+    adapter.close();
+  });
+
+  it('should describe columns', () => {
+    // Act
+    const books = adapter.schema().tables.find(table => table.name === 'books');
+
+    // Assert
+    expect(books?.withoutRowid).toBe(true);
+    expect(books?.columns).toEqual([
+      { name: 'author_id', type: 'INTEGER', notNull: true, defaultValue: null, primaryKey: 1, generated: false },
+      { name: 'title', type: 'TEXT', notNull: true, defaultValue: null, primaryKey: 2, generated: false },
+      { name: 'status', type: 'TEXT', notNull: false, defaultValue: "'draft'", primaryKey: 0, generated: false },
+      { name: 'slug', type: 'TEXT', notNull: false, defaultValue: null, primaryKey: 0, generated: true }
+    ]);
+  });
+
+  it('should describe indexes and foreign keys', () => {
+    // Act
+    const { tables } = adapter.schema();
+    const [authors, books] = tables;
+
+    // Assert
+    expect(tables.map(table => table.name)).toEqual(['authors', 'books']);
+    expect(authors.indexes).toEqual([
+      { name: 'sqlite_autoindex_authors_1', unique: true, origin: 'unique', partial: false, columns: ['name'], sql: null }
+    ]);
+    expect(books.indexes.map(index => [index.name, index.origin, index.partial, index.columns])).toEqual([
+      ['idx_books_status', 'index', true, ['status']],
+      ['sqlite_autoindex_books_1', 'primaryKey', false, ['author_id', 'title']]
+    ]);
+    expect(books.foreignKeys).toEqual([
+      { table: 'authors', from: ['author_id'], to: ['id'], onUpdate: 'NO ACTION', onDelete: 'CASCADE' }
+    ]);
+  });
+
+  it('should describe views and triggers', () => {
+    // Act
+    const { views, triggers } = adapter.schema();
+
+    // Assert
+    expect(views).toHaveLength(1);
+    expect(views[0].name).toBe('published');
+    expect(views[0].columns.map(column => column.name)).toEqual(['title']);
+    expect(triggers).toEqual([
+      { name: 'books_touch', table: 'books', sql: 'CREATE TRIGGER books_touch AFTER UPDATE ON books BEGIN SELECT 1; END' }
+    ]);
+  });
+
+  it('should leave out the change tracking triggers', () => {
+    // Act
+    const { triggers } = adapter.schema();
+
+    // Assert
+    expect(triggers.map(trigger => trigger.name)).toEqual(['books_touch']);
+  });
+
+  it('should emit from schema$ when DDL changes the schema', () => {
+    // Arrange
+    const emitted: SQLiteSchema[] = [];
+    const subscription = adapter.schema$.subscribe(schema => emitted.push(schema));
+
+    // Act
+    adapter.execute("INSERT INTO authors (name) VALUES ('Ann')");
+    adapter.execute('ALTER TABLE authors ADD COLUMN born INTEGER');
+    adapter.transaction(tx => {
+      tx.exec('CREATE TABLE notes (body TEXT)');
+      tx.exec('CREATE INDEX idx_notes_body ON notes (body)');
+    });
+    adapter.execute('ANALYZE');
+    subscription.unsubscribe();
+
+    // Assert
+    expect(emitted).toHaveLength(3);
+    expect(emitted[1].tables[0].columns.map(column => column.name)).toEqual(['id', 'name', 'born']);
+    expect(emitted[2].tables.map(table => table.name)).toEqual(['authors', 'books', 'notes']);
+  });
+});
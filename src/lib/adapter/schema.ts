@@ -0,0 +1,194 @@
+/**
+ * Schema introspection through sqlite_master and the table PRAGMAs
+ */
+import type Database from 'better-sqlite3';
+import { quoteIdentifier } from '../utils/sqlite-utils';
+
+/**
+ * A column of a table or view
+ */
+export interface SQLiteColumnSchema {
+  name: string;
+  /** Declared type, e.g. "INTEGER" or "VARCHAR(20)"; empty if none was declared */
+  type: string;
+  notNull: boolean;
+  /** Default value as SQL text (e.g. "'draft'" or "CURRENT_TIMESTAMP"), or null */
+  defaultValue: string | null;
+  /** 1-based position in the primary key, or 0 if the column isn't part of it */
+  primaryKey: number;
+  /** Whether the column is GENERATED ALWAYS AS (...) */
+  generated: boolean;
+}
+
+/**
+ * An index on a table
+ */
+export interface SQLiteIndexSchema {
+  name: string;
+  unique: boolean;
+  /** How the index was created: CREATE INDEX, a UNIQUE constraint or the PRIMARY KEY */
+  origin: 'index' | 'unique' | 'primaryKey';
+  /** Whether the index has a WHERE clause */
+  partial: boolean;
+  /** Indexed columns in order; null for expressions */
+  columns: (string | null)[];
+  /** The CREATE INDEX statement, or null for indexes SQLite created for constraints */
+  sql: string | null;
+}
+
+/**
+ * A foreign key constraint of a table
+ */
+export interface SQLiteForeignKeySchema {
+  /** Referenced table */
+  table: string;
+  /** Columns of this table, in order */
+  from: string[];
+  /** Referenced columns; null entries refer to the referenced table's primary key */
+  to: (string | null)[];
+  onUpdate: string;
+  onDelete: string;
+}
+
+/**
+ * A trigger, on a table or (INSTEAD OF) on a view
+ */
+export interface SQLiteTriggerSchema {
+  name: string;
+  table: string;
+  sql: string;
+}
+
+export interface SQLiteTableSchema {
+  name: string;
+  sql: string;
+  withoutRowid: boolean;
+  columns: SQLiteColumnSchema[];
+  indexes: SQLiteIndexSchema[];
+  foreignKeys: SQLiteForeignKeySchema[];
+}
+
+export interface SQLiteViewSchema {
+  name: string;
+  sql: string;
+  columns: SQLiteColumnSchema[];
+}
+
+/**
+ * Everything in a database's main schema, apart from SQLite's own sqlite_* tables
+ */
+export interface SQLiteSchema {
+  tables: SQLiteTableSchema[];
+  views: SQLiteViewSchema[];
+  triggers: SQLiteTriggerSchema[];
+}
+
+interface MasterRow {
+  type: 'table' | 'view' | 'index' | 'trigger';
+  name: string;
+  tbl_name: string;
+  sql: string | null;
+}
+
+interface ColumnRow {
+  name: string;
+  type: string;
+  notnull: number;
+  dflt_value: string | null;
+  pk: number;
+  hidden: number;
+}
+
+interface IndexRow {
+  name: string;
+  unique: number;
+  origin: 'c' | 'u' | 'pk';
+  partial: number;
+}
+
+interface ForeignKeyRow {
+  id: number;
+  seq: number;
+  table: string;
+  from: string;
+  to: string | null;
+  on_update: string;
+  on_delete: string;
+}
+
+const ORIGINS = { c: 'index', u: 'unique', pk: 'primaryKey' } as const;
+
+function readColumns(db: Database.Database, name: string): SQLiteColumnSchema[] {
+  return (db.pragma(`table_xinfo(${quoteIdentifier(name)})`) as ColumnRow[])
+    // Hidden columns of virtual tables
+    .filter(column => column.hidden !== 1)
+    .map(column => ({
+      name: column.name,
+      type: column.type,
+      notNull: column.notnull === 1,
+      defaultValue: column.dflt_value,
+      primaryKey: column.pk,
+      generated: column.hidden === 2 || column.hidden === 3
+    }));
+}
+
+function readIndexes(db: Database.Database, table: string, sqlByIndex: Map<string, string | null>): SQLiteIndexSchema[] {
+  return (db.pragma(`index_list(${quoteIdentifier(table)})`) as IndexRow[])
+    .map(index => ({
+      name: index.name,
+      unique: index.unique === 1,
+      origin: ORIGINS[index.origin],
+      partial: index.partial === 1,
+      columns: (db.pragma(`index_info(${quoteIdentifier(index.name)})`) as { seqno: number; name: string | null }[])
+        .sort((a, b) => a.seqno - b.seqno)
+        .map(column => column.name),
+      sql: sqlByIndex.get(index.name) ?? null
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function readForeignKeys(db: Database.Database, table: string): SQLiteForeignKeySchema[] {
+  const keys = new Map<number, SQLiteForeignKeySchema>();
+  const rows = (db.pragma(`foreign_key_list(${quoteIdentifier(table)})`) as ForeignKeyRow[])
+    .sort((a, b) => a.id - b.id || a.seq - b.seq);
+  for (const row of rows) {
+    let key = keys.get(row.id);
+    if (!key) {
+      key = { table: row.table, from: [], to: [], onUpdate: row.on_update, onDelete: row.on_delete };
+      keys.set(row.id, key);
+    }
+    key.from.push(row.from);
+    key.to.push(row.to);
+  }
+  return Array.from(keys.values());
+}
+
+/**
+ * Describe the tables, views and triggers of a database
+ */
+export function readSchema(db: Database.Database): SQLiteSchema {
+  const objects = db
+    .prepare(`SELECT type, name, tbl_name, sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY name`)
+    .all() as MasterRow[];
+  const sqlByIndex = new Map(objects.filter(object => object.type === 'index').map(object => [object.name, object.sql]));
+
+  const schema: SQLiteSchema = { tables: [], views: [], triggers: [] };
+  for (const object of objects) {
+    if (object.type === 'table') {
+      const sql = object.sql || '';
+      schema.tables.push({
+        name: object.name,
+        sql,
+        withoutRowid: /\bWITHOUT\s+ROWID\b/i.test(sql),
+        columns: readColumns(db, object.name),
+        indexes: readIndexes(db, object.name, sqlByIndex),
+        foreignKeys: readForeignKeys(db, object.name)
+      });
+    } else if (object.type === 'view') {
+      schema.views.push({ name: object.name, sql: object.sql || '', columns: readColumns(db, object.name) });
+    } else if (object.type === 'trigger') {
+      schema.triggers.push({ name: object.name, table: object.tbl_name, sql: object.sql || '' });
+    }
+  }
+  return schema;
+}
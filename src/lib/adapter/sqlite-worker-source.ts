@@ -0,0 +1,262 @@
+/**
+ * Source of the worker thread that hosts the database for WorkerSQLiteAdapter.
+ *
+ * It is kept as a plain JavaScript string and started with `eval: true` so the
+ * library still bundles into a single file; a separate worker module would not
+ * survive the vite library build.
+ *
+ * Protocol (one request at a time, in the order they were posted):
+ *   main -> worker  { id, op: 'run' | 'all' | 'exec' | 'transaction' | 'stream' | 'cancel' | 'close', ... }
+ *   worker -> main  { id, started: true }        when it starts on a request
+ *                   { id, result, changes }      on success
+ *                   { id, rows }                 for each batch of a stream
+ *                   { id, error }                on failure
+ *
+ * Change triggers come from createChangeTriggerStatements on the main thread.
+ * At startup and after each schema change the worker posts its tables and
+ * views, and holds further requests until the statements come back:
+ *   worker -> main  { op: 'tables', tables: [{ name, pkColumns, withoutRowid }], views: [{ name, sql }] }
+ *   main -> worker  { op: 'triggers', statements }
+ */
+export const SQLITE_WORKER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+const Database = require(workerData.betterSqlite3Path);
+
+const db = new Database(workerData.filename, workerData.options);
+const TRIGGER_PREFIX = workerData.triggerPrefix;
+let pending = [];
+let schemaVersion = -1;
+const queue = [];
+// The id of the stream being read, and whether it was cancelled
+let streaming = null;
+let streamCancelled = false;
+let busy = false;
+// Waiting for the main thread to send change triggers
+let syncing = false;
+
+db.function('notify_change', { varargs: true }, (table, op, rowid, ...pk) => {
+  pending.push({ table, op, rowid, pk: pk.length === 0 ? rowid : pk.length === 1 ? pk[0] : pk });
+  return 1;
+});
+
+function quote(name) {
+  return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+// Describe the tables to the main thread, which builds their change triggers,
+// and the views, so it knows which tables they read
+function requestChangeTriggers() {
+  schemaVersion = db.pragma('schema_version', { simple: true });
+  const tables = db.prepare(
+    "SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND sql NOT LIKE 'CREATE VIRTUAL%'"
+  ).all().map(table => ({
+    name: table.name,
+    pkColumns: db.pragma('table_info(' + quote(table.name) + ')')
+      .filter(column => column.pk > 0)
+      .sort((a, b) => a.pk - b.pk)
+      .map(column => column.name),
+    withoutRowid: /\\bWITHOUT\\s+ROWID\\b/i.test(table.sql)
+  }));
+  const views = db.prepare(
+    "SELECT name, sql FROM sqlite_master WHERE type = 'view' UNION ALL SELECT name, sql FROM sqlite_temp_master WHERE type = 'view'"
+  ).all();
+  syncing = true;
+  parentPort.postMessage({ op: 'tables', tables, views });
+}
+
+function installChangeTriggers(statements) {
+  const existing = db.prepare("SELECT name FROM sqlite_temp_master WHERE type = 'trigger' AND name LIKE ?")
+    .all(TRIGGER_PREFIX + '%');
+  for (const { name } of existing) {
+    db.exec('DROP TRIGGER IF EXISTS temp.' + quote(name));
+  }
+  for (const statement of statements) {
+    db.exec(statement);
+  }
+  syncing = false;
+  pump();
+}
+
+// Structured clone turns Buffers into Uint8Arrays; better-sqlite3 only binds Buffers
+function toBindable(params) {
+  const convert = value => value instanceof Uint8Array && !Buffer.isBuffer(value)
+    ? Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+    : value;
+  if (Array.isArray(params)) {
+    return params.map(convert);
+  }
+  if (params && typeof params === 'object') {
+    const result = {};
+    for (const key of Object.keys(params)) {
+      result[key] = convert(params[key]);
+    }
+    return result;
+  }
+  return params === undefined ? [] : params;
+}
+
+function serializeError(error) {
+  return { message: error.message, name: error.name, code: error.code };
+}
+
+// Finish a write: publish its changes (unless still inside a manual transaction)
+function takeChanges() {
+  if (db.inTransaction) {
+    return [];
+  }
+  if (db.pragma('schema_version', { simple: true }) !== schemaVersion) {
+    requestChangeTriggers();
+  }
+  const changes = pending;
+  pending = [];
+  return changes;
+}
+
+function handle(message) {
+  const mark = pending.length;
+  try {
+    switch (message.op) {
+      case 'run': {
+        const info = db.prepare(message.sql).run(toBindable(message.params));
+        if (!db.inTransaction && /^\\s*ROLLBACK\\b(?!\\s+(?:TRANSACTION\\s+)?TO\\b)/i.test(message.sql)) {
+          pending = [];
+        }
+        parentPort.postMessage({ id: message.id, result: info, changes: takeChanges() });
+        break;
+      }
+      case 'all': {
+        // e.g. INSERT ... RETURNING writes too
+        const statement = db.prepare(message.sql);
+        const rows = statement.safeIntegers(Boolean(message.safeIntegers)).all(toBindable(message.params));
+        parentPort.postMessage({ id: message.id, result: rows, changes: statement.readonly ? [] : takeChanges() });
+        break;
+      }
+      case 'exec': {
+        db.exec(message.sql);
+        parentPort.postMessage({ id: message.id, result: null, changes: takeChanges() });
+        break;
+      }
+      case 'transaction': {
+        db.transaction(statements => {
+          for (const statement of statements) {
+            db.prepare(statement.sql).run(toBindable(statement.params));
+          }
+        })(message.statements);
+        parentPort.postMessage({ id: message.id, result: null, changes: takeChanges() });
+        break;
+      }
+      case 'close': {
+        db.close();
+        parentPort.postMessage({ id: message.id, result: null, changes: [] });
+        break;
+      }
+      default:
+        throw new Error('Unknown worker operation: ' + message.op);
+    }
+  } catch (error) {
+    pending.length = mark;
+    parentPort.postMessage({ id: message.id, error: serializeError(error) });
+  }
+}
+
+// Streams read a batch at a time and yield between batches, so a cancel
+// message can stop them; other requests wait until the stream is done
+function stream(message, done) {
+  const mark = pending.length;
+  let statement;
+  let iterator;
+  try {
+    statement = db.prepare(message.sql);
+    iterator = statement.safeIntegers(Boolean(message.safeIntegers)).iterate(toBindable(message.params));
+  } catch (error) {
+    parentPort.postMessage({ id: message.id, error: serializeError(error) });
+    return done();
+  }
+  const changes = () => statement.readonly ? [] : takeChanges();
+
+  const next = () => {
+    try {
+      if (streamCancelled) {
+        iterator.return();
+        // Nobody waits for the reply any more, but a write's changes still go out
+        parentPort.postMessage({ id: message.id, result: null, changes: changes() });
+        return done();
+      }
+
+      const rows = [];
+      let result = iterator.next();
+      while (!result.done) {
+        rows.push(result.value);
+        if (rows.length >= message.batchSize) {
+          break;
+        }
+        result = iterator.next();
+      }
+
+      if (rows.length > 0) {
+        parentPort.postMessage({ id: message.id, rows });
+      }
+      if (result.done) {
+        parentPort.postMessage({ id: message.id, result: null, changes: changes() });
+        return done();
+      }
+      setImmediate(next);
+    } catch (error) {
+      iterator.return();
+      pending.length = mark;
+      parentPort.postMessage({ id: message.id, error: serializeError(error) });
+      done();
+    }
+  };
+
+  next();
+}
+
+function pump() {
+  if (busy) {
+    return;
+  }
+  while (queue.length > 0 && !syncing) {
+    const message = queue.shift();
+    parentPort.postMessage({ id: message.id, started: true });
+    if (message.op === 'stream') {
+      busy = true;
+      streaming = message.id;
+      streamCancelled = false;
+      stream(message, () => {
+        busy = false;
+        streaming = null;
+        pump();
+      });
+      return;
+    }
+    handle(message);
+  }
+}
+
+// A queued request is dropped and a running stream stops before its next
+// batch; a request that has already finished is left alone
+function cancel(id) {
+  const index = queue.findIndex(message => message.id === id);
+  if (index >= 0) {
+    queue.splice(index, 1);
+  } else if (streaming === id) {
+    streamCancelled = true;
+  }
+}
+
+parentPort.on('message', message => {
+  if (message.op === 'cancel') {
+    cancel(message.target);
+    return;
+  }
+  if (message.op === 'triggers') {
+    installChangeTriggers(message.statements);
+    return;
+  }
+  queue.push(message);
+  pump();
+});
+
+requestChangeTriggers();
+`;
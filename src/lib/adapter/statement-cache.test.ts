@@ -0,0 +1,116 @@
+/**
+ * Tests for the prepared statement cache
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import { StatementCache } from './statement-cache';
+
+describe('StatementCache', () => {
+  let db: Database.Database;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.exec('CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('should reuse prepared statements', () => {
+    // Arrange
+    const cache = new StatementCache(db, 10);
+
+    // Act
+    const first = cache.get('SELECT * FROM users');
+    const second = cache.get('SELECT * FROM users');
+
+    // Assert
+    expect(second).toBe(first);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 1, size: 1 });
+  });
+
+  it('should keep one statement per connection under the same entry', () => {
+    // Arrange
+    const cache = new StatementCache(db, 10);
+    const other = new Database(':memory:');
+
+    // Act
+    const own = cache.get('SELECT 1');
+    const foreign = cache.get('SELECT 1', other);
+    const again = cache.get('SELECT 1', other);
+    other.close();
+
+    // Assert
+    expect(foreign).not.toBe(own);
+    expect(again).toBe(foreign);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 2, size: 1 });
+  });
+
+  it('should prepare a statement of its own while the cached one is iterating', () => {
+    // Arrange
+    const cache = new StatementCache(db, 10);
+    db.exec("INSERT INTO users (name) VALUES ('Alice'), ('Bob')");
+    const iterating = cache.get('SELECT * FROM users');
+    const cursor = iterating.iterate();
+    cursor.next();
+
+    // Act
+    const other = cache.get('SELECT * FROM users');
+    const rows = other.all();
+    cursor.return?.();
+
+    // Assert
+    expect(other).not.toBe(iterating);
+    expect(rows).toHaveLength(2);
+    expect(cache.get('SELECT * FROM users')).toBe(iterating);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 2, size: 1 });
+  });
+
+  it('should evict the least recently used statement', () => {
+    // Arrange
+    const cache = new StatementCache(db, 2);
+    const a = cache.get('SELECT 1');
+    cache.get('SELECT 2');
+
+    // Act - touch "SELECT 1" so "SELECT 2" is the oldest
+    cache.get('SELECT 1');
+    cache.get('SELECT 3');
+
+    // Assert
+    expect(cache.get('SELECT 1')).toBe(a);
+    expect(cache.stats()).toMatchObject({ evictions: 1, size: 2 });
+    expect(cache.stats().statements.map(stmt => stmt.sql).sort()).toEqual(['SELECT 1', 'SELECT 3']);
+  });
+
+  it('should record executions and time per statement', () => {
+    // Arrange
+    const cache = new StatementCache(db, 10);
+
+    // Act
+    cache.run('INSERT INTO users (name) VALUES (?)', stmt => stmt.run('John'));
+    cache.run('INSERT INTO users (name) VALUES (?)', stmt => stmt.run('Jane'));
+    const rows = cache.run('SELECT * FROM users', stmt => stmt.all());
+
+    // Assert
+    expect(rows).toHaveLength(2);
+    const stats = cache.stats();
+    const insert = stats.statements.find(stmt => stmt.sql.startsWith('INSERT'));
+    expect(insert?.executions).toBe(2);
+    expect(insert?.totalTimeMs).toBeGreaterThanOrEqual(0);
+    expect(stats.prepareTimeMs).toBeGreaterThan(0);
+  });
+
+  it('should not cache anything when the capacity is 0', () => {
+    // Arrange
+    const cache = new StatementCache(db, 0);
+
+    // Act
+    const first = cache.get('SELECT 1');
+    const second = cache.get('SELECT 1');
+
+    // Assert
+    expect(second).not.toBe(first);
+    expect(cache.stats()).toMatchObject({ hits: 0, misses: 2, size: 0 });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * LRU cache of prepared statements for better-sqlite3
+ */
+import Database from 'better-sqlite3';
+
+/**
+ * Usage statistics for a single cached statement
+ */
+export interface SQLiteStatementStats {
+  sql: string;
+  /** Number of times the statement was run */
+  executions: number;
+  /** Cumulative time spent running the statement, in milliseconds */
+  totalTimeMs: number;
+  /** Time spent preparing the statement on every connection that ran it, in milliseconds */
+  prepareTimeMs: number;
+}
+
+/**
+ * Statistics for the prepared statement cache
+ */
+export interface SQLiteStatementCacheStats {
+  /** Lookups served from the cache */
+  hits: number;
+  /** Lookups that had to prepare a new statement */
+  misses: number;
+  /** Statements dropped to make room for newer ones */
+  evictions: number;
+  /** Statements currently cached */
+  size: number;
+  /** Maximum number of cached statements */
+  capacity: number;
+  /** Cumulative time spent preparing statements, in milliseconds */
+  prepareTimeMs: number;
+  /** Per-statement figures for the cached statements, busiest first */
+  statements: SQLiteStatementStats[];
+}
+
+interface CacheEntry {
+  // One prepared statement per connection that has run this SQL
+  statements: Map<Database.Database, Database.Statement>;
+  stats: SQLiteStatementStats;
+}
+
+/**
+ * Keeps the most recently used prepared statements, keyed by their SQL.
+ * A Map iterates in insertion order, so re-inserting an entry on every hit
+ * keeps the least recently used statement first in line for eviction.
+ *
+ * Statements belong to a connection, so an entry holds one per connection
+ * (see SQLiteConnectionPool); statistics are kept per SQL across them.
+ */
+export class StatementCache {
+  private entries = new Map<string, CacheEntry>();
+  private hits = 0;
+  private misses = 0;
+  private evictions = 0;
+  private prepareTimeMs = 0;
+
+  constructor(private db: Database.Database, private capacity = 100) {}
+
+  /**
+   * Get the prepared statement for some SQL on a connection (the default
+   * connection unless given), preparing it on a miss or while the cached one is busy
+   */
+  get(sql: string, db: Database.Database = this.db): Database.Statement {
+    const entry = this.entries.get(sql);
+    const cached = entry?.statements.get(db);
+    if (entry && cached && !cached.busy) {
+      this.hits++;
+      this.entries.delete(sql);
+      this.entries.set(sql, entry);
+      return cached;
+    }
+
+    this.misses++;
+    const start = performance.now();
+    const statement = db.prepare(sql);
+    const elapsed = performance.now() - start;
+    this.prepareTimeMs += elapsed;
+
+    if (entry && cached) {
+      // The cached statement is busy: an iterate() cursor over it is still
+      // open. This caller gets a statement of its own, which isn't cached.
+      entry.stats.prepareTimeMs += elapsed;
+    } else if (entry) {
+      entry.statements.set(db, statement);
+      entry.stats.prepareTimeMs += elapsed;
+      this.entries.delete(sql);
+      this.entries.set(sql, entry);
+    } else if (this.capacity > 0) {
+      this.entries.set(sql, {
+        statements: new Map([[db, statement]]),
+        stats: { sql, executions: 0, totalTimeMs: 0, prepareTimeMs: elapsed }
+      });
+
+      if (this.entries.size > this.capacity) {
+        const oldest = this.entries.keys().next().value as string;
+        this.entries.delete(oldest);
+        this.evictions++;
+      }
+    }
+
+    return statement;
+  }
+
+  /**
+   * Record one run of a statement
+   */
+  record(sql: string, durationMs: number): void {
+    const entry = this.entries.get(sql);
+    if (entry) {
+      entry.stats.executions++;
+      entry.stats.totalTimeMs += durationMs;
+    }
+  }
+
+  /**
+   * Prepare (or reuse) a statement, run it, and record how long the run took
+   */
+  run<R>(sql: string, fn: (statement: Database.Statement) => R, db: Database.Database = this.db): R {
+    const statement = this.get(sql, db);
+    return this.measure(sql, () => fn(statement));
+  }
+
+  /**
+   * Run a function and record how long it took as one run of a statement
+   */
+  measure<R>(sql: string, fn: () => R): R {
+    const start = performance.now();
+    try {
+      return fn();
+    } finally {
+      this.record(sql, performance.now() - start);
+    }
+  }
+
+  /**
+   * Current cache statistics
+   */
+  stats(): SQLiteStatementCacheStats {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      size: this.entries.size,
+      capacity: this.capacity,
+      prepareTimeMs: this.prepareTimeMs,
+      statements: Array.from(this.entries.values())
+        .map(entry => ({ ...entry.stats }))
+        .sort((a, b) => b.totalTimeMs - a.totalTimeMs)
+    };
+  }
+
+  /**
+   * Drop every cached statement and reset the counters
+   */
+  clear(): void {
+    this.entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.prepareTimeMs = 0;
+  }
+}
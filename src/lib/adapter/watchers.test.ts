@@ -0,0 +1,271 @@
+/**
+ * Tests for row and aggregate watchers
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { Subscription } from 'rxjs';
+import { BetterSQLiteAdapter } from './better-sqlite-adapter';
+import { sql } from '../utils/sql';
+import { AGGREGATE_CAPTURE_PREFIX, createRowQuery, rowKey } from './watchers';
+
+describe('createRowQuery', () => {
+  it('should select a row by its primary key or rowid', () => {
+    // Act
+    const single = createRowQuery('users', ['id'], 1);
+    const composite = createRowQuery('memberships', ['user_id', 'group_id'], [1, 7]);
+    const rowid = createRowQuery('log', [], 3);
+
+    // Assert
+    expect(single.text).toBe('SELECT * FROM "users" WHERE "id" = ?');
+    expect(composite.text).toBe('SELECT * FROM "memberships" WHERE "user_id" = ? AND "group_id" = ?');
+    expect(composite.values).toEqual([1, 7]);
+    expect(rowid.text).toBe('SELECT * FROM "log" WHERE rowid = ?');
+    expect(() => createRowQuery('memberships', ['user_id', 'group_id'], 1)).toThrow(/has 2 column\(s\), got 1 value\(s\)/);
+  });
+
+  it('should give equal keys the same string', () => {
+    // Act & Assert
+    expect(rowKey(1)).toBe(rowKey([1]));
+    expect(rowKey(1)).toBe(rowKey(1n));
+    expect(rowKey(1)).not.toBe(rowKey('1'));
+    expect(rowKey([1, 'a'])).not.toBe(rowKey(['1', 'a']));
+  });
+});
+
+describe('BetterSQLiteAdapter watchers', () => {
+  let adapter: BetterSQLiteAdapter;
+  let subscription: Subscription;
+  let reads: string[];
+
+  beforeEach(() => {
+    adapter = new BetterSQLiteAdapter(':memory:');
+    adapter.exec(`
+      CREATE TABLE orders (id INTEGER PRIMARY KEY, region TEXT, amount REAL, status TEXT NOT NULL DEFAULT 'open');
+      INSERT INTO orders (id, region, amount) VALUES (1, 'north', 10), (2, 'north', 20), (3, 'south', 5), (4, 'south', NULL);
+    `);
+    reads = [];
+    subscription = adapter.events$.subscribe(event => {
+      if (event.kind === 'query') {
+        reads.push(event.sql);
+      }
+    });
+  });
+
+  afterEach(() => {
+    subscription.unsubscribe();
+    adapter.close();
+  });
+
+  describe('watchRow', () => {
+    it('should emit the row when it changes and null while it is gone', () => {
+      // Arrange
+      const emitted: unknown[] = [];
+      const watching = adapter.watchRow<{ id: number; amount: number }>('orders', 1).subscribe(row => emitted.push(row?.amount ?? null));
+
+      // Act
+      adapter.execute('UPDATE orders SET amount = 11 WHERE id = 1');
+      adapter.execute('DELETE FROM orders WHERE id = 1');
+      adapter.execute('INSERT INTO orders (id, region, amount) VALUES (1, ?, 12)', { params: ['east'] });
+      watching.unsubscribe();
+
+      // Assert
+      expect(emitted).toEqual([10, 11, null, 12]);
+    });
+
+    it('should not re-read the row for writes to other rows', () => {
+      // Arrange
+      const emitted: unknown[] = [];
+      const watching = adapter.watchRow('orders', 1).subscribe(row => emitted.push(row));
+      reads = [];
+
+      // Act
+      adapter.execute('UPDATE orders SET amount = amount + 1 WHERE id <> 1');
+      adapter.execute("INSERT INTO orders (id, region, amount) VALUES (5, 'east', 1)");
+      watching.unsubscribe();
+
+      // Assert
+      expect(emitted).toHaveLength(1);
+      expect(reads).toEqual([]);
+    });
+
+    it('should follow primary key changes and composite keys', () => {
+      // Arrange
+      adapter.exec(`
+        CREATE TABLE memberships (user_id INTEGER, group_id INTEGER, role TEXT, PRIMARY KEY (user_id, group_id));
+        INSERT INTO memberships VALUES (1, 7, 'member');
+      `);
+      const moved: unknown[] = [];
+      const roles: unknown[] = [];
+      const first = adapter.watchRow<{ id: number }>('orders', 2).subscribe(row => moved.push(row?.id ?? null));
+      const second = adapter.watchRow<{ role: string }>('memberships', [1, 7]).subscribe(row => roles.push(row?.role ?? null));
+
+      // Act
+      adapter.execute('UPDATE orders SET id = 20 WHERE id = 2');
+      adapter.execute("UPDATE memberships SET role = 'owner' WHERE user_id = 1");
+      first.unsubscribe();
+      second.unsubscribe();
+
+      // Assert
+      expect(moved).toEqual([2, null]);
+      expect(roles).toEqual(['member', 'owner']);
+    });
+  });
+
+  describe('watchAggregate', () => {
+    const write = () => adapter.transaction(tx => {
+      tx.execute("INSERT INTO orders (id, region, amount) VALUES (5, 'east', 7), (6, 'south', 3)");
+      tx.execute("UPDATE orders SET region = 'south' WHERE id = 2");
+      tx.execute('UPDATE orders SET amount = 8 WHERE id = 4');
+      tx.execute('UPDATE orders SET id = 10 WHERE id = 1');
+      tx.execute('DELETE FROM orders WHERE id = 3');
+    });
+
+    it('should keep counts, sums and averages up to date', () => {
+      // Arrange
+      const counts: unknown[] = [];
+      const sums: unknown[] = [];
+      const averages: unknown[] = [];
+      const watching = [
+        adapter.watchAggregate('orders', { count: true }).subscribe(value => counts.push(value)),
+        adapter.watchAggregate('orders', { sum: 'amount', where: "region = 'north'" }).subscribe(value => sums.push(value)),
+        adapter.watchAggregate('orders', { avg: 'amount', groupBy: 'region' }).subscribe(value => averages.push(value))
+      ];
+
+      // Act
+      write();
+      adapter.execute("DELETE FROM orders WHERE region = 'north'");
+      watching.forEach(watcher => watcher.unsubscribe());
+
+      // Assert
+      expect(counts).toEqual([4, 5, 4]);
+      expect(sums).toEqual([30, 10, null]);
+      expect(averages).toEqual([
+        [{ group: 'north', value: 15 }, { group: 'south', value: 5 }],
+        [{ group: 'east', value: 7 }, { group: 'north', value: 10 }, { group: 'south', value: 31 / 3 }],
+        [{ group: 'east', value: 7 }, { group: 'south', value: 31 / 3 }]
+      ]);
+    });
+
+    it('should match the same aggregate run in SQL', () => {
+      // Arrange
+      let latest: unknown;
+      const watching = adapter.watchAggregate('orders', { count: 'amount', groupBy: 'region' }).subscribe(value => {
+        latest = value;
+      });
+
+      // Act
+      write();
+      watching.unsubscribe();
+
+      // Assert
+      expect(latest).toEqual(adapter.transaction(tx => tx.query(
+        'SELECT region AS "group", COUNT(amount) AS value FROM orders GROUP BY region ORDER BY region'
+      )));
+    });
+
+    it('should apply writes without reading the table', () => {
+      // Arrange
+      const emitted: unknown[] = [];
+      const watching = adapter.watchAggregate('orders', { sum: 'amount', where: sql`region = ${'north'}` })
+        .subscribe(value => emitted.push(value));
+      reads = [];
+
+      // Act
+      adapter.execute('UPDATE orders SET amount = 30 WHERE id = 2');
+      adapter.execute("INSERT INTO orders (id, region, amount) SELECT id + 100, 'north', 1 FROM orders");
+      watching.unsubscribe();
+
+      // Assert
+      expect(emitted).toEqual([30, 40, 44]);
+      expect(reads).toEqual([]);
+    });
+
+    it('should leave out the changes of failed statements and rolled back transactions', () => {
+      // Arrange
+      const emitted: unknown[] = [];
+      const watching = adapter.watchAggregate('orders', { count: true, groupBy: 'region' }).subscribe(value => emitted.push(value));
+
+      // Act
+      expect(() => adapter.transaction(tx => {
+        tx.execute("INSERT INTO orders (id, region) VALUES (5, 'east')");
+        throw new Error('abort');
+      })).toThrow('abort');
+      adapter.transaction(tx => {
+        tx.execute("UPDATE orders SET region = 'east' WHERE id = 1");
+        expect(() => tx.execute("INSERT INTO orders (id, region) VALUES (6, 'west'), (1, 'west')")).toThrow();
+      });
+      watching.unsubscribe();
+
+      // Assert
+      expect(emitted).toEqual([
+        [{ group: 'north', value: 2 }, { group: 'south', value: 2 }],
+        [{ group: 'east', value: 1 }, { group: 'north', value: 1 }, { group: 'south', value: 2 }]
+      ]);
+    });
+
+    it('should re-run the aggregate when the filter cannot be evaluated on a single row', () => {
+      // Arrange
+      const emitted: unknown[] = [];
+      const watching = adapter.watchAggregate('orders', { count: true, where: 'rowid > 2' }).subscribe(value => emitted.push(value));
+
+      // Act
+      adapter.execute('DELETE FROM orders WHERE id = 4');
+      watching.unsubscribe();
+
+      // Assert
+      expect(emitted).toEqual([2, 1]);
+    });
+
+    it('should drop its triggers once unsubscribed', () => {
+      // Arrange
+      const triggers = () => adapter.transaction(tx => tx.query<{ name: string }>(
+        `SELECT name FROM sqlite_temp_master WHERE name LIKE '${AGGREGATE_CAPTURE_PREFIX}%'`
+      ));
+      const watching = adapter.watchAggregate('orders', { count: true }).subscribe();
+      const installed = triggers().length;
+
+      // Act
+      watching.unsubscribe();
+
+      // Assert
+      expect(installed).toBe(4);
+      expect(triggers()).toEqual([]);
+    });
+
+    it('should follow the table when it is recreated', () => {
+      // Arrange
+      const emitted: unknown[] = [];
+      const watching = adapter.watchAggregate('orders', { count: true }).subscribe(value => emitted.push(value));
+
+      // Act
+      adapter.exec('DROP TABLE orders; CREATE TABLE orders (id INTEGER PRIMARY KEY, region TEXT, amount REAL)');
+      adapter.execute("INSERT INTO orders (id, region) VALUES (1, 'north')");
+      watching.unsubscribe();
+
+      // Assert
+      expect(emitted).toEqual([4, 0, 1]);
+    });
+
+    it('should re-run the aggregate when the filter reads other tables', () => {
+      // Arrange
+      adapter.exec("CREATE TABLE regions (name TEXT PRIMARY KEY, active INTEGER); INSERT INTO regions VALUES ('north', 1), ('south', 0)");
+      const emitted: unknown[] = [];
+      const watching = adapter.watchAggregate('orders', {
+        count: true,
+        where: 'region IN (SELECT name FROM regions WHERE active = 1)'
+      }).subscribe(value => emitted.push(value));
+
+      // Act
+      adapter.execute("UPDATE regions SET active = 1 WHERE name = 'south'");
+      watching.unsubscribe();
+
+      // Assert
+      expect(emitted).toEqual([2, 4]);
+    });
+
+    it('should need exactly one aggregate', () => {
+      // Act & Assert
+      expect(() => adapter.watchAggregate('orders', {})).toThrow(/exactly one of count, sum or avg/);
+      expect(() => adapter.watchAggregate('orders', { count: true, sum: 'amount' })).toThrow(/exactly one/);
+    });
+  });
+});
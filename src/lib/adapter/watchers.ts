@@ -0,0 +1,305 @@
+/**
+ * Watchers that follow a single row, or an aggregate of a table, through the
+ * adapter's row-level change events instead of re-running whole queries
+ */
+import type { SQLiteBindValue, SQLiteChangeEvent, SQLiteRow, SQLiteValue } from '../types';
+import { getReadTables, normalizeTableName, quoteIdentifier, quoteLiteral } from '../utils/sqlite-utils';
+import { SQLFragment, sql } from '../utils/sql';
+
+/**
+ * A primary key value, or one value per column of a composite key. Tables
+ * without a declared primary key are identified by their rowid.
+ */
+export type SQLiteRowKey = SQLiteChangeEvent['pk'];
+
+export interface SQLiteWatchAggregateOptions {
+  /** `true` counts rows; a column counts its non-NULL values */
+  count?: true | string;
+  /** Sum of a column; NULL when it has no non-NULL values */
+  sum?: string;
+  /** Average of a column; NULL when it has no non-NULL values */
+  avg?: string;
+  /** Only rows matching this condition are aggregated */
+  where?: string | SQLFragment;
+  /** Aggregate each value of this column separately */
+  groupBy?: string;
+}
+
+export interface SQLiteAggregateGroup {
+  group: SQLiteValue;
+  value: number | null;
+}
+
+/**
+ * A string that is equal for equal keys, whether given as a value or a
+ * one-element array, a number or a bigint
+ */
+export function rowKey(pk: SQLiteRowKey | SQLiteValue): string {
+  return JSON.stringify((Array.isArray(pk) ? pk : [pk]).map(value => {
+    if (typeof value === 'boolean') {
+      return `n${Number(value)}`;
+    }
+    if (typeof value === 'number' || typeof value === 'bigint') {
+      return `n${value}`;
+    }
+    if (typeof value === 'string') {
+      return `s${value}`;
+    }
+    return value === null ? null : `b${Buffer.from(value).toString('hex')}`;
+  }));
+}
+
+// The columns identifying a row, for SQL; the rowid when no primary key is declared
+function keyColumns(pkColumns: string[]): SQLFragment[] {
+  return pkColumns.length > 0 ? pkColumns.map(column => sql.id(column)) : [sql.raw('rowid')];
+}
+
+/**
+ * SELECT the row of `table` with the primary key `pk`
+ */
+export function createRowQuery(table: string, pkColumns: string[], pk: SQLiteRowKey): SQLFragment {
+  const values = Array.isArray(pk) ? pk : [pk];
+  const columns = keyColumns(pkColumns);
+  if (values.length !== columns.length) {
+    throw new Error(`The primary key of ${table} has ${columns.length} column(s), got ${values.length} value(s)`);
+  }
+  const conditions = columns.map((column, i) => sql`${column} = ${values[i]}`);
+  return sql`SELECT * FROM ${sql.id(table)} WHERE ${sql.join(conditions, ' AND ')}`;
+}
+
+interface GroupTotals {
+  group: SQLiteValue;
+  rows: number;
+  // Non-NULL values of the aggregated column, and their sum
+  values: number;
+  total: number;
+}
+
+/**
+ * Compare values the way SQLite sorts them: NULL, numbers, text, then blobs
+ */
+function compareValues(a: SQLiteValue, b: SQLiteValue): number {
+  const rank = (value: SQLiteValue) =>
+    value === null ? 0 : typeof value === 'string' ? 2 : Buffer.isBuffer(value) ? 3 : 1;
+  if (rank(a) !== rank(b)) {
+    return rank(a) - rank(b);
+  }
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) {
+    return Buffer.compare(a, b);
+  }
+  return a === b ? 0 : a! < b! ? -1 : 1;
+}
+
+/**
+ * SQL literal of a bound value, for SQL that can't take parameters (triggers)
+ */
+function toLiteral(value: SQLiteBindValue): string {
+  if (value === null) {
+    return 'NULL';
+  }
+  if (typeof value === 'string') {
+    return quoteLiteral(value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return `X'${value.toString('hex')}'`;
+  }
+  return String(typeof value === 'boolean' ? Number(value) : value);
+}
+
+/**
+ * The text of a fragment with its parameters written out as literals
+ */
+function inlineValues(fragment: SQLFragment): string {
+  let next = 0;
+  return fragment.text.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|\?/g, token =>
+    token === '?' ? toLiteral(fragment.values[next++]) : token
+  );
+}
+
+/**
+ * Prefix of the TEMP table and triggers an AggregateWatcher records changes with
+ */
+export const AGGREGATE_CAPTURE_PREFIX = '_rxjs_sqlite_aggregate_';
+
+let captures = 0;
+
+/**
+ * Keeps an aggregate of a table up to date, holding only the totals of each
+ * group. While the filter only reads the watched table, TEMP triggers record
+ * what each changed row takes from and adds to its group, and update() folds
+ * those deltas into the totals; SQLite discards them along with a failed
+ * statement or a rolled back transaction. Otherwise every change re-runs the
+ * aggregate.
+ */
+export class AggregateWatcher {
+  /** Tables whose changes may alter the result */
+  readonly tables: string[];
+  private readonly fn: 'count' | 'sum' | 'avg';
+  private readonly column: string | null;
+  private readonly where: SQLFragment;
+  // Whether the filter only reads the watched table
+  private readonly capturable: boolean;
+  private readonly capture = `${AGGREGATE_CAPTURE_PREFIX}${++captures}`;
+  private capturing = false;
+  private groups = new Map<string, GroupTotals>();
+
+  /**
+   * @param read Runs a query, on any connection
+   * @param local Runs a statement on the connection that writes, where the
+   * TEMP table and triggers live
+   */
+  constructor(
+    private readonly table: string,
+    private readonly options: SQLiteWatchAggregateOptions,
+    private readonly read: (query: SQLFragment) => SQLiteRow[],
+    private readonly local: (query: SQLFragment) => SQLiteRow[]
+  ) {
+    const given = (['count', 'sum', 'avg'] as const).filter(fn => options[fn] !== undefined);
+    if (given.length !== 1) {
+      throw new Error('watchAggregate needs exactly one of count, sum or avg');
+    }
+    this.fn = given[0];
+    const column = options[this.fn]!;
+    this.column = column === true ? null : column;
+
+    const { where } = options;
+    this.where = where === undefined ? sql.raw('1') : typeof where === 'string' ? sql.raw(where) : where;
+    const whereTables = getReadTables(this.where.text);
+    this.tables = [table, ...whereTables].map(normalizeTableName);
+    this.capturable = whereTables.length === 0;
+  }
+
+  /** Whether changes are applied as deltas rather than by re-running the aggregate */
+  get incremental(): boolean {
+    return this.capturing;
+  }
+
+  private groupColumn(): SQLFragment {
+    return this.options.groupBy === undefined ? sql.raw('NULL') : sql.id(this.options.groupBy);
+  }
+
+  /**
+   * Compute the aggregate from scratch, (re-)installing the triggers that
+   * record changes when the filter allows it
+   */
+  reload(): void {
+    this.groups.clear();
+    this.startCapture();
+
+    const column = this.column === null ? null : sql.id(this.column);
+    const groupBy = this.options.groupBy === undefined ? sql.raw('') : sql` GROUP BY ${this.groupColumn()}`;
+    const rows = this.read(sql`
+      SELECT ${this.groupColumn()} AS "group", COUNT(*) AS "rows",
+        ${column ? sql`COUNT(${column})` : sql.raw('0')} AS "values", ${column ? sql`TOTAL(${column})` : sql.raw('0')} AS "total"
+      FROM ${sql.id(this.table)} WHERE ${this.where}${groupBy}
+    `) as unknown as GroupTotals[];
+    for (const totals of rows) {
+      this.groups.set(rowKey(totals.group), totals);
+    }
+  }
+
+  /**
+   * Bring the aggregate up to date after a write to one of its tables
+   */
+  update(): void {
+    if (!this.capturing) {
+      this.reload();
+      return;
+    }
+
+    const capture = sql.id(this.capture);
+    const deltas = this.local(sql`
+      SELECT "group", SUM(sign) AS "rows", SUM(CASE WHEN value IS NULL THEN 0 ELSE sign END) AS "values",
+        TOTAL(sign * value) AS "total"
+      FROM temp.${capture} GROUP BY "group"
+    `) as unknown as GroupTotals[];
+    this.local(sql`DELETE FROM temp.${capture}`);
+
+    for (const delta of deltas) {
+      const groupKey = rowKey(delta.group);
+      const totals = this.groups.get(groupKey) ?? { group: delta.group, rows: 0, values: 0, total: 0 };
+      totals.rows += delta.rows;
+      totals.values += delta.values;
+      // Start from an exact zero rather than what rounding left over
+      totals.total = totals.values === 0 ? 0 : totals.total + delta.total;
+      if (totals.rows === 0) {
+        this.groups.delete(groupKey);
+      } else {
+        this.groups.set(groupKey, totals);
+      }
+    }
+  }
+
+  /**
+   * Drop the TEMP table and triggers
+   */
+  dispose(): void {
+    this.capturing = false;
+    for (const event of ['insert', 'update', 'delete']) {
+      this.local(sql`DROP TRIGGER IF EXISTS temp.${sql.id(`${this.capture}_${event}`)}`);
+    }
+    this.local(sql`DROP TABLE IF EXISTS temp.${sql.id(this.capture)}`);
+  }
+
+  /**
+   * Install the TEMP table and the triggers that record into it the group
+   * and value each changed row had (with sign -1) and has (+1), unless the
+   * filter reads other tables or can't be evaluated on a single row, e.g.
+   * because it uses the rowid
+   */
+  private startCapture(): void {
+    if (!this.capturable) {
+      return;
+    }
+
+    const columns = (this.local(sql`SELECT name FROM pragma_table_xinfo(${this.table}) WHERE hidden <> 1`) as { name: string }[])
+      .map(({ name }) => quoteIdentifier(name));
+    const value = this.column === null ? 'NULL' : `CAST(${quoteIdentifier(this.column)} AS REAL)`;
+    // The row's columns as a table of its own, so the filter reads them by name
+    const select = (sign: number, source: (column: string) => string) =>
+      `SELECT ${this.groupColumn().text}, ${sign}, ${value} ` +
+      `FROM (SELECT ${columns.map(column => `${source(column)} AS ${column}`).join(', ')}) AS ${quoteIdentifier(this.table)} ` +
+      `WHERE (${inlineValues(this.where)})`;
+    const record = (row: 'OLD' | 'NEW') =>
+      `INSERT INTO ${quoteIdentifier(this.capture)} ("group", sign, value) ${select(row === 'OLD' ? -1 : 1, column => `${row}.${column}`)};`;
+    const trigger = (event: string, body: string[]) =>
+      `CREATE TEMP TRIGGER IF NOT EXISTS ${quoteIdentifier(`${this.capture}_${event.toLowerCase()}`)} ` +
+      `AFTER ${event} ON main.${quoteIdentifier(this.table)} BEGIN ${body.join(' ')} END`;
+
+    try {
+      // Trigger bodies are only compiled by the writes that fire them
+      this.local(sql.raw(select(1, () => 'NULL')));
+      this.local(sql`CREATE TEMP TABLE IF NOT EXISTS ${sql.id(this.capture)} ("group", sign INTEGER NOT NULL, value REAL)`);
+      this.local(sql`DELETE FROM temp.${sql.id(this.capture)}`);
+      this.local(sql.raw(trigger('INSERT', [record('NEW')])));
+      this.local(sql.raw(trigger('UPDATE', [record('OLD'), record('NEW')])));
+      this.local(sql.raw(trigger('DELETE', [record('OLD')])));
+      this.capturing = true;
+    } catch {
+      this.dispose();
+    }
+  }
+
+  private valueOf(totals: GroupTotals | undefined): number | null {
+    if (this.fn === 'count') {
+      return totals ? (this.column === null ? totals.rows : totals.values) : 0;
+    }
+    if (!totals || totals.values === 0) {
+      return null;
+    }
+    return this.fn === 'sum' ? totals.total : totals.total / totals.values;
+  }
+
+  /**
+   * The current value, or one entry per group ordered by group
+   */
+  result(): number | null | SQLiteAggregateGroup[] {
+    if (this.options.groupBy === undefined) {
+      return this.valueOf(this.groups.get(rowKey(null)));
+    }
+    return Array.from(this.groups.values())
+      .filter(totals => totals.rows > 0)
+      .sort((a, b) => compareValues(a.group, b.group))
+      .map(totals => ({ group: totals.group, value: this.valueOf(totals) }));
+  }
+}
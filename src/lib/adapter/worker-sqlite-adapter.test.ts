@@ -0,0 +1,302 @@
+/**
+ * Tests for the WorkerSQLiteAdapter
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { firstValueFrom, lastValueFrom, filter, take, toArray } from 'rxjs';
+import { WorkerSQLiteAdapter } from './worker-sqlite-adapter';
+import { SQLiteAsyncAdapter, SQLiteChangeEvent } from '../types';
+import { sql } from '../utils/sql';
+
+describe('WorkerSQLiteAdapter', () => {
+  let adapter: WorkerSQLiteAdapter;
+
+  beforeEach(() => {
+    adapter = new WorkerSQLiteAdapter(':memory:');
+    adapter.exec('CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)');
+  });
+
+  afterEach(() => {
+    adapter.close();
+  });
+
+  it('should run writes and queries in order', async () => {
+    // Arrange
+    adapter.execute('INSERT INTO users (id, name) VALUES (?, ?)', { params: [1, 'Alice'] });
+    adapter.execute('INSERT INTO users (id, name) VALUES (?, ?)', { params: [2, 'Bob'] });
+
+    // Act
+    const users = await firstValueFrom(adapter.query<{ id: number; name: string }>('SELECT * FROM users ORDER BY id'));
+    const bob = await firstValueFrom(adapter.queryOne<{ name: string }>('SELECT name FROM users WHERE id = 2'));
+
+    // Assert
+    expect(users).toEqual([{ id: 1, name: 'Alice' }, { id: 2, name: 'Bob' }]);
+    expect(bob).toEqual({ name: 'Bob' });
+  });
+
+  it('should accept sql template queries', async () => {
+    // Arrange
+    adapter.execute(sql`INSERT INTO ${sql.id('users')} (id, name) VALUES (${1}, ${'Alice'}), (${2}, ${'Bob'})`);
+
+    // Act
+    const users = await firstValueFrom(adapter.query(sql`SELECT name FROM users WHERE id IN (${[2]})`));
+    const result = await firstValueFrom(adapter.run(sql`DELETE FROM users WHERE name = ${'Alice'}`));
+
+    // Assert
+    expect(users).toEqual([{ name: 'Bob' }]);
+    expect(result.changes).toBe(1);
+  });
+
+  it('should decode and encode columns with codecs', async () => {
+    // Arrange
+    const codecs = { id: 'bigint', name: 'json' } as const;
+    adapter.execute('INSERT INTO users (id, name) VALUES ($id, $name)', {
+      params: { id: 9007199254740993n, name: { first: 'Alice' } },
+      codecs
+    });
+
+    // Act
+    const users = await firstValueFrom(adapter.query('SELECT * FROM users', { codecs }));
+    const streamed = await lastValueFrom(adapter.queryStream('SELECT * FROM users', { codecs }).pipe(toArray()));
+
+    // Assert
+    expect(users).toEqual([{ id: 9007199254740993n, name: { first: 'Alice' } }]);
+    expect(streamed).toEqual(users);
+  });
+
+  it('should emit the outcome of run and surface SQLite errors', async () => {
+    // Act
+    const result = await firstValueFrom(adapter.run("INSERT INTO users (name) VALUES ('Alice')"));
+    const failure = firstValueFrom(adapter.run("INSERT INTO users (id, name) VALUES (1, 'Bob')"));
+
+    // Assert
+    expect(result.changes).toBe(1);
+    expect(Number(result.lastInsertRowid)).toBe(1);
+    await expect(failure).rejects.toMatchObject({ code: 'SQLITE_CONSTRAINT_PRIMARYKEY' });
+  });
+
+  it('should report failed fire-and-forget writes on errors$', async () => {
+    // Arrange
+    const error = firstValueFrom(adapter.errors$);
+
+    // Act
+    adapter.execute('INSERT INTO missing (id) VALUES (1)');
+
+    // Assert
+    await expect(error).resolves.toMatchObject({ message: expect.stringContaining('no such table') });
+  });
+
+  it('should round-trip BLOBs as Buffers', async () => {
+    // Arrange
+    adapter.exec('CREATE TABLE files (id INTEGER PRIMARY KEY, data BLOB)');
+    adapter.execute('INSERT INTO files (id, data) VALUES (?, ?)', { params: [1, Buffer.from('hello')] });
+
+    // Act
+    const file = await firstValueFrom(adapter.queryOne<{ data: Buffer }>('SELECT data FROM files'));
+
+    // Assert
+    expect(Buffer.isBuffer(file?.data)).toBe(true);
+    expect(file?.data.toString()).toBe('hello');
+  });
+
+  it('should commit buffered transactions atomically', async () => {
+    // Arrange
+    const tx = adapter.transaction();
+    tx.execute("INSERT INTO users (id, name) VALUES (1, 'Alice')");
+    tx.execute("INSERT INTO users (id, name) VALUES (1, 'Duplicate')");
+    const error = firstValueFrom(adapter.errors$);
+
+    // Act
+    tx.commit();
+
+    // Assert
+    await error;
+    const users = await firstValueFrom(adapter.query('SELECT * FROM users'));
+    expect(users).toHaveLength(0);
+  });
+
+  it('should stand in for code that takes a SQLiteAsyncAdapter', async () => {
+    // Arrange
+    const names = (db: SQLiteAsyncAdapter) => db.from<{ id: number; name: string }>('users').select('name').query();
+    const tx = adapter.transaction();
+    tx.execute("INSERT INTO users (id, name) VALUES (1, 'Alice')");
+    tx.commit();
+
+    // Act
+    const users = await firstValueFrom(names(adapter));
+
+    // Assert
+    expect(users).toEqual([{ name: 'Alice' }]);
+  });
+
+  it('should publish row-level changes', async () => {
+    // Arrange
+    const events = firstValueFrom(adapter.changes$.pipe(take(2), toArray()));
+
+    // Act
+    adapter.execute("INSERT INTO users (id, name) VALUES (7, 'Alice')");
+    adapter.execute('DELETE FROM users WHERE id = 7');
+
+    // Assert
+    expect(await events).toEqual<SQLiteChangeEvent[]>([
+      { table: 'users', op: 'INSERT', rowid: 7, pk: 7 },
+      { table: 'users', op: 'DELETE', rowid: 7, pk: 7 }
+    ]);
+  });
+
+  it('should report primary key changes as a delete and an insert', async () => {
+    // Arrange
+    adapter.exec('CREATE TABLE memberships (user_id INTEGER, group_id INTEGER, role TEXT, PRIMARY KEY (user_id, group_id)) WITHOUT ROWID');
+    adapter.execute("INSERT INTO users (id, name) VALUES (1, 'Alice')");
+    await firstValueFrom(adapter.run("INSERT INTO memberships VALUES (1, 7, 'member')"));
+    const events = firstValueFrom(adapter.changes$.pipe(take(5), toArray()));
+
+    // Act
+    adapter.execute('UPDATE users SET id = 2 WHERE id = 1');
+    adapter.execute("UPDATE memberships SET role = 'owner' WHERE user_id = 1");
+    adapter.execute('UPDATE memberships SET group_id = 8 WHERE user_id = 1');
+
+    // Assert
+    expect(await events).toEqual<SQLiteChangeEvent[]>([
+      { table: 'users', op: 'DELETE', rowid: 1, pk: 1 },
+      { table: 'users', op: 'INSERT', rowid: 2, pk: 2 },
+      { table: 'memberships', op: 'UPDATE', rowid: null, pk: [1, 7] },
+      { table: 'memberships', op: 'DELETE', rowid: null, pk: [1, 7] },
+      { table: 'memberships', op: 'INSERT', rowid: null, pk: [1, 8] }
+    ]);
+  });
+
+  it('should publish changes of writes that return rows', async () => {
+    // Arrange
+    const events = firstValueFrom(adapter.changes$.pipe(take(2), toArray()));
+
+    // Act
+    const inserted = await firstValueFrom(adapter.query("INSERT INTO users (name) VALUES ('Alice') RETURNING id"));
+    const deleted = await lastValueFrom(adapter.queryStream('DELETE FROM users RETURNING id').pipe(toArray()));
+
+    // Assert
+    expect(inserted).toEqual([{ id: 1 }]);
+    expect(deleted).toEqual([{ id: 1 }]);
+    expect(await events).toEqual<SQLiteChangeEvent[]>([
+      { table: 'users', op: 'INSERT', rowid: 1, pk: 1 },
+      { table: 'users', op: 'DELETE', rowid: 1, pk: 1 }
+    ]);
+  });
+
+  it('should re-run reactive queries after writes', async () => {
+    // Arrange
+    const results = firstValueFrom(
+      adapter.reactiveQuery<{ name: string }>('SELECT name FROM users ORDER BY id').pipe(
+        filter(rows => rows.length === 2),
+        take(1)
+      )
+    );
+
+    // Act
+    adapter.execute("INSERT INTO users (id, name) VALUES (1, 'Alice')");
+    adapter.execute("INSERT INTO users (id, name) VALUES (2, 'Bob')");
+
+    // Assert
+    expect(await results).toEqual([{ name: 'Alice' }, { name: 'Bob' }]);
+  });
+
+  it('should re-run reactive queries on views after writes to their tables', async () => {
+    // Arrange
+    adapter.exec('CREATE VIEW user_count AS SELECT count(*) AS total FROM users');
+    const results = firstValueFrom(
+      adapter.reactiveQuery<{ total: number }>('SELECT total FROM user_count').pipe(
+        filter(rows => rows[0].total === 1),
+        take(1)
+      )
+    );
+
+    // Act
+    adapter.execute("INSERT INTO users (id, name) VALUES (1, 'Alice')");
+
+    // Assert
+    expect(await results).toEqual([{ total: 1 }]);
+  });
+
+  it('should stream rows and batches', async () => {
+    // Arrange
+    const tx = adapter.transaction();
+    for (let id = 1; id <= 5; id++) {
+      tx.execute('INSERT INTO users (id, name) VALUES (?, ?)', [id, `user ${id}`]);
+    }
+    tx.commit();
+
+    // Act
+    const rows = await lastValueFrom(adapter.queryStream<{ id: number }>('SELECT id FROM users ORDER BY id').pipe(toArray()));
+    const batches = await lastValueFrom(
+      adapter.queryStream<{ id: number }>('SELECT id FROM users ORDER BY id', { batchSize: 2 }).pipe(toArray())
+    );
+    const firstTwo = await lastValueFrom(
+      adapter.queryStream<{ id: number }>('SELECT id FROM users ORDER BY id').pipe(take(2), toArray())
+    );
+
+    // Assert
+    expect(rows.map(row => row.id)).toEqual([1, 2, 3, 4, 5]);
+    expect(batches.map(batch => batch.length)).toEqual([2, 2, 1]);
+    expect(firstTwo.map(row => row.id)).toEqual([1, 2]);
+    // The cancelled stream doesn't hold up the next request
+    expect(await firstValueFrom(adapter.query('SELECT COUNT(*) AS count FROM users'))).toEqual([{ count: 5 }]);
+  });
+
+  it('should not send a verbose logger to the worker', async () => {
+    // Arrange
+    const options = { verbose: () => undefined } as object;
+
+    // Act
+    const logged = new WorkerSQLiteAdapter(':memory:', options);
+
+    try {
+      // Assert
+      expect(await firstValueFrom(logged.query('SELECT 1 AS one'))).toEqual([{ one: 1 }]);
+    } finally {
+      logged.close();
+    }
+  });
+
+  it('should recycle the worker when a running query is abandoned', async () => {
+    // Arrange
+    const recycling = new WorkerSQLiteAdapter(':memory:', { terminateOnUnsubscribe: true });
+    const slowQuery = `
+      WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 50000000)
+      SELECT COUNT(*) AS count FROM n
+    `;
+
+    try {
+      // Act - once the worker is up
+      await firstValueFrom(recycling.query('SELECT 0 AS zero'));
+      const subscription = recycling.query(slowQuery).subscribe();
+      const queued = firstValueFrom(recycling.query('SELECT 1 AS one'));
+      // Let the worker report that it has started on the slow query
+      await new Promise(resolve => setTimeout(resolve, 50));
+      subscription.unsubscribe();
+
+      // Assert
+      await expect(queued).rejects.toThrow(/restarted/);
+      expect(await firstValueFrom(recycling.query('SELECT 2 AS two'))).toEqual([{ two: 2 }]);
+    } finally {
+      recycling.close();
+    }
+  });
+
+  it('should not recycle the worker for a request queued behind a cancelled stream', async () => {
+    // Arrange
+    const recycling = new WorkerSQLiteAdapter(':memory:', { terminateOnUnsubscribe: true });
+    recycling.exec('CREATE TABLE numbers (n INTEGER)');
+    recycling.execute('INSERT INTO numbers (n) SELECT value FROM json_each(?)', { params: ['[1,2,3,4,5]'] });
+
+    try {
+      // Act - the stream's final reply is still on its way when the next request is dropped
+      await firstValueFrom(recycling.queryStream('SELECT n FROM numbers', { batchSize: 1 }));
+      const queued = recycling.query('SELECT COUNT(*) AS count FROM numbers').subscribe();
+      queued.unsubscribe();
+
+      // Assert - a recycled in-memory database would have lost the table
+      expect(await firstValueFrom(recycling.query('SELECT COUNT(*) AS count FROM numbers'))).toEqual([{ count: 5 }]);
+    } finally {
+      recycling.close();
+    }
+  });
+});
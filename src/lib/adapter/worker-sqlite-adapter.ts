@@ -0,0 +1,464 @@
+/**
+ * RxJS adapter that runs better-sqlite3 in a worker thread
+ */
+import type Database from 'better-sqlite3';
+import { createRequire } from 'module';
+import { Worker } from 'worker_threads';
+import { Observable, Subject, defer, from } from 'rxjs';
+import { distinctUntilChanged, filter, map, mergeMap, scan, shareReplay, startWith, switchMap } from 'rxjs/operators';
+import {
+  SQLiteAsyncAdapter,
+  SQLiteBatchTransaction,
+  SQLiteBindParams,
+  SQLiteChangeEvent,
+  SQLiteColumnReference,
+  SQLiteQueryOptions,
+  SQLiteReactiveDiffOptions,
+  SQLiteReactiveQueryOptions,
+  SQLiteRow,
+  SQLiteRowDiff,
+  SQLiteRunResult,
+  SQLiteStreamOptions
+} from '../types';
+import {
+  CHANGE_TRIGGER_PREFIX,
+  affectsTables,
+  createChangeTriggerStatements,
+  diffRows,
+  getReadTables,
+  normalizeTableName,
+  resolveViews,
+  rowsEqual,
+  rowsToObjects
+} from '../utils/sqlite-utils';
+import { SQLFragment, resolveQuery } from '../utils/sql';
+import { usesBigInt } from '../utils/codecs';
+import { toSQLiteError } from './errors';
+import { SQLiteQueryBuilder, SQLiteTableColumns, SQLiteTableDefinition, SQLiteTableRow } from './query-builder';
+import { SQLITE_WORKER_SOURCE } from './sqlite-worker-source';
+
+/**
+ * Options for WorkerSQLiteAdapter; anything besides these is passed to better-sqlite3.
+ * `verbose` is left out, since a function can't be sent to the worker.
+ */
+export interface WorkerSQLiteAdapterOptions extends Omit<Database.Options, 'verbose'> {
+  /**
+   * Terminate and restart the worker when the last subscriber to a query
+   * unsubscribes while the worker is still running it. Requests queued behind
+   * it fail, and an in-memory database starts over empty. Defaults to false,
+   * in which case the worker finishes the query and the result is dropped.
+   */
+  terminateOnUnsubscribe?: boolean;
+}
+
+// Rows streamed from the worker per message when no batchSize is given
+const DEFAULT_STREAM_BATCH_SIZE = 256;
+
+type WorkerParams = SQLiteBindParams;
+
+interface WorkerRequest {
+  op: 'run' | 'all' | 'exec' | 'transaction' | 'stream' | 'close';
+  sql?: string;
+  params?: WorkerParams;
+  statements?: { sql: string; params: WorkerParams }[];
+  batchSize?: number;
+  /** Read integers as bigints */
+  safeIntegers?: boolean;
+}
+
+interface WorkerResponse {
+  id: number;
+  /** Sent when the worker starts on the request */
+  started?: boolean;
+  result?: unknown;
+  rows?: unknown[];
+  changes?: SQLiteChangeEvent[];
+  error?: { message: string; name: string; code?: string };
+}
+
+/**
+ * Sent by the worker at startup and after schema changes, so the change
+ * triggers for its tables are built here, by the same code as the in-process
+ * adapter, and reactive queries on its views follow the tables they read
+ */
+interface WorkerTablesMessage {
+  op: 'tables';
+  tables: { name: string; pkColumns: string[]; withoutRowid: boolean }[];
+  views: { name: string; sql: string }[];
+}
+
+interface PendingRequest {
+  op: WorkerRequest['op'];
+  next: (value: unknown) => void;
+  error: (error: Error) => void;
+  complete: () => void;
+}
+
+/**
+ * Turn an error posted by the worker back into an Error, keeping the SQLite code
+ */
+function toError(serialized: NonNullable<WorkerResponse['error']>): Error {
+  const error = new Error(serialized.message) as Error & { code?: string };
+  error.name = serialized.name;
+  if (serialized.code) {
+    error.code = serialized.code;
+  }
+  return error;
+}
+
+/**
+ * Structured clone turns the Buffers better-sqlite3 returns for BLOBs into Uint8Arrays
+ */
+function fromTransferable(rows: unknown[]): unknown[] {
+  for (const row of rows) {
+    if (row && typeof row === 'object') {
+      const record = row as Record<string, unknown>;
+      for (const key of Object.keys(record)) {
+        const value = record[key];
+        if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+          record[key] = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+        }
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Implementation of SQLiteBatchTransaction that sends its statements to the worker on commit
+ */
+class WorkerSQLiteTransaction implements SQLiteBatchTransaction {
+  private statements: { sql: string; params: WorkerParams }[] = [];
+
+  constructor(private commitStatements: (statements: { sql: string; params: WorkerParams }[]) => void) {}
+
+  execute(sql: string, params: WorkerParams = []): void {
+    // Store the statement for later execution
+    this.statements.push({ sql, params });
+  }
+
+  commit(): void {
+    // Execute all stored statements in one transaction in the worker
+    try {
+      this.commitStatements(this.statements);
+    } finally {
+      this.statements = [];
+    }
+  }
+
+  rollback(): void {
+    // Clear the statements without executing them
+    this.statements = [];
+  }
+}
+
+/**
+ * RxJS adapter for better-sqlite3 that keeps the database off the main thread.
+ *
+ * Requests are handled by the worker one at a time, in the order they were
+ * made, so a query always sees the writes issued before it. Nothing is sent
+ * until an Observable is subscribed to.
+ */
+export class WorkerSQLiteAdapter implements SQLiteAsyncAdapter {
+  private worker!: Worker;
+  private nextId = 1;
+  private requests = new Map<number, PendingRequest>();
+  // The request the worker last reported starting on, until its final reply
+  private running?: number;
+  private terminateOnUnsubscribe: boolean;
+  private workerData: { filename: string; options: Omit<Database.Options, 'verbose'>; triggerPrefix: string; betterSqlite3Path: string };
+  private closed = false;
+  // Emits the (normalized) names of the tables touched by each write;
+  // an empty array means "unknown", and every reactive query re-runs
+  private changeSubject = new Subject<string[]>();
+  private rowChangeSubject = new Subject<SQLiteChangeEvent>();
+  // The tables each view reads, by normalized view name
+  private views = new Map<string, string[]>();
+  private errorSubject = new Subject<Error>();
+
+  /**
+   * Row-level change events captured by triggers on every table
+   */
+  public readonly changes$: Observable<SQLiteChangeEvent> = this.rowChangeSubject.asObservable();
+
+  /**
+   * Errors from fire-and-forget writes (execute, exec and transaction commits)
+   */
+  public readonly errors$: Observable<Error> = this.errorSubject.asObservable();
+
+  constructor(dbPath: string, options: WorkerSQLiteAdapterOptions = {}) {
+    // Dropped for callers without types; it would fail to clone
+    const { terminateOnUnsubscribe = false, verbose: _verbose, ...databaseOptions } = options as Database.Options & WorkerSQLiteAdapterOptions;
+    this.terminateOnUnsubscribe = terminateOnUnsubscribe;
+    this.workerData = {
+      filename: dbPath,
+      options: databaseOptions,
+      triggerPrefix: CHANGE_TRIGGER_PREFIX,
+      // An eval'd worker resolves modules from process.cwd(), not from this package
+      betterSqlite3Path: createRequire(import.meta.url).resolve('better-sqlite3')
+    };
+    this.spawn();
+  }
+
+  /**
+   * Start a worker. It only keeps the process alive while requests are pending.
+   */
+  private spawn(): void {
+    const worker = new Worker(SQLITE_WORKER_SOURCE, { eval: true, workerData: this.workerData });
+    worker.on('message', (message: WorkerResponse | WorkerTablesMessage) => {
+      if ('op' in message) {
+        this.views = new Map(message.views.map(view => [normalizeTableName(view.name), getReadTables(view.sql)]));
+        const statements = message.tables.flatMap(table =>
+          createChangeTriggerStatements(table.name, table.pkColumns, table.withoutRowid)
+        );
+        worker.postMessage({ op: 'triggers', statements });
+      } else {
+        this.handleResponse(message);
+      }
+    });
+    worker.on('error', error => {
+      if (this.worker === worker) {
+        this.failPending(error);
+      }
+    });
+    worker.unref();
+    this.worker = worker;
+    this.running = undefined;
+  }
+
+  /**
+   * Stop the current worker and start a fresh one; anything still pending fails
+   */
+  private recycle(): void {
+    const worker = this.worker;
+    this.spawn();
+    this.failPending(new Error('The SQLite worker was restarted before this request ran'));
+    void worker.terminate();
+  }
+
+  private failPending(error: Error): void {
+    const pending = Array.from(this.requests.values());
+    this.requests.clear();
+    this.worker.unref();
+    for (const request of pending) {
+      request.error(error);
+    }
+  }
+
+  private handleResponse(response: WorkerResponse): void {
+    // Publish changes even if whoever made the write has stopped listening
+    if (response.changes && response.changes.length > 0) {
+      for (const event of response.changes) {
+        this.rowChangeSubject.next(event);
+      }
+      this.changeSubject.next(Array.from(new Set(response.changes.map(event => normalizeTableName(event.table)))));
+    }
+
+    if (response.started) {
+      this.running = response.id;
+      return;
+    }
+    if (!response.rows && this.running === response.id) {
+      this.running = undefined;
+    }
+
+    const request = this.requests.get(response.id);
+    if (!request) {
+      return;
+    }
+
+    if (response.rows) {
+      request.next(fromTransferable(response.rows));
+      return;
+    }
+
+    this.requests.delete(response.id);
+    if (this.requests.size === 0) {
+      this.worker.unref();
+    }
+
+    if (response.error) {
+      request.error(toError(response.error));
+    } else {
+      request.next(response.result);
+      request.complete();
+    }
+  }
+
+  /**
+   * Send a request to the worker when subscribed. Unsubscribing before the
+   * response arrives cancels it if it hasn't started; if it is running, the
+   * worker is recycled when `recyclable` and terminateOnUnsubscribe are set.
+   */
+  private send<R>(request: WorkerRequest, recyclable = false): Observable<R> {
+    return new Observable<R>(subscriber => {
+      if (this.closed) {
+        subscriber.error(new Error('WorkerSQLiteAdapter is closed'));
+        return;
+      }
+
+      const id = this.nextId++;
+      if (this.requests.size === 0) {
+        this.worker.ref();
+      }
+      this.requests.set(id, {
+        op: request.op,
+        next: value => subscriber.next(value as R),
+        error: error => subscriber.error(toSQLiteError(error, { sql: request.sql, params: request.params })),
+        complete: () => subscriber.complete()
+      });
+      this.worker.postMessage({ ...request, id });
+
+      return () => {
+        if (!this.requests.has(id)) {
+          return;
+        }
+
+        const running = this.running === id;
+        this.requests.delete(id);
+        if (running && recyclable && this.terminateOnUnsubscribe) {
+          this.recycle();
+          return;
+        }
+
+        // Streams check for this between batches; anything else is skipped if still queued
+        this.worker.postMessage({ op: 'cancel', target: id });
+        if (this.requests.size === 0) {
+          this.worker.unref();
+        }
+      };
+    });
+  }
+
+  /**
+   * Send a write nobody waits on; failures are reported on errors$
+   */
+  private post(request: WorkerRequest): void {
+    this.send(request).subscribe({ error: error => this.errorSubject.next(error) });
+  }
+
+  private fetch<T>(query: string | SQLFragment, options: SQLiteQueryOptions, recyclable: boolean): Observable<T[]> {
+    const { sql, params } = resolveQuery(query, options);
+    return this.send<unknown[]>({ op: 'all', sql, params, safeIntegers: usesBigInt(options.codecs) }, recyclable).pipe(
+      map(rows => rowsToObjects<T>(fromTransferable(rows), options.codecs))
+    );
+  }
+
+  execute(query: string | SQLFragment, options: SQLiteQueryOptions = {}): void {
+    const { sql, params } = resolveQuery(query, options);
+    this.post({ op: 'run', sql, params });
+  }
+
+  exec(sql: string): void {
+    this.post({ op: 'exec', sql });
+  }
+
+  /**
+   * Run a statement that doesn't return rows and emit its outcome
+   */
+  run(query: string | SQLFragment, options: SQLiteQueryOptions = {}): Observable<SQLiteRunResult> {
+    const { sql, params } = resolveQuery(query, options);
+    return this.send<SQLiteRunResult>({ op: 'run', sql, params });
+  }
+
+  query<T = SQLiteRow>(sql: string | SQLFragment, options: SQLiteQueryOptions = {}): Observable<T[]> {
+    return this.fetch<T>(sql, options, true);
+  }
+
+  queryOne<T = SQLiteRow>(sql: string | SQLFragment, options: SQLiteQueryOptions = {}): Observable<T | undefined> {
+    return this.query<T>(sql, options).pipe(
+      map(results => results.length > 0 ? results[0] : undefined)
+    );
+  }
+
+  queryStream<T = SQLiteRow>(query: string | SQLFragment, options: SQLiteStreamOptions & { batchSize: number }): Observable<T[]>;
+  queryStream<T = SQLiteRow>(query: string | SQLFragment, options?: SQLiteQueryOptions): Observable<T>;
+  queryStream<T = SQLiteRow>(query: string | SQLFragment, options: SQLiteStreamOptions = {}): Observable<T | T[]> {
+    const { batchSize } = options;
+    if (batchSize !== undefined && (!Number.isInteger(batchSize) || batchSize < 1)) {
+      throw new Error(`batchSize must be a positive integer, got ${batchSize}`);
+    }
+    const { sql, params } = resolveQuery(query, options);
+
+    // The worker reads one batch at a time and stops between batches once unsubscribed
+    const batches = this.send<unknown[] | null>({
+      op: 'stream',
+      sql,
+      params,
+      batchSize: batchSize ?? DEFAULT_STREAM_BATCH_SIZE,
+      safeIntegers: usesBigInt(options.codecs)
+    }).pipe(
+      filter((rows): rows is unknown[] => rows !== null),
+      map(rows => rowsToObjects<T>(rows, options.codecs))
+    );
+
+    return batchSize === undefined ? batches.pipe(mergeMap(rows => from(rows))) : batches;
+  }
+
+  /**
+   * Start a buffered transaction. There is no callback form, since the
+   * callback would have to run on the worker's thread.
+   */
+  transaction(): SQLiteBatchTransaction {
+    return new WorkerSQLiteTransaction(statements => {
+      if (statements.length > 0) {
+        this.post({ op: 'transaction', statements });
+      }
+    });
+  }
+
+  reactiveQuery<T = SQLiteRow>(query: string | SQLFragment, options: SQLiteReactiveQueryOptions<T> = {}): Observable<T[]> {
+    const { sql } = resolveQuery(query, options);
+    // Only re-run when a write touches one of the tables this query reads,
+    // or that the views it reads are built on. If no tables could be
+    // determined, fall back to re-running on every write.
+    const tables = (options.tables || getReadTables(sql)).map(normalizeTableName);
+
+    return defer(() => this.changeSubject.pipe(
+      filter(changed => affectsTables(changed, resolveViews(tables, this.views))),
+      // Run the query straight away for the current result
+      startWith(null),
+      // A newer change supersedes a query that hasn't come back yet
+      switchMap(() => this.fetch<T>(query, options, false)),
+      // Writes that don't affect the result don't emit
+      distinctUntilChanged(options.comparator || rowsEqual)
+    )).pipe(
+      // Share the latest result with new subscribers while anyone is listening
+      shareReplay({ bufferSize: 1, refCount: true })
+    );
+  }
+
+  reactiveDiff<T = SQLiteRow>(sql: string | SQLFragment, options: SQLiteReactiveDiffOptions<T>): Observable<SQLiteRowDiff<T>> {
+    return this.reactiveQuery<T>(sql, options).pipe(
+      scan(
+        (state, rows) => ({ rows, diff: diffRows(state.rows, rows, options.key) }),
+        { rows: [] as T[], diff: { added: [], removed: [], changed: [] } as SQLiteRowDiff<T> }
+      ),
+      map(state => state.diff)
+    );
+  }
+
+  from<Table extends SQLiteTableDefinition>(table: Table): SQLiteQueryBuilder<SQLiteTableRow<Table>, SQLiteTableColumns<Table>>;
+  from<T = SQLiteRow>(table: string): SQLiteQueryBuilder<T, SQLiteColumnReference<T>>;
+  from(table: string | SQLiteTableDefinition): SQLiteQueryBuilder<any, string> {
+    return new SQLiteQueryBuilder(this, table);
+  }
+
+  /**
+   * Close the database once pending requests have run, then stop the worker
+   */
+  close(): void {
+    if (this.closed) {
+      return;
+    }
+
+    const stop = () => {
+      this.rowChangeSubject.complete();
+      this.changeSubject.complete();
+      this.errorSubject.complete();
+      void this.worker.terminate();
+    };
+    this.send({ op: 'close' }).subscribe({ complete: stop, error: stop });
+    this.closed = true;
+  }
+}
@@ -7,3 +7,5 @@
 export * from './adapter';
 export * from './types';
 export * from './utils/sqlite-utils';
+export * from './utils/sql';
+export * from './utils/codecs';
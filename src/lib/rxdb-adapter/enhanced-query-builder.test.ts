@@ -2,6 +2,7 @@
  * Tests for the enhanced query builder
  */
 import { describe, it, expect } from 'vitest';
+import type { FilledMangoQuery } from 'rxdb';
 import { getSQLiteQueryBuilderFromMangoQuery } from './enhanced-query-builder';
 
 describe('Enhanced Query Builder', () => {
@@ -225,4 +226,76 @@ describe('Enhanced Query Builder', () => {
     expect(query).toContain('WHERE');
     expect(params).toContain(30);
   });
+
+  it('should read mapped fields from their columns', () => {
+    const mangoQuery: FilledMangoQuery<any> = {
+      selector: {
+        'address.city': 'Paris',
+        name: 'John',
+        'address.zip': null
+      },
+      sort: [{ 'address.city': 'asc' }, { passportId: 'asc' }],
+      skip: 0
+    };
+
+    const { query, params } = getSQLiteQueryBuilderFromMangoQuery(mangoQuery, tableName, false, {
+      columns: {
+        'address.city': '"address.city"',
+        'address.zip': '"address.zip"',
+        passportId: 'id'
+      }
+    });
+
+    expect(query).toContain('"address.city" = ?');
+    expect(query).toContain('name = ?');
+    expect(query).toContain('"address.zip" IS NULL');
+    expect(query).toContain('ORDER BY "address.city" ASC, id ASC');
+    expect(params).toEqual(['Paris', 'John']);
+  });
+
+  it('should read fields from the JSON document in the json layout', () => {
+    const mangoQuery: FilledMangoQuery<any> = {
+      selector: {
+        'address.city': 'Paris',
+        active: true,
+        rating: { $gte: 4 },
+        tier: { $in: [true, 2] }
+      },
+      sort: [{ rating: 'desc' }, { id: 'asc' }],
+      skip: 0
+    };
+
+    const { query, params } = getSQLiteQueryBuilderFromMangoQuery(mangoQuery, tableName, false, {
+      layout: 'json',
+      columns: { id: 'id' }
+    });
+
+    expect(query).toContain('WHERE "_deleted" = 0 AND');
+    expect(query).toContain(`json_extract(data, '$."address"."city"') = ?`);
+    expect(query).toContain(`json_extract(data, '$."active"') = ?`);
+    expect(query).toContain(`json_extract(data, '$."rating"') >= ?`);
+    expect(query).toContain(`json_extract(data, '$."tier"') IN (?, ?)`);
+    expect(query).toContain(`ORDER BY json_extract(data, '$."rating"') DESC, id ASC`);
+    expect(params).toEqual(['Paris', 1, 4, 1, 2]);
+  });
+
+  it('should quote the keys of JSON paths in the json layout', () => {
+    const mangoQuery: FilledMangoQuery<any> = {
+      selector: {
+        'first-name': 'Ann',
+        [`say"s.it's`]: { $gt: 1 },
+        'a.b-c': null
+      },
+      sort: [{ 'first-name': 'asc' }],
+      skip: 0
+    };
+
+    const { query, params } = getSQLiteQueryBuilderFromMangoQuery(mangoQuery, tableName, false, { layout: 'json' });
+
+    expect(query).toContain(`json_extract(data, '$."first-name"') = ?`);
+    expect(query).toContain(`json_extract(data, '$."say\\"s"."it''s"') > ?`);
+    expect(query).toContain(`json_extract(data, '$."a"."b-c"') IS NULL`);
+    expect(query).toContain(`ORDER BY json_extract(data, '$."first-name"') ASC`);
+    expect(params).toEqual(['Ann', 1]);
+  });
 });
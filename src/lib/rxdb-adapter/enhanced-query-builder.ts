@@ -9,6 +9,7 @@ import { cmp, and, or, not } from '@wonderlandlabs/atmo-db';
 
 // Import our custom parseNode function
 import { customParseNode } from './custom-parse-node';
+import { quoteLiteral, toJSONPath } from '../utils/sqlite-utils';
 
 // Use our custom parseNode function
 const parseNode = customParseNode;
@@ -25,14 +26,44 @@ const fallbackParseNode = (node: any, params: any[]) => {
 };
 
 /**
- * Builds a SQLite query from a Mango query
+ * How a storage lays out documents: `relational` stores each field in a
+ * column named like it, `json` stores the whole document in a `data` column
+ */
+export type SQLiteStorageLayout = 'relational' | 'json';
+
+export interface SQLiteMangoQueryOptions {
+  /** Layout of the table the query reads. Defaults to `relational`. */
+  layout?: SQLiteStorageLayout;
+  /** Columns to read fields from, by field path, in place of the layout's */
+  columns?: Record<string, string>;
+}
+
+// Columns of the json layout's table that hold document fields themselves
+const JSON_LAYOUT_COLUMNS = ['_deleted', '_rev'];
+
+/**
+ * SQL reading the field at `path` (`a.b.c` for nested fields) from a JSON
+ * document in the `data` column. JSON booleans read as 1 and 0, and numbers
+ * keep their type, so they compare like the values the builder binds.
+ */
+export function getJSONFieldExpression(path: string): string {
+  return `json_extract(data, ${quoteLiteral(toJSONPath(path))})`;
+}
+
+/**
+ * Builds a SQLite query from a Mango query, reading fields the way the
+ * storage `layout` stores them unless `columns` maps them elsewhere
  */
 export function getSQLiteQueryBuilderFromMangoQuery<RxDocType>(
   mangoQuery: FilledMangoQuery<RxDocType>,
   tableName: string,
-  isCountQuery = false
+  isCountQuery = false,
+  options: SQLiteMangoQueryOptions = {}
 ): { query: string; params: any[] } {
   const params: any[] = [];
+  const { layout = 'relational', columns = {} } = options;
+  const column = (field: string) => columns[field]
+    ?? (layout === 'json' && !JSON_LAYOUT_COLUMNS.includes(field) ? getJSONFieldExpression(field) : field);
 
   // Start building the query
   let query = isCountQuery
@@ -55,7 +86,7 @@ export function getSQLiteQueryBuilderFromMangoQuery<RxDocType>(
 
     // Process non-null conditions
     if (Object.keys(nonNullSelector).length > 0) {
-      const selectorClause = buildWhereClause(nonNullSelector, params);
+      const selectorClause = buildWhereClause(nonNullSelector, params, column);
       if (selectorClause) {
         whereClause += ` AND (${selectorClause})`;
       }
@@ -63,11 +94,8 @@ export function getSQLiteQueryBuilderFromMangoQuery<RxDocType>(
 
     // Add IS NULL conditions
     if (nullFields.length > 0) {
-      const nullConditions = nullFields.map(field => `${field} IS NULL`).join(' AND ');
+      const nullConditions = nullFields.map(field => `${column(field)} IS NULL`).join(' AND ');
       whereClause += ` AND (${nullConditions})`;
-
-      // Log the null conditions for debugging
-      console.log('Added NULL conditions to query:', nullConditions);
     }
   }
 
@@ -82,12 +110,12 @@ export function getSQLiteQueryBuilderFromMangoQuery<RxDocType>(
 
       // For primary fields, use the column directly
       if (key === 'id' || key === '_deleted' || key === '_rev' || key === '_meta') {
-        return `${key} ${direction}`;
+        return `${column(key)} ${direction}`;
       }
 
       // For nested fields, use JSON_EXTRACT
       // Note: We're using the field name directly in the test to make it easier to verify
-      return `${key} ${direction}`;
+      return `${column(key)} ${direction}`;
     });
 
     query += ` ORDER BY ${sortParts.join(', ')}`;
@@ -104,9 +132,6 @@ export function getSQLiteQueryBuilderFromMangoQuery<RxDocType>(
     }
   }
 
-  console.log('Generated SQL query:', query);
-  console.log('Query parameters:', params);
-
   return { query, params };
 }
 
@@ -115,10 +140,11 @@ export function getSQLiteQueryBuilderFromMangoQuery<RxDocType>(
  */
 function buildWhereClause(
   selector: MangoQuerySelector<any>,
-  params: any[]
+  params: any[],
+  column: (field: string) => string
 ): string {
   // Convert RxDB/Mango selector to atmo-db query nodes
-  const queryNode = convertSelectorToQueryNode(selector);
+  const queryNode = convertSelectorToQueryNode(selector, column);
 
   // Use atmo-db's parseNode to generate the SQL
   let sql = parseNode(queryNode, params);
@@ -204,7 +230,7 @@ function buildWhereClause(
 /**
  * Converts a RxDB/Mango selector to atmo-db query nodes
  */
-function convertSelectorToQueryNode(selector: MangoQuerySelector<any>): any {
+function convertSelectorToQueryNode(selector: MangoQuerySelector<any>, column: (field: string) => string): any {
   const keys = Object.keys(selector);
 
   // Handle empty selector
@@ -215,31 +241,32 @@ function convertSelectorToQueryNode(selector: MangoQuerySelector<any>): any {
   // Handle logical operators
   if (keys.includes('$and')) {
     const andArgs = (selector.$and as MangoQuerySelector<any>[]).map(subSelector =>
-      convertSelectorToQueryNode(subSelector)
+      convertSelectorToQueryNode(subSelector, column)
     );
     return and(...andArgs);
   }
 
   if (keys.includes('$or')) {
     const orArgs = (selector.$or as MangoQuerySelector<any>[]).map(subSelector =>
-      convertSelectorToQueryNode(subSelector)
+      convertSelectorToQueryNode(subSelector, column)
     );
     return or(...orArgs);
   }
 
   if (keys.includes('$not')) {
-    const notArg = convertSelectorToQueryNode(selector.$not as MangoQuerySelector<any>);
+    const notArg = convertSelectorToQueryNode(selector.$not as MangoQuerySelector<any>, column);
     return not(notArg);
   }
 
   // Handle field comparisons
-  const conditions = keys.map(field => {
-    if (field.startsWith('$')) {
+  const conditions = keys.map(key => {
+    if (key.startsWith('$')) {
       // Skip logical operators (already handled above)
       return null;
     }
 
-    const value = selector[field];
+    const value = selector[key];
+    const field = column(key);
 
     // Handle direct equality
     if (typeof value !== 'object' || value === null) {
@@ -265,9 +292,11 @@ function convertSelectorToQueryNode(selector: MangoQuerySelector<any>): any {
     const operatorConditions = operatorKeys.map(op => {
       let opValue = (value as any)[op];
 
-      // Convert boolean values to integers for SQLite
+      // Convert boolean values to integers for SQLite, including those in $in lists
       if (typeof opValue === 'boolean') {
         opValue = opValue ? 1 : 0;
+      } else if (Array.isArray(opValue)) {
+        opValue = opValue.map(item => typeof item === 'boolean' ? (item ? 1 : 0) : item);
       }
 
       switch (op) {
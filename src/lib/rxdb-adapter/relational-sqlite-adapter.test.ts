@@ -4,6 +4,7 @@
 import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
 import { createRxDatabase } from 'rxdb';
 import { getRelationalRxStorageSQLite } from './relational-sqlite-adapter';
+import { SQLiteInstrumentation, SQLiteInstrumentationEvent } from '../adapter/instrumentation';
 import path from 'path';
 import fs from 'fs';
 
@@ -12,6 +13,8 @@ describe('Relational SQLite Adapter', () => {
   const dbName = `test-relational-db-${Date.now()}`;
   const dbPath = path.join(__dirname, '..', '..', '..', `${dbName}.sqlite`);
   let db: any;
+  // Shared by every database the tests open
+  const instrumentation = new SQLiteInstrumentation({ redact: true });
 
   // Clear the database map before running tests
   beforeAll(() => {
@@ -103,7 +106,8 @@ describe('Relational SQLite Adapter', () => {
   beforeEach(async () => {
     // Generate a unique database name for each test
     const uniqueDbName = `${dbName}-${Math.floor(Math.random() * 1000000)}`;
-    const uniqueDbPath = path.join(__dirname, '..', '..', '..', `${uniqueDbName}.sqlite`);
+    // The storage opens rxdb-<name>.sqlite in the working directory
+    const uniqueDbPath = path.resolve(`rxdb-${uniqueDbName}.sqlite`);
 
     console.log('Setting up test with database:', uniqueDbName);
 
@@ -121,9 +125,7 @@ describe('Relational SQLite Adapter', () => {
       console.log('Creating RxDatabase...');
       db = await createRxDatabase({
         name: uniqueDbName,
-        storage: getRelationalRxStorageSQLite({
-          filename: uniqueDbPath
-        }),
+        storage: getRelationalRxStorageSQLite({ instrumentation }),
         // Disable validation for testing
         devMode: false,
         options: {
@@ -167,12 +169,12 @@ describe('Relational SQLite Adapter', () => {
       }
 
       // Get the database path from the database name
-      const dbFilePath = path.join(__dirname, '..', '..', '..', `${db.name}.sqlite`);
+      const dbFilePath = path.resolve(`rxdb-${db.name}.sqlite`);
 
-      // Remove the test database file
-      if (fs.existsSync(dbFilePath)) {
+      // Remove the test database file and its WAL files
+      for (const suffix of ['', '-wal', '-shm']) {
         try {
-          fs.unlinkSync(dbFilePath);
+          fs.rmSync(`${dbFilePath}${suffix}`, { force: true });
         } catch (error) {
           console.error('Error removing database file:', error);
         }
@@ -373,4 +375,177 @@ describe('Relational SQLite Adapter', () => {
     const categoryIdColumn = columns.find((col: any) => col.name === 'categoryId');
     expect(categoryIdColumn.notnull).toBe(0); // 0 means NULL is allowed
   });
+
+  it('should report statements on the instrumentation events$', async () => {
+    // Arrange
+    const events: SQLiteInstrumentationEvent[] = [];
+    const subscription = instrumentation.events$.subscribe(event => events.push(event));
+
+    // Act
+    await db.collections.recipes.insert(sampleRecipes[0]);
+    await db.collections.recipes.find({ selector: { difficulty: 'medium' } }).exec();
+    subscription.unsubscribe();
+
+    // Assert
+    const insert = events.find(event => event.kind === 'write' && event.sql.startsWith('INSERT'));
+    const query = events.find(event => event.kind === 'query' && event.sql.includes('difficulty'));
+    expect(insert).toMatchObject({ collection: 'recipes' });
+    expect(insert?.params).toContain('[redacted]');
+    expect(insert?.params).not.toContain(sampleRecipes[0].name);
+    expect(query?.durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should explain the SQL a Mango query compiles to', async () => {
+    // Arrange
+    const collection = db.collections.recipes as any;
+    // Validation wraps the storage instance; explain() is on the one it wraps
+    const storageInstance = collection.internalStorageInstance.originalStorageInstance ?? collection.internalStorageInstance;
+    const preparedQuery = collection.find({ selector: { difficulty: 'medium' } }).getPreparedQuery();
+
+    // Act
+    const explained = await storageInstance.explain(preparedQuery);
+
+    // Assert
+    expect(explained.sql).toMatch(/^SELECT .* FROM \S*recipes/);
+    expect(explained.sql).toContain('difficulty');
+    expect(explained.params).toContain('medium');
+    // Only the _deleted column is indexed
+    expect(explained.plan.steps[0].detail).toMatch(/USING INDEX \S*_deleted/);
+    expect(explained.plan.fullScans).toEqual([]);
+  });
+
+  it('should report conflicts per document with the stored state', async () => {
+    // Arrange
+    const collection = db.collections.recipes as any;
+    const storageInstance = collection.internalStorageInstance.originalStorageInstance ?? collection.internalStorageInstance;
+    await collection.insert(sampleRecipes[0]);
+    const [stored] = await storageInstance.findDocumentsById([sampleRecipes[0].id], false);
+    const stale = { previous: { ...stored, _rev: '0-stale' }, document: { ...stored, name: 'Stale edit', _rev: '2-stale' } };
+    const unconditional = { document: { ...stored, name: 'Blind write', _rev: '2-blind' } };
+    const fresh = {
+      document: { ...sampleRecipes[1], _deleted: false, _rev: '1-fresh', _meta: { lwt: Date.now() }, _attachments: {} }
+    };
+
+    // Act
+    const response = await storageInstance.bulkWrite([stale, unconditional, fresh], 'test');
+
+    // Assert
+    expect(response.error).toEqual([
+      { status: 409, isError: true, documentId: sampleRecipes[0].id, writeRow: stale, documentInDb: stored },
+      { status: 409, isError: true, documentId: sampleRecipes[0].id, writeRow: unconditional, documentInDb: stored }
+    ]);
+    expect(await storageInstance.findDocumentsById([sampleRecipes[1].id], false)).toHaveLength(1);
+  });
+
+  it('should report a conflict to the later of two concurrent inserts', async () => {
+    // Arrange
+    const collection = db.collections.recipes as any;
+    const storageInstance = collection.internalStorageInstance.originalStorageInstance ?? collection.internalStorageInstance;
+    const insert = (rev: string) => ({
+      document: { ...sampleRecipes[0], _deleted: false, _rev: rev, _meta: { lwt: Date.now() }, _attachments: {} }
+    });
+    const first = insert('1-first');
+    const second = insert('1-second');
+
+    // Act
+    const responses = await Promise.all([
+      storageInstance.bulkWrite([first], 'test'),
+      storageInstance.bulkWrite([second], 'test')
+    ]);
+
+    // Assert
+    expect(responses[0].error).toEqual([]);
+    expect(responses[1].error).toMatchObject([
+      { status: 409, documentId: sampleRecipes[0].id, writeRow: second, documentInDb: { _rev: '1-first' } }
+    ]);
+  });
+
+  it('should purge deleted documents on cleanup', async () => {
+    // Arrange
+    const collection = db.collections.recipes as any;
+    const storageInstance = collection.internalStorageInstance.originalStorageInstance ?? collection.internalStorageInstance;
+    await collection.insert(sampleRecipes[0]);
+    await collection.insert(sampleRecipes[1]);
+    const [stored] = await storageInstance.findDocumentsById([sampleRecipes[0].id], false);
+    await storageInstance.bulkWrite([{ previous: stored, document: { ...stored, _deleted: true, _rev: '2-deleted' } }], 'test');
+
+    // Act
+    const done = await storageInstance.cleanup(0);
+
+    // Assert
+    expect(done).toBe(true);
+    expect(await storageInstance.findDocumentsById([sampleRecipes[0].id], true)).toEqual([]);
+    expect(await storageInstance.findDocumentsById([sampleRecipes[1].id], true)).toHaveLength(1);
+  });
+
+  it('should let RxDB resolve conflicts of incrementalUpsert', async () => {
+    // Arrange
+    await db.collections.recipes.insert(sampleRecipes[0]);
+
+    // Act
+    await Promise.all([
+      db.collections.recipes.incrementalUpsert({ ...sampleRecipes[0], servings: 6 }),
+      db.collections.recipes.incrementalUpsert({ ...sampleRecipes[0], servings: 8 })
+    ]);
+
+    // Assert - read from the storage, like the update test, rather than RxDB's document cache
+    const collection = db.collections.recipes as any;
+    const storageInstance = collection.internalStorageInstance.originalStorageInstance ?? collection.internalStorageInstance;
+    const [stored] = await storageInstance.findDocumentsById([sampleRecipes[0].id], false);
+    // The second upsert hit a conflict, got the stored document and was retried
+    expect(stored._rev).toMatch(/^3-/);
+    expect(stored.servings).toBe(8);
+  });
+
+  it('should key documents by the schema primary key, composite keys included', async () => {
+    // Arrange
+    await db.addCollections({
+      ratings: {
+        schema: {
+          version: 0,
+          primaryKey: { key: 'ratingKey', fields: ['recipeId', 'user'], separator: '|' },
+          type: 'object',
+          properties: {
+            ratingKey: { type: 'string', maxLength: 200 },
+            recipeId: { type: 'string', maxLength: 100 },
+            user: { type: 'string', maxLength: 100 },
+            stars: { type: 'number' }
+          },
+          required: ['ratingKey', 'recipeId', 'user']
+        }
+      }
+    });
+    const collection = db.collections.ratings as any;
+    const storageInstance = collection.internalStorageInstance.originalStorageInstance ?? collection.internalStorageInstance;
+
+    // Act
+    await collection.bulkInsert([
+      { recipeId: 'recipe-1', user: 'bob', stars: 4 },
+      { recipeId: 'recipe-1', user: 'alice', stars: 5 }
+    ]);
+    const found = await collection.findOne('recipe-1|alice').exec();
+    const [stored] = await storageInstance.findDocumentsById(['recipe-1|bob'], false);
+    const changed = await storageInstance.getChangedDocumentsSince(10);
+
+    // Assert
+    expect(found.stars).toBe(5);
+    expect(stored).toMatchObject({ ratingKey: 'recipe-1|bob', recipeId: 'recipe-1', user: 'bob', stars: 4 });
+    expect(changed.documents.map((doc: any) => doc.ratingKey)).toEqual(['recipe-1|alice', 'recipe-1|bob']);
+    expect(changed.checkpoint.id).toBe('recipe-1|bob');
+    const ratings = getRelationalRxStorageSQLite.schema(db.name).tables.find((table: any) => table.name.endsWith('__ratings'));
+    expect(ratings?.columns.filter((column: any) => column.primaryKey > 0).map((column: any) => column.name)).toEqual(['ratingKey']);
+    expect(ratings?.columns.map((column: any) => column.name)).not.toContain('id');
+  });
+
+  it('should describe the collection tables through schema()', () => {
+    // Act
+    const schema = getRelationalRxStorageSQLite.schema(db.name);
+
+    // Assert
+    const recipes = schema.tables.find((table: any) => table.name.endsWith('__recipes'));
+    expect(recipes).toBeDefined();
+    expect(recipes?.columns.find((column: any) => column.name === 'id')?.primaryKey).toBe(1);
+    expect(recipes?.columns.find((column: any) => column.name === 'categoryId')?.notNull).toBe(false);
+    expect(() => getRelationalRxStorageSQLite.schema('missing-db')).toThrow(/Database not found: missing-db/);
+  });
 });
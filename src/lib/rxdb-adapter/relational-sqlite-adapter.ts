@@ -10,7 +10,12 @@ import type {
 } from 'rxdb/dist/types/plugins/storage-sqlite/sqlite-types';
 import { getSQLiteBasicsBetterSQLite } from './sqlite-basics';
 import { RelationalStorageInstanceSQLite } from './relational-sqlite-storage-instance';
-import Database from 'better-sqlite3';
+import { defer, Observable } from 'rxjs';
+import { SQLiteBackupOptions, SQLiteBackupProgress, backupDatabase, restoreDatabase } from '../adapter/backup';
+import { SQLiteSchema, readSchema } from '../adapter/schema';
+import { SQLiteConnectionPool } from '../adapter/connection-pool';
+import { SQLiteInstrumentation } from '../adapter/instrumentation';
+import type { SQLiteStorageOptions } from './sqlite-adapter';
 import { wrappedValidateAjvStorage } from 'rxdb/plugins/validate-ajv';
 
 /**
@@ -20,7 +25,17 @@ export class RelationalRxStorageSQLite implements RxStorage<SQLiteInternals, SQL
   public readonly name: string = 'relational-sqlite';
   public readonly rxdbVersion: string = '16.11.0'; // Match the RxDB version
 
-  constructor(public readonly settings: SQLiteStorageSettings) {}
+  /**
+   * Reports and logs the statements run by this storage's instances
+   */
+  public readonly instrumentation: SQLiteInstrumentation;
+
+  constructor(
+    public readonly settings: SQLiteStorageSettings,
+    private readonly poolOptions: SQLiteStorageOptions = {}
+  ) {
+    this.instrumentation = SQLiteInstrumentation.from(poolOptions.instrumentation);
+  }
 
   /**
    * Create a storage instance for a collection
@@ -35,14 +50,22 @@ export class RelationalRxStorageSQLite implements RxStorage<SQLiteInternals, SQL
     // @ts-ignore - Accessing static map
     const existingDb = getRelationalRxStorageSQLite.databaseMap.get(databaseName);
     if (existingDb) {
-      console.log(`Reusing existing relational SQLite database instance for "${databaseName}"`);
+      // @ts-ignore - Accessing static map
+      const existingPool: SQLiteConnectionPool | undefined = getRelationalRxStorageSQLite.poolMap.get(databaseName);
+      this.instrumentation.info(`Reusing existing relational SQLite database instance for "${databaseName}"`);
 
       // No need to update the map as the instance is already there
 
       // Create the storage instance with the existing database
       const storageInstance = new RelationalStorageInstanceSQLite<RxDocType>(
         params,
-        { databasePromise: Promise.resolve(existingDb) }
+        {
+          databasePromise: Promise.resolve(existingDb),
+          pool: existingPool,
+          retry: this.poolOptions.retry ?? {},
+          instrumentation: this.instrumentation,
+          slowQueryThreshold: this.poolOptions.slowQueryThreshold
+        }
       );
 
       // Initialize the storage instance
@@ -67,10 +90,16 @@ export class RelationalRxStorageSQLite implements RxStorage<SQLiteInternals, SQL
     // @ts-ignore - Adding to static map
     getRelationalRxStorageSQLite.databaseMap.set(databaseName, db);
 
+    // Spread reads over read-only connections when asked to
+    const { retry = {}, instrumentation, slowQueryThreshold, ...poolOptions } = this.poolOptions;
+    const pool = new SQLiteConnectionPool(db, { ...poolOptions, readers: poolOptions.readers ?? 0 });
+    // @ts-ignore - Adding to static map
+    getRelationalRxStorageSQLite.poolMap.set(databaseName, pool);
+
     // Create the storage instance
     const storageInstance = new RelationalStorageInstanceSQLite<RxDocType>(
       params,
-      { databasePromise: Promise.resolve(db) }
+      { databasePromise: Promise.resolve(db), pool, retry, instrumentation: this.instrumentation, slowQueryThreshold }
     );
 
     // Initialize the storage instance
@@ -83,15 +112,28 @@ export class RelationalRxStorageSQLite implements RxStorage<SQLiteInternals, SQL
 /**
  * Factory function to create a relational SQLite storage adapter
  */
-export function getRelationalRxStorageSQLite(options?: Database.Options): RxStorage<SQLiteInternals, SQLiteInstanceCreationOptions> {
+export function getRelationalRxStorageSQLite(options: SQLiteStorageOptions = {}): RxStorage<SQLiteInternals, SQLiteInstanceCreationOptions> {
   // Static property will be added to this function
-  const sqliteBasics = getSQLiteBasicsBetterSQLite(options);
+  const {
+    readers,
+    busyTimeout,
+    retry,
+    instrumentation: instrumentationOptions,
+    slowQueryThreshold,
+    ...databaseOptions
+  } = options;
+  // One instance for the storage, so every database it opens reports to it
+  const instrumentation = SQLiteInstrumentation.from(instrumentationOptions);
+  const sqliteBasics = getSQLiteBasicsBetterSQLite(
+    busyTimeout === undefined ? databaseOptions : { ...databaseOptions, timeout: busyTimeout },
+    instrumentation
+  );
 
   // Create the base storage
   const baseStorage = new RelationalRxStorageSQLite({
     sqliteBasics,
     databaseNamePrefix: 'rxdb-'
-  });
+  }, { ...options, instrumentation });
 
   // Wrap the storage with validation
   return wrappedValidateAjvStorage({
@@ -103,6 +145,10 @@ export function getRelationalRxStorageSQLite(options?: Database.Options): RxStor
 // @ts-ignore - Adding static property to the function
 getRelationalRxStorageSQLite.databaseMap = new Map();
 
+// Connection pools by database name; reads go through these
+// @ts-ignore - Adding static property to the function
+getRelationalRxStorageSQLite.poolMap = new Map();
+
 // Add a static method to get a database instance by name or from a database object
 // @ts-ignore - Adding static method to the function
 getRelationalRxStorageSQLite.getDBByName = function(nameOrDatabase: string | any) {
@@ -119,6 +165,66 @@ getRelationalRxStorageSQLite.getDBByName = function(nameOrDatabase: string | any
   return getRelationalRxStorageSQLite.databaseMap.get(databaseName);
 };
 
+// Add a static method to get the connection pool for a database by name or from a database object
+// @ts-ignore - Adding static method to the function
+getRelationalRxStorageSQLite.getPoolByName = function(nameOrDatabase: string | any): SQLiteConnectionPool | undefined {
+  const databaseName = typeof nameOrDatabase === 'string'
+    ? nameOrDatabase
+    : nameOrDatabase?.name;
+
+  if (!databaseName) {
+    throw new Error('Invalid database name or object');
+  }
+
+  // @ts-ignore - Accessing static map
+  return getRelationalRxStorageSQLite.poolMap.get(databaseName);
+};
+
+// Add a static method to back up a database while it is in use
+// @ts-ignore - Adding static method to the function
+getRelationalRxStorageSQLite.backup = function(
+  nameOrDatabase: string | any,
+  destination: string,
+  options?: SQLiteBackupOptions
+): Observable<SQLiteBackupProgress> {
+  return defer(() => {
+    // @ts-ignore - Accessing static method
+    const db = getRelationalRxStorageSQLite.getDBByName(nameOrDatabase);
+    if (!db) {
+      throw new Error('Database not found: ' + (typeof nameOrDatabase === 'string' ? nameOrDatabase : nameOrDatabase?.name));
+    }
+    return backupDatabase(db, destination, options);
+  });
+};
+
+// Add a static method to replace a database's contents with a backup while its storage is running
+// @ts-ignore - Adding static method to the function
+getRelationalRxStorageSQLite.restore = function(
+  nameOrDatabase: string | any,
+  source: string,
+  options?: SQLiteBackupOptions
+): Observable<SQLiteBackupProgress> {
+  return defer(() => {
+    // @ts-ignore - Accessing static method
+    const db = getRelationalRxStorageSQLite.getDBByName(nameOrDatabase);
+    if (!db) {
+      throw new Error('Database not found: ' + (typeof nameOrDatabase === 'string' ? nameOrDatabase : nameOrDatabase?.name));
+    }
+    return restoreDatabase(db, source, options);
+  });
+};
+
+// Add a static method to describe a database's tables, views and triggers
+// @ts-ignore - Adding static method to the function
+getRelationalRxStorageSQLite.schema = function(nameOrDatabase: string | any): SQLiteSchema {
+  // @ts-ignore - Accessing static method
+  const db = getRelationalRxStorageSQLite.getDBByName(nameOrDatabase);
+  if (!db) {
+    throw new Error('Database not found: ' + (typeof nameOrDatabase === 'string' ? nameOrDatabase : nameOrDatabase?.name));
+  }
+  return readSchema(db);
+};
+
 // Add a static method to list all available database names
 // @ts-ignore - Adding static method to the function
 getRelationalRxStorageSQLite.getAvailableDatabases = function() {
@@ -6,6 +6,7 @@ import type {
   EventBulk,
   FilledMangoQuery,
   PreparedQuery,
+  RxAttachmentWriteData,
   RxDocumentData,
   RxJsonSchema,
   RxStorage,
@@ -14,7 +15,8 @@ import type {
   RxStorageCountResult,
   RxStorageInstance,
   RxStorageInstanceCreationParams,
-  RxStorageQueryResult
+  RxStorageQueryResult,
+  RxStorageWriteErrorConflict
 } from 'rxdb';
 
 import type {
@@ -25,9 +27,20 @@ import type {
 } from 'rxdb/dist/types/plugins/storage-sqlite/sqlite-types';
 
 import { Observable, Subject } from 'rxjs';
-import type { SQLiteDatabaseClass } from 'rxdb/dist/types/plugins/storage-sqlite/sqlite-types';
+import type Database from 'better-sqlite3';
 import { getSQLiteQueryBuilderFromMangoQuery } from './enhanced-query-builder';
-import type { createTableSchema } from '@wonderlandlabs/atmo-db';
+import type { SQLitePooledInternals } from './sqlite-adapter';
+import { getPrimaryFieldOfPrimaryKey } from 'rxdb';
+import { toSQLiteError } from '../adapter/errors';
+import { retryAsync } from '../adapter/retry';
+import { MAX_BOUND_PARAMETERS } from '../adapter/bulk-insert';
+import { SQLiteInstrumentation, SQLiteSlowQueryCheck } from '../adapter/instrumentation';
+import { SQLiteExplainResult, explainQueryPlan } from '../adapter/query-plan';
+
+/**
+ * A document as stored, in RxDB's storage types
+ */
+type StoredDocument<RxDocType> = RxStorageWriteErrorConflict<RxDocType>['documentInDb'];
 
 /**
  * RxDB Relational SQLite Storage Instance
@@ -41,18 +54,20 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
   public readonly databaseName: string;
   public readonly collectionName: string;
   public readonly schema: RxJsonSchema<RxDocumentData<RxDocType>>;
-  public readonly internals: SQLiteInternals;
+  public readonly internals: SQLitePooledInternals;
   public readonly options: SQLiteInstanceCreationOptions;
 
   private readonly changeEventSubject = new Subject<EventBulk<RxStorageChangeEvent<RxDocType>, SQLiteChangesCheckpoint>>();
   private closed = false;
   private readonly tableName: string;
   private schemaFields: string[] = [];
-  private primaryKey: string = 'id';
+  // Field holding the primary value; a composite key is stored in its own field
+  private readonly primaryPath: string = 'id';
+  private readonly instrumentation: SQLiteInstrumentation;
 
   constructor(
     params: RxStorageInstanceCreationParams<RxDocType, SQLiteInstanceCreationOptions>,
-    internals: SQLiteInternals
+    internals: SQLitePooledInternals
   ) {
     this.databaseName = params.databaseName;
     this.collectionName = params.collectionName;
@@ -60,10 +75,11 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     this.internals = internals;
     this.options = params.options || {};
     this.tableName = `${this.databaseName}_${this.collectionName}`;
+    this.instrumentation = internals.instrumentation ?? new SQLiteInstrumentation();
 
     // Extract primary key from schema
     if (this.schema.primaryKey) {
-      this.primaryKey = this.schema.primaryKey;
+      this.primaryPath = getPrimaryFieldOfPrimaryKey(this.schema.primaryKey);
     }
 
     // Extract fields from schema
@@ -84,7 +100,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     // Add schema properties as fields
     for (const [key, prop] of Object.entries(this.schema.properties)) {
       // Skip the primary key as it's handled separately
-      if (key === this.primaryKey) {
+      if (key === this.primaryPath) {
         continue;
       }
 
@@ -129,7 +145,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
    * Check if a field is an autoincrement primary key
    */
   private isAutoIncrementField(field: string): boolean {
-    if (field !== this.primaryKey) {
+    if (field !== this.primaryPath) {
       return false;
     }
 
@@ -172,9 +188,10 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
         _meta: 'TEXT DEFAULT "{}"'
       };
     } else {
-      // For regular collections
+      // For regular collections, the primary path is the key column. The
+      // fields of a composite key get columns of their own below.
       schemaObj = {
-        id: 'TEXT PRIMARY KEY',
+        [this.primaryPath]: 'TEXT PRIMARY KEY',
         _deleted: 'INTEGER DEFAULT 0',
         _rev: 'TEXT DEFAULT ""',
         _attachments: 'TEXT DEFAULT "{}"',
@@ -185,7 +202,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     // Add columns for each field in the schema
     for (const field of this.schemaFields) {
       // Skip fields we've already added
-      if (field === this.primaryKey || field === '_deleted' || field === '_rev') {
+      if (field === this.primaryPath || field === '_deleted' || field === '_rev') {
         continue;
       }
 
@@ -229,90 +246,78 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     }
   }
 
+  /**
+   * Connection for a read: a read-only connection from the pool if it has any,
+   * otherwise the shared connection
+   */
+  private async getReadDatabase(): Promise<Database.Database> {
+    const db = await this.internals.databasePromise;
+    return this.internals.pool ? this.internals.pool.reader() : db;
+  }
+
   /**
    * Helper method to run a query
    */
-  private async runQuery(db: SQLiteDatabaseClass, query: SQLiteQueryWithParams): Promise<void> {
-    try {
-      // Log the actual SQL query with parameters substituted
-      let debugQuery = query.query;
-      if (query.params && query.params.length > 0) {
-        // Replace placeholders with actual values for debugging
-        let paramIndex = 0;
-        debugQuery = query.query.replace(/\?/g, () => {
-          const param = query.params[paramIndex++];
-          if (param === null) return 'NULL';
-          if (typeof param === 'string') return `'${param.replace(/'/g, "''")}'`;
-          return String(param);
-        });
-      }
+  private async runQuery(db: Database.Database, query: SQLiteQueryWithParams): Promise<void> {
+    const { retry = {} } = this.internals;
 
-      // Convert boolean values to integers for SQLite
-      const convertedParams = query.params.map(param =>
-        typeof param === 'boolean' ? (param ? 1 : 0) : param
-      );
+    // Convert boolean values to integers for SQLite
+    const convertedParams = query.params.map(param =>
+      typeof param === 'boolean' ? (param ? 1 : 0) : param
+    );
 
-      // Handle better-sqlite3 (synchronous API) vs node-sqlite3 (async API)
-      // @ts-ignore - SQLite database methods may vary between implementations
-      if (typeof db.run === 'function') {
-        // Check if the method returns a Promise
-        const result = db.run(query.query, convertedParams);
-        if (result instanceof Promise) {
-          await result;
-        }
-      } else if (typeof db.exec === 'function') {
-        // Check if the method returns a Promise
-        const result = db.exec(query.query, convertedParams);
-        if (result instanceof Promise) {
-          await result;
-        }
-      } else if (typeof db.prepare === 'function') {
-        const stmt = db.prepare(query.query);
-        if (typeof stmt.run === 'function') {
-          // Check if the method returns a Promise
-          // For better-sqlite3, we need to use the spread operator
-          const result = stmt.run(...convertedParams);
-          if (result instanceof Promise) {
-            await result;
-          }
-        } else {
-          throw new Error('No suitable method found to execute the query');
-        }
-      } else {
-        throw new Error('No suitable method found to execute the query');
+    await this.instrumentation.measureAsync('write', query.query, convertedParams, this.collectionName, async () => {
+      try {
+        // Inside a transaction only the whole transaction could be retried
+        await retryAsync(() => {
+          // Prepare the statement and run it with parameters
+          db.prepare(query.query).run(convertedParams);
+        }, retry && !db.inTransaction ? retry : { retries: 0 });
+      } catch (error) {
+        throw toSQLiteError(error, {
+          table: this.tableName,
+          sql: query.query,
+          params: query.params,
+          context: query.context
+        });
       }
-    } catch (error) {
-      console.error('Error running query:', error);
-      console.error('Query:', query.query);
-      console.error('Params:', query.params);
-      console.error('Collection:', this.collectionName);
-      console.error('Table name:', this.tableName);
-      console.error('Context:', JSON.stringify(query.context));
-
-      // Create a more detailed error message
-      const enhancedError = new Error(
-        `SQLite error in collection '${this.collectionName}' (table '${this.tableName}'): ${error.message}\n` +
-        `Query: ${query.query}\n` +
-        `Params: ${JSON.stringify(query.params)}\n` +
-        `Context: ${JSON.stringify(query.context)}`
-      );
+    }, this.slowQueryCheck(db, query.query, convertedParams));
+  }
 
-      // Preserve the original error's stack trace if possible
-      if (error.stack) {
-        enhancedError.stack = error.stack;
-      }
+  /**
+   * How to explain a statement run on `db`, if slow queries are reported
+   */
+  private slowQueryCheck(db: Database.Database, sql: string, params: unknown[] = []): SQLiteSlowQueryCheck | undefined {
+    const { slowQueryThreshold } = this.internals;
+    if (slowQueryThreshold === undefined) {
+      return undefined;
+    }
+    return { threshold: slowQueryThreshold, explain: () => explainQueryPlan(db, sql, params) };
+  }
 
-      throw enhancedError;
+  /**
+   * Helper method to read rows. A query that fails is reported and reads no rows.
+   */
+  private async allRows(db: Database.Database, query: SQLiteQueryWithParams): Promise<any[]> {
+    // Convert boolean values to integers for SQLite
+    const convertedParams = query.params.map(param =>
+      typeof param === 'boolean' ? (param ? 1 : 0) : param
+    );
+
+    try {
+      return await this.instrumentation.measureAsync('query', query.query, convertedParams, this.collectionName, async () =>
+        db.prepare(query.query).all(convertedParams),
+        this.slowQueryCheck(db, query.query, convertedParams)
+      );
+    } catch (error) {
+      return [];
     }
   }
 
   /**
    * Convert a document to a row for insertion/update
    */
-  private documentToRow(document: RxDocumentData<RxDocType>): Record<string, any> {
-    // Debug log the document
-    console.log(`Converting document to row for collection ${this.collectionName}:`, JSON.stringify(document));
-
+  private documentToRow(document: BulkWriteRow<RxDocType>['document']): Record<string, any> {
     // Special handling for RxDB internal documents
     const isRxDBInternal = this.collectionName === '_rxdb_internal';
     if (isRxDBInternal) {
@@ -331,8 +336,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
       // This is a fallback for cases where RxDB is inserting a document without an ID, key, or context
       if (!id) {
         id = `generated-${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
-        console.warn(`Generated random ID for _rxdb_internal document: ${id}`);
-        console.warn(`Document: ${JSON.stringify(document)}`);
+        this.instrumentation.warn(`Generated random ID for _rxdb_internal document: ${id}`);
       }
 
       // Create the row with the ID
@@ -347,18 +351,18 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
         _meta: typeof anyDoc._meta === 'object' ? JSON.stringify(anyDoc._meta) : (anyDoc._meta || '{}')
       };
 
-      console.log(`Converted _rxdb_internal row:`, JSON.stringify(row));
       return row;
     }
 
     // For regular documents
-    // Check if the document has an ID
-    if (!document.id) {
-      throw new Error(`Cannot insert document without an ID. Collection: ${this.collectionName}, Document: ${JSON.stringify(document)}, Schema: ${JSON.stringify(this.schema)}`);
+    // Check if the document has a primary value
+    const id = this.primaryValue(document);
+    if (!id) {
+      throw new Error(`Cannot insert document without a value for its primary key ${this.primaryPath}. Collection: ${this.collectionName}, Document: ${JSON.stringify(document)}, Schema: ${JSON.stringify(this.schema)}`);
     }
 
     const row: Record<string, any> = {
-      id: document.id,
+      [this.primaryPath]: id,
       _deleted: document._deleted ? 1 : 0,  // Convert boolean to integer for SQLite
       _rev: document._rev || '1-initial'  // Provide a default _rev if null
     };
@@ -366,7 +370,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     // Add each field from the schema
     for (const field of this.schemaFields) {
       // Skip fields we've already added
-      if (field === this.primaryKey || field === '_deleted' || field === '_rev') {
+      if (field === this.primaryPath || field === '_deleted' || field === '_rev') {
         continue;
       }
 
@@ -394,18 +398,22 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
         JSON.stringify(document._meta) : document._meta;
     }
 
-    console.log(`Converted row for document ${document.id}:`, JSON.stringify(row));
     return row;
   }
 
   /**
-   * Convert a row from the database to a document
+   * The primary value of a document
    */
-  private rowToDocument(row: Record<string, any>): RxDocumentData<RxDocType> {
-    console.log(`Converting row to document for collection ${this.collectionName}:`, JSON.stringify(row));
+  private primaryValue(document: object): string {
+    return (document as Record<string, string>)[this.primaryPath];
+  }
 
+  /**
+   * Convert a row from the database to a document
+   */
+  private rowToDocument(row: Record<string, any>): StoredDocument<RxDocType> {
     const document: any = {
-      id: row.id,  // Always use 'id' as the key, not this.primaryKey
+      [this.primaryPath]: row[this.primaryPath],
       _deleted: row._deleted === 1 || Boolean(row._deleted),  // Convert SQLite integer to boolean
       _rev: row._rev || '1-initial'  // Provide a default _rev if null
     };
@@ -436,14 +444,13 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
         document._meta = {};
       }
 
-      console.log(`Converted _rxdb_internal document:`, JSON.stringify(document));
-      return document as RxDocumentData<RxDocType>;
+      return document as StoredDocument<RxDocType>;
     }
 
     // Add each field from the schema
     for (const field of this.schemaFields) {
       // Skip fields we've already added
-      if (field === this.primaryKey || field === '_deleted' || field === '_rev') {
+      if (field === this.primaryPath || field === '_deleted' || field === '_rev') {
         continue;
       }
 
@@ -482,12 +489,13 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
       document._meta = {};
     }
 
-    console.log(`Converted document for row with ID ${row.id}:`, JSON.stringify(document));
-    return document as RxDocumentData<RxDocType>;
+    return document as StoredDocument<RxDocType>;
   }
 
   /**
-   * Writes multiple documents to the storage instance
+   * Writes multiple documents to the storage instance in one transaction.
+   * The stored documents are read inside it, so no write in between can slip
+   * past the conflict check, and the changes are emitted as one event bulk.
    */
   async bulkWrite(
     documentWrites: BulkWriteRow<RxDocType>[],
@@ -498,256 +506,130 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     }
 
     const db = await this.internals.databasePromise;
-    const response: RxStorageBulkWriteResponse<RxDocType> = {
-      success: [],
-      error: []
-    };
-
-    // Prepare all operations first to validate them before executing any
-    const operations: Array<{
-      document: RxDocumentData<RxDocType>;
-      exists: boolean;
-      query: SQLiteQueryWithParams;
-    }> = [];
-
-    // First phase: Validate all documents and prepare operations
-    for (const writeRow of documentWrites) {
-      try {
-        const document = writeRow.document;
-        const id = document.id as string;
-
-        // Check if document exists and handle conflicts
-        const existingDoc = await this.findDocumentsById([id], true);
-        const exists = existingDoc.length > 0;
-
-        if (exists && writeRow.previous && existingDoc[0]._rev !== writeRow.previous._rev) {
-          // Conflict - document has been modified
-          const conflictError = new Error(`Conflict: Document with id ${id} has been modified`);
-          response.error.push({
-            documentId: id,
-            error: conflictError
-          });
-
-          // If any document has a conflict, fail the entire operation
-          return response;
-        }
-
-        // Convert document to row
-        let row;
-        try {
-          row = this.documentToRow(document);
-        } catch (err) {
-          console.error(`Error converting document to row: ${err.message}`);
-          console.error(`Document: ${JSON.stringify(document)}`);
-          console.error(`Collection: ${this.collectionName}`);
-          console.error(`Schema: ${JSON.stringify(this.schema)}`);
-
-          // Create a more detailed error message
-          const enhancedError = new Error(
-            `Error converting document to row for collection '${this.collectionName}' (document ID: ${id}): ${err.message}\n` +
-            `Document: ${JSON.stringify(document)}`
-          );
-
-          // Preserve the original error's stack trace if possible
-          if (err.stack) {
-            enhancedError.stack = err.stack;
-          }
-
-          response.error.push({
-            documentId: id,
-            error: enhancedError
-          });
-
-          // If any document fails validation, fail the entire operation
-          return response;
-        }
-
-        // Build column names and placeholders for SQL
-        // Make sure all column names are strings and properly quoted
-        const columns = Object.keys(row).map(col => `"${String(col)}"`);
-        const placeholders = Object.keys(row).map(() => '?').join(', ');
-        const values = Object.values(row);
-
-        console.log(`bulkWrite ${exists ? 'update' : 'insert'} for document ${id}:`, JSON.stringify(row));
-
-        let query: SQLiteQueryWithParams;
-
-        if (exists) {
-          // Update existing document
-          const setClause = columns.map(col => `${col} = ?`).join(', ');
-
-          query = {
-            query: `UPDATE ${this.tableName} SET ${setClause} WHERE "id" = ?`,
-            params: [...values, id],
-            context: { method: 'bulkWrite', data: { id } }
-          };
-        } else {
-          // Insert new document
-          query = {
-            query: `INSERT INTO ${this.tableName} (${columns.join(', ')}) VALUES (${placeholders})`,
-            params: values,
-            context: { method: 'bulkWrite', data: { id } }
-          };
-        }
-
-        // Add to operations list
-        operations.push({
-          document,
-          exists,
-          query
-        });
-      } catch (error) {
-        // Create a more detailed error message
-        const documentId = writeRow.document.id as string;
-        const enhancedError = new Error(
-          `Error in bulkWrite preparation for collection '${this.collectionName}' (document ID: ${documentId}): ${error.message}\n` +
-          `Document: ${JSON.stringify(writeRow.document)}\n` +
-          `Previous: ${writeRow.previous ? JSON.stringify(writeRow.previous) : 'none'}`
-        );
-
-        // Preserve the original error's stack trace if possible
-        if (error.stack) {
-          enhancedError.stack = error.stack;
-        }
-
-        console.error(enhancedError.message);
+    const { retry = {} } = this.internals;
+    let response: RxStorageBulkWriteResponse<RxDocType>;
+    let changeEvents: RxStorageChangeEvent<RxDocType>[];
+    try {
+      // A busy transaction is retried as a whole, so each attempt starts afresh
+      await retryAsync(() => {
+        response = { error: [] };
+        changeEvents = db.transaction(() => this.applyWrites(db, documentWrites, context, response))();
+      }, retry && !db.inTransaction ? retry : { retries: 0 });
+    } catch (error) {
+      this.instrumentation.error(
+        `Error in bulkWrite for collection '${this.collectionName}', no changes were made: ${(error as Error).message}`
+      );
+      throw toSQLiteError(error, { table: this.tableName, context: { method: 'bulkWrite' } });
+    }
 
-        // Add to error
-        response.error.push({
-          documentId: documentId,
-          error: enhancedError
-        });
+    if (changeEvents!.length > 0) {
+      const eventBulk: EventBulk<RxStorageChangeEvent<RxDocType>, SQLiteChangesCheckpoint> = {
+        events: changeEvents!,
+        checkpoint: {
+          id: changeEvents![changeEvents!.length - 1].documentId,
+          lwt: Date.now()
+        },
+        context
+      };
 
-        // If any document fails preparation, fail the entire operation
-        return response;
-      }
+      this.changeEventSubject.next(eventBulk);
     }
 
-    // Second phase: Execute operations in a transaction
-    try {
-      // Start transaction
-      await this.runQuery(db, {
-        query: 'BEGIN TRANSACTION',
-        params: [],
-        context: { method: 'bulkWrite', data: { action: 'begin' } }
-      });
-
-      // Execute all operations using direct database access
-      for (const op of operations) {
-        try {
-          // Use direct database access for better reliability
-          // @ts-ignore - SQLite database methods may vary between implementations
-          if (typeof db.prepare === 'function') {
-            // Clean up the query by removing whitespace and newlines
-            const cleanQuery = op.query.query.replace(/\s+/g, ' ').trim();
-            console.log('Executing query:', cleanQuery);
-            console.log('With params:', op.query.params);
-
-            const stmt = db.prepare(cleanQuery);
-            if (typeof stmt.run === 'function') {
-              // For better-sqlite3, we need to use the spread operator
-              const result = stmt.run(...op.query.params);
-              console.log('Direct execution result:', result);
-            } else {
-              throw new Error('No suitable method found to execute the query');
-            }
-          } else if (typeof db.run === 'function') {
-            // For node-sqlite3
-            await db.run(op.query.query, op.query.params);
-          } else {
-            throw new Error('No suitable method found to execute the query');
-          }
-
-          response.success.push(op.document);
-        } catch (error) {
-          console.error('Error executing operation:', error);
-          console.error('Query:', op.query.query);
-          console.error('Params:', op.query.params);
-
-          // Create a more detailed error message
-          const enhancedError = new Error(
-            `Error executing operation for document '${op.document.id}': ${error.message}\n` +
-            `Query: ${op.query.query}\n` +
-            `Params: ${JSON.stringify(op.query.params)}`
-          );
-
-          // Preserve the original error's stack trace if possible
-          if (error.stack) {
-            enhancedError.stack = error.stack;
-          }
-
-          throw enhancedError;
-        }
-      }
+    return response!;
+  }
 
-      // Commit transaction
-      await this.runQuery(db, {
-        query: 'COMMIT',
-        params: [],
-        context: { method: 'bulkWrite', data: { action: 'commit' } }
-      });
-
-      // Emit change events for successful writes
-      if (response.success.length > 0) {
-        const changeEvents: RxStorageChangeEvent<RxDocType>[] = response.success.map((doc, index) => {
-          const operation = doc._deleted ? 'DELETE' : (operations[index].exists ? 'UPDATE' : 'INSERT');
-          return {
-            documentId: doc.id as string,
-            documentData: doc,
-            operation,
-            previousDocumentData: documentWrites[index].previous || null,
-            isLocal: context.startsWith('local-')
-          };
-        });
+  /**
+   * Apply the writes of a bulkWrite inside its transaction, returning the
+   * change events for the ones that succeeded
+   */
+  private applyWrites(
+    db: Database.Database,
+    documentWrites: BulkWriteRow<RxDocType>[],
+    context: string,
+    response: RxStorageBulkWriteResponse<RxDocType>
+  ): RxStorageChangeEvent<RxDocType>[] {
+    const stored = this.readStoredDocuments(db, documentWrites.map(writeRow => this.primaryValue(writeRow.document)));
+    const changeEvents: RxStorageChangeEvent<RxDocType>[] = [];
 
-        const eventBulk: EventBulk<RxStorageChangeEvent<RxDocType>, SQLiteChangesCheckpoint> = {
-          events: changeEvents,
-          checkpoint: {
-            id: changeEvents[changeEvents.length - 1].documentId,
-            lwt: Date.now()
-          },
-          context
+    for (const writeRow of documentWrites) {
+      const document = writeRow.document;
+      const id = this.primaryValue(document);
+      const documentInDb = stored.get(id);
+      const exists = documentInDb !== undefined;
+
+      // As in RxDB, a write conflicts unless it names the stored revision as
+      // its previous state; writes without one may only insert. Conflicts
+      // are reported per document while the rest of the batch is written.
+      if (exists && documentInDb._rev !== writeRow.previous?._rev) {
+        const conflict: RxStorageWriteErrorConflict<RxDocType> = {
+          status: 409,
+          isError: true,
+          documentId: id,
+          writeRow,
+          documentInDb
         };
-
-        this.changeEventSubject.next(eventBulk);
+        response.error.push(conflict);
+        continue;
       }
-    } catch (error) {
-      // If any error occurs during the transaction, roll back
+
+      const row = this.documentToRow(document);
+      const columns = Object.keys(row).map(col => `"${String(col)}"`);
+      const values = Object.values(row);
+      const query = exists
+        ? `UPDATE ${this.tableName} SET ${columns.map(col => `${col} = ?`).join(', ')} WHERE "${this.primaryPath}" = ?`
+        : `INSERT INTO ${this.tableName} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+      const params = exists ? [...values, id] : values;
       try {
-        await this.runQuery(db, {
-          query: 'ROLLBACK',
-          params: [],
-          context: { method: 'bulkWrite', data: { action: 'rollback' } }
+        this.instrumentation.measure('write', query, params, this.collectionName, () =>
+          db.prepare(query).run(params),
+          this.slowQueryCheck(db, query, params)
+        );
+      } catch (error) {
+        throw toSQLiteError(error, {
+          table: this.tableName,
+          sql: query,
+          params,
+          context: { method: 'bulkWrite', data: { id } }
         });
-      } catch (rollbackError) {
-        console.error('Error rolling back transaction:', rollbackError);
       }
 
-      // Create a more detailed error message
-      const enhancedError = new Error(
-        `Error in bulkWrite transaction for collection '${this.collectionName}': ${error.message}\n` +
-        `Transaction rolled back, no changes were made.`
-      );
-
-      // Preserve the original error's stack trace if possible
-      if (error.stack) {
-        enhancedError.stack = error.stack;
-      }
-
-      console.error(enhancedError.message);
+      // Later writes of the same document in this bulk see this state
+      stored.set(id, document as StoredDocument<RxDocType>);
+      const operation: RxStorageChangeEvent<RxDocType>['operation'] = document._deleted ? 'DELETE' : exists ? 'UPDATE' : 'INSERT';
+      const changeEvent = {
+        documentId: id,
+        documentData: document,
+        operation,
+        previousDocumentData: writeRow.previous,
+        isLocal: context.startsWith('local-')
+      };
+      changeEvents.push(changeEvent);
+    }
 
-      // Add to error - use the first document ID as the error ID
-      const firstDocId = documentWrites[0]?.document?.id as string || 'transaction-error';
-      response.error.push({
-        documentId: firstDocId,
-        error: enhancedError
-      });
+    return changeEvents;
+  }
 
-      // Clear any success entries since the transaction was rolled back
-      response.success = [];
+  /**
+   * The stored documents with the given primary values, deleted ones included,
+   * read inside the bulkWrite transaction
+   */
+  private readStoredDocuments(db: Database.Database, ids: string[]): Map<string, StoredDocument<RxDocType>> {
+    const documents = new Map<string, StoredDocument<RxDocType>>();
+    const unique = Array.from(new Set(ids));
+    // One query, unless there are more ids than a statement may bind
+    for (let start = 0; start < unique.length; start += MAX_BOUND_PARAMETERS) {
+      const chunk = unique.slice(start, start + MAX_BOUND_PARAMETERS);
+      const query = `SELECT * FROM ${this.tableName} WHERE "${this.primaryPath}" IN (${chunk.map(() => '?').join(',')})`;
+      const rows = this.instrumentation.measure('query', query, chunk, this.collectionName, () =>
+        db.prepare(query).all(chunk),
+        this.slowQueryCheck(db, query, chunk)
+      ) as Record<string, any>[];
+      for (const row of rows) {
+        const document = this.rowToDocument(row);
+        documents.set(this.primaryValue(document), document);
+      }
     }
-
-    return response;
+    return documents;
   }
 
   /**
@@ -756,7 +638,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
   async findDocumentsById(
     ids: string[],
     withDeleted: boolean
-  ): Promise<RxDocumentData<RxDocType>[]> {
+  ): Promise<StoredDocument<RxDocType>[]> {
     if (this.closed) {
       throw new Error('Storage instance is closed');
     }
@@ -765,7 +647,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
       return [];
     }
 
-    const db = await this.internals.databasePromise;
+    const db = await this.getReadDatabase();
 
     // Build placeholders for the IN clause
     const placeholders = ids.map(() => '?').join(',');
@@ -774,7 +656,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     let query = `
       SELECT *
       FROM ${this.tableName}
-      WHERE "id" IN (${placeholders})
+      WHERE "${this.primaryPath}" IN (${placeholders})
     `;
 
     // Add deleted filter if needed
@@ -789,42 +671,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     };
 
     // Execute the query
-    let rows;
-    try {
-      // Convert boolean values to integers for SQLite
-      const convertedParams = queryWithParams.params.map(param =>
-        typeof param === 'boolean' ? (param ? 1 : 0) : param
-      );
-
-      // Handle better-sqlite3 (synchronous API) vs node-sqlite3 (async API)
-      // @ts-ignore - SQLite database methods may vary between implementations
-      if (typeof db.all === 'function') {
-        const result = db.all(queryWithParams.query, convertedParams);
-        rows = result instanceof Promise ? await result : result;
-      } else if (typeof db.prepare === 'function') {
-        const stmt = db.prepare(queryWithParams.query);
-        if (typeof stmt.all === 'function') {
-          // For better-sqlite3, we need to use the spread operator
-          const result = stmt.all(...convertedParams);
-          rows = result instanceof Promise ? await result : result;
-        } else if (typeof stmt.get === 'function') {
-          // Fallback to get for single row
-          // For better-sqlite3, we need to use the spread operator
-          const result = stmt.get(...convertedParams);
-          const singleRow = result instanceof Promise ? await result : result;
-          rows = singleRow ? [singleRow] : [];
-        } else {
-          throw new Error('No suitable method found to execute the query');
-        }
-      } else {
-        throw new Error('No suitable method found to execute the query');
-      }
-    } catch (error) {
-      console.error('Error executing query:', error);
-      console.error('Query:', queryWithParams.query);
-      console.error('Params:', queryWithParams.params);
-      rows = [];
-    }
+    const rows = await this.allRows(db, queryWithParams);
 
     // Convert rows to documents
     return rows.map(row => this.rowToDocument(row));
@@ -840,12 +687,14 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
       throw new Error('Storage instance is closed');
     }
 
-    const db = await this.internals.databasePromise;
+    const db = await this.getReadDatabase();
 
     // Build the query
     const { query, params } = getSQLiteQueryBuilderFromMangoQuery(
       preparedQuery.query,
-      this.tableName
+      this.tableName,
+      false,
+      { layout: 'relational' }
     );
 
     // Convert boolean values to integers for SQLite
@@ -860,33 +709,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     };
 
     // Execute the query
-    let rows;
-    try {
-      // @ts-ignore - SQLite database methods may vary between implementations
-      if (typeof db.all === 'function') {
-        rows = await db.all(queryWithParams.query, queryWithParams.params);
-      } else if (typeof db.prepare === 'function') {
-        const stmt = db.prepare(queryWithParams.query);
-        if (typeof stmt.all === 'function') {
-          // For better-sqlite3, we need to use the spread operator
-          rows = stmt.all(...queryWithParams.params);
-        } else if (typeof stmt.get === 'function') {
-          // Fallback to get for single row
-          // For better-sqlite3, we need to use the spread operator
-          const result = stmt.get(...queryWithParams.params);
-          rows = result ? [result] : [];
-        } else {
-          throw new Error('No suitable method found to execute the query');
-        }
-      } else {
-        throw new Error('No suitable method found to execute the query');
-      }
-    } catch (error) {
-      console.error('Error executing query:', error);
-      console.error('Query:', queryWithParams.query);
-      console.error('Params:', queryWithParams.params);
-      rows = [];
-    }
+    const rows = await this.allRows(db, queryWithParams);
 
     // Convert rows to documents
     const documents = rows.map(row => this.rowToDocument(row));
@@ -906,13 +729,14 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
       throw new Error('Storage instance is closed');
     }
 
-    const db = await this.internals.databasePromise;
+    const db = await this.getReadDatabase();
 
     // Build the query but modify it to be a COUNT query
     const { query, params } = getSQLiteQueryBuilderFromMangoQuery(
       preparedQuery.query,
       this.tableName,
-      true
+      true,
+      { layout: 'relational' }
     );
 
     // Convert boolean values to integers for SQLite
@@ -927,33 +751,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     };
 
     // Execute the query
-    let rows;
-    try {
-      // @ts-ignore - SQLite database methods may vary between implementations
-      if (typeof db.all === 'function') {
-        rows = await db.all(queryWithParams.query, queryWithParams.params);
-      } else if (typeof db.prepare === 'function') {
-        const stmt = db.prepare(queryWithParams.query);
-        if (typeof stmt.all === 'function') {
-          // For better-sqlite3, we need to use the spread operator
-          rows = stmt.all(...queryWithParams.params);
-        } else if (typeof stmt.get === 'function') {
-          // Fallback to get for single row
-          // For better-sqlite3, we need to use the spread operator
-          const result = stmt.get(...queryWithParams.params);
-          rows = result ? [result] : [];
-        } else {
-          throw new Error('No suitable method found to execute the query');
-        }
-      } else {
-        throw new Error('No suitable method found to execute the query');
-      }
-    } catch (error) {
-      console.error('Error executing query:', error);
-      console.error('Query:', queryWithParams.query);
-      console.error('Params:', queryWithParams.params);
-      rows = [];
-    }
+    const rows = await this.allRows(db, queryWithParams);
 
     // Parse the result
     const count = rows[0]?.count || 0;
@@ -964,6 +762,33 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     };
   }
 
+  /**
+   * The SQL a query compiles to and its EXPLAIN QUERY PLAN, without running it.
+   * `plan.fullScans` lists the tables it would read in full.
+   */
+  async explain(
+    preparedQuery: PreparedQuery<RxDocType>
+  ): Promise<SQLiteExplainResult> {
+    if (this.closed) {
+      throw new Error('Storage instance is closed');
+    }
+
+    const db = await this.getReadDatabase();
+    const { query, params } = getSQLiteQueryBuilderFromMangoQuery(
+      preparedQuery.query,
+      this.tableName,
+      false,
+      { layout: 'relational' }
+    );
+
+    // Convert boolean values to integers for SQLite
+    const convertedParams = params.map(param =>
+      typeof param === 'boolean' ? (param ? 1 : 0) : param
+    );
+
+    return { sql: query, params: convertedParams, plan: explainQueryPlan(db, query, convertedParams) };
+  }
+
   /**
    * Get attachment data
    */
@@ -998,7 +823,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
       throw new Error(`Digest mismatch for attachment ${attachmentId}`);
     }
 
-    return attachment.data;
+    return (attachment as RxAttachmentWriteData).data;
   }
 
   /**
@@ -1008,14 +833,14 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     limit: number,
     checkpoint?: SQLiteChangesCheckpoint
   ): Promise<{
-    documents: RxDocumentData<RxDocType>[];
+    documents: StoredDocument<RxDocType>[];
     checkpoint: SQLiteChangesCheckpoint;
   }> {
     if (this.closed) {
       throw new Error('Storage instance is closed');
     }
 
-    const db = await this.internals.databasePromise;
+    const db = await this.getReadDatabase();
 
     // Build the query
     let query = `
@@ -1027,12 +852,12 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
 
     // Add checkpoint filter if provided
     if (checkpoint) {
-      query += ` WHERE ("id" > ? OR ("id" = ? AND "_rev" > ?))`;
+      query += ` WHERE ("${this.primaryPath}" > ? OR ("${this.primaryPath}" = ? AND "_rev" > ?))`;
       params.push(checkpoint.id, checkpoint.id, checkpoint.id);
     }
 
     // Add order and limit
-    query += ` ORDER BY "id" ASC LIMIT ?`;
+    query += ` ORDER BY "${this.primaryPath}" ASC LIMIT ?`;
     params.push(limit);
 
     const queryWithParams: SQLiteQueryWithParams = {
@@ -1042,38 +867,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     };
 
     // Execute the query
-    let rows;
-    try {
-      // Convert boolean values to integers for SQLite
-      const convertedParams = queryWithParams.params.map(param =>
-        typeof param === 'boolean' ? (param ? 1 : 0) : param
-      );
-
-      // @ts-ignore - SQLite database methods may vary between implementations
-      if (typeof db.all === 'function') {
-        rows = await db.all(queryWithParams.query, convertedParams);
-      } else if (typeof db.prepare === 'function') {
-        const stmt = db.prepare(queryWithParams.query);
-        if (typeof stmt.all === 'function') {
-          // For better-sqlite3, we need to use the spread operator
-          rows = stmt.all(...convertedParams);
-        } else if (typeof stmt.get === 'function') {
-          // Fallback to get for single row
-          // For better-sqlite3, we need to use the spread operator
-          const result = stmt.get(...convertedParams);
-          rows = result ? [result] : [];
-        } else {
-          throw new Error('No suitable method found to execute the query');
-        }
-      } else {
-        throw new Error('No suitable method found to execute the query');
-      }
-    } catch (error) {
-      console.error('Error executing query:', error);
-      console.error('Query:', queryWithParams.query);
-      console.error('Params:', queryWithParams.params);
-      rows = [];
-    }
+    const rows = await this.allRows(db, queryWithParams);
 
     // Convert rows to documents
     const documents = rows.map(row => this.rowToDocument(row));
@@ -1081,7 +875,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     // Create a new checkpoint
     const newCheckpoint: SQLiteChangesCheckpoint = documents.length > 0
       ? {
-          id: documents[documents.length - 1].id as string,
+          id: this.primaryValue(documents[documents.length - 1]),
           lwt: Date.now()
         }
       : checkpoint || { id: '', lwt: Date.now() };
@@ -1115,7 +909,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     // Build the query to find documents to clean up
     const findQuery: SQLiteQueryWithParams = {
       query: `
-        SELECT "${this.primaryKey}"
+        SELECT "${this.primaryPath}"
         FROM ${this.tableName}
         WHERE "_deleted" = 1
         LIMIT 100
@@ -1125,38 +919,7 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     };
 
     // Execute the query
-    let rows;
-    try {
-      // Convert boolean values to integers for SQLite
-      const convertedParams = findQuery.params.map(param =>
-        typeof param === 'boolean' ? (param ? 1 : 0) : param
-      );
-
-      // @ts-ignore - SQLite database methods may vary between implementations
-      if (typeof db.all === 'function') {
-        rows = await db.all(findQuery.query, convertedParams);
-      } else if (typeof db.prepare === 'function') {
-        const stmt = db.prepare(findQuery.query);
-        if (typeof stmt.all === 'function') {
-          // For better-sqlite3, we need to use the spread operator
-          rows = stmt.all(...convertedParams);
-        } else if (typeof stmt.get === 'function') {
-          // Fallback to get for single row
-          // For better-sqlite3, we need to use the spread operator
-          const result = stmt.get(...convertedParams);
-          rows = result ? [result] : [];
-        } else {
-          throw new Error('No suitable method found to execute the query');
-        }
-      } else {
-        throw new Error('No suitable method found to execute the query');
-      }
-    } catch (error) {
-      console.error('Error executing query:', error);
-      console.error('Query:', findQuery.query);
-      console.error('Params:', findQuery.params);
-      rows = [];
-    }
+    const rows = await this.allRows(db, findQuery);
 
     if (rows.length === 0) {
       // No documents to clean up
@@ -1164,13 +927,13 @@ export class RelationalStorageInstanceSQLite<RxDocType> implements RxStorageInst
     }
 
     // Delete the documents
-    const ids = rows.map(row => row[this.primaryKey]);
+    const ids = rows.map(row => row[this.primaryPath]);
     const placeholders = ids.map(() => '?').join(',');
 
     const deleteQuery: SQLiteQueryWithParams = {
       query: `
         DELETE FROM ${this.tableName}
-        WHERE "${this.primaryKey}" IN (${placeholders})
+        WHERE "${this.primaryPath}" IN (${placeholders})
       `,
       params: ids,
       context: { method: 'cleanup', data: { ids } }
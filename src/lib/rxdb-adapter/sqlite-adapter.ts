@@ -11,6 +11,54 @@ import type {
 import { getSQLiteBasicsBetterSQLite } from './sqlite-basics';
 import { RxStorageInstanceSQLite } from './sqlite-storage-instance';
 import Database from 'better-sqlite3';
+import { defer, Observable } from 'rxjs';
+import { SQLiteBackupOptions, SQLiteBackupProgress, backupDatabase, restoreDatabase } from '../adapter/backup';
+import { SQLiteSchema, readSchema } from '../adapter/schema';
+import { SQLiteConnectionPool } from '../adapter/connection-pool';
+import { SQLiteInstrumentation, SQLiteInstrumentationOptions } from '../adapter/instrumentation';
+import { SQLiteRetryOptions } from '../adapter/retry';
+
+/**
+ * Options for the SQLite storages; anything besides these is passed to better-sqlite3
+ */
+export interface SQLiteStorageOptions extends Database.Options {
+  /**
+   * Number of read-only connections per database that queries are spread over
+   * (see SQLiteConnectionPool). Defaults to 0: reads share the write connection.
+   */
+  readers?: number;
+  /**
+   * Milliseconds a connection waits for a lock before failing with SQLITE_BUSY.
+   * Defaults to 5000; every retry waits this long again.
+   */
+  busyTimeout?: number;
+  /**
+   * How writes that still fail with SQLITE_BUSY or SQLITE_LOCKED after the busy
+   * timeout are retried, or false to fail straight away. Defaults to 3 retries.
+   */
+  retry?: SQLiteRetryOptions | false;
+  /**
+   * Where statements are reported and logged. Pass an instance to read its
+   * events$, or options for a new one. Nothing is logged by default.
+   */
+  instrumentation?: SQLiteInstrumentation | SQLiteInstrumentationOptions;
+  /**
+   * Statements that take longer than this many milliseconds are reported on
+   * the instrumentation's slowQueries$, with their query plans. Off by default.
+   */
+  slowQueryThreshold?: number;
+}
+
+/**
+ * Storage internals, plus the pool that reads go through, the retry policy for
+ * writes, where statements are reported and when they count as slow
+ */
+export type SQLitePooledInternals = SQLiteInternals & {
+  pool?: SQLiteConnectionPool;
+  retry?: SQLiteRetryOptions | false;
+  instrumentation?: SQLiteInstrumentation;
+  slowQueryThreshold?: number;
+};
 
 /**
  * RxStorage implementation for SQLite using better-sqlite3
@@ -19,7 +67,17 @@ export class RxStorageSQLite implements RxStorage<SQLiteInternals, SQLiteInstanc
   public readonly name: string = 'sqlite';
   public readonly rxdbVersion: string = '16.11.0'; // Match the RxDB version
 
-  constructor(public readonly settings: SQLiteStorageSettings) {}
+  /**
+   * Reports and logs the statements run by this storage's instances
+   */
+  public readonly instrumentation: SQLiteInstrumentation;
+
+  constructor(
+    public readonly settings: SQLiteStorageSettings,
+    private readonly poolOptions: SQLiteStorageOptions = {}
+  ) {
+    this.instrumentation = SQLiteInstrumentation.from(poolOptions.instrumentation);
+  }
 
   /**
    * Create a storage instance for a collection
@@ -34,14 +92,22 @@ export class RxStorageSQLite implements RxStorage<SQLiteInternals, SQLiteInstanc
     // @ts-ignore - Accessing static map
     const existingDb = getRxStorageSQLite.databaseMap.get(databaseName);
     if (existingDb) {
-      console.log(`Reusing existing SQLite database instance for "${databaseName}"`);
+      // @ts-ignore - Accessing static map
+      const existingPool: SQLiteConnectionPool | undefined = getRxStorageSQLite.poolMap.get(databaseName);
+      this.instrumentation.info(`Reusing existing SQLite database instance for "${databaseName}"`);
 
       // No need to update the map as the instance is already there
 
       // Create the storage instance with the existing database
       const storageInstance = new RxStorageInstanceSQLite<RxDocType>(
         params,
-        { databasePromise: Promise.resolve(existingDb) }
+        {
+          databasePromise: Promise.resolve(existingDb),
+          pool: existingPool,
+          retry: this.poolOptions.retry ?? {},
+          instrumentation: this.instrumentation,
+          slowQueryThreshold: this.poolOptions.slowQueryThreshold
+        }
       );
 
       // Initialize the storage instance
@@ -66,10 +132,16 @@ export class RxStorageSQLite implements RxStorage<SQLiteInternals, SQLiteInstanc
     // @ts-ignore - Adding to static map
     getRxStorageSQLite.databaseMap.set(databaseName, db);
 
+    // Spread reads over read-only connections when asked to
+    const { retry = {}, instrumentation, slowQueryThreshold, ...poolOptions } = this.poolOptions;
+    const pool = new SQLiteConnectionPool(db, { ...poolOptions, readers: poolOptions.readers ?? 0 });
+    // @ts-ignore - Adding to static map
+    getRxStorageSQLite.poolMap.set(databaseName, pool);
+
     // Create the storage instance
     const storageInstance = new RxStorageInstanceSQLite<RxDocType>(
       params,
-      { databasePromise: Promise.resolve(db) }
+      { databasePromise: Promise.resolve(db), pool, retry, instrumentation: this.instrumentation, slowQueryThreshold }
     );
 
     // Initialize the storage instance
@@ -82,20 +154,37 @@ export class RxStorageSQLite implements RxStorage<SQLiteInternals, SQLiteInstanc
 /**
  * Factory function to create a SQLite storage adapter
  */
-export function getRxStorageSQLite(options?: Database.Options): RxStorageSQLite {
+export function getRxStorageSQLite(options: SQLiteStorageOptions = {}): RxStorageSQLite {
   // Static property will be added to this function
-  const sqliteBasics = getSQLiteBasicsBetterSQLite(options);
+  const {
+    readers,
+    busyTimeout,
+    retry,
+    instrumentation: instrumentationOptions,
+    slowQueryThreshold,
+    ...databaseOptions
+  } = options;
+  // One instance for the storage, so every database it opens reports to it
+  const instrumentation = SQLiteInstrumentation.from(instrumentationOptions);
+  const sqliteBasics = getSQLiteBasicsBetterSQLite(
+    busyTimeout === undefined ? databaseOptions : { ...databaseOptions, timeout: busyTimeout },
+    instrumentation
+  );
 
   return new RxStorageSQLite({
     sqliteBasics,
     databaseNamePrefix: 'rxdb-'
-  });
+  }, { ...options, instrumentation });
 }
 
 // Initialize a static map to store database instances by name
 // @ts-ignore - Adding static property to the function
 getRxStorageSQLite.databaseMap = new Map();
 
+// Connection pools by database name; reads go through these
+// @ts-ignore - Adding static property to the function
+getRxStorageSQLite.poolMap = new Map();
+
 // Add a static method to get a database instance by name or from a database object
 // @ts-ignore - Adding static method to the function
 getRxStorageSQLite.getDBByName = function(nameOrDatabase: string | any) {
@@ -112,6 +201,66 @@ getRxStorageSQLite.getDBByName = function(nameOrDatabase: string | any) {
   return getRxStorageSQLite.databaseMap.get(databaseName);
 };
 
+// Add a static method to get the connection pool for a database by name or from a database object
+// @ts-ignore - Adding static method to the function
+getRxStorageSQLite.getPoolByName = function(nameOrDatabase: string | any): SQLiteConnectionPool | undefined {
+  const databaseName = typeof nameOrDatabase === 'string'
+    ? nameOrDatabase
+    : nameOrDatabase?.name;
+
+  if (!databaseName) {
+    throw new Error('Invalid database name or object');
+  }
+
+  // @ts-ignore - Accessing static map
+  return getRxStorageSQLite.poolMap.get(databaseName);
+};
+
+// Add a static method to back up a database while it is in use
+// @ts-ignore - Adding static method to the function
+getRxStorageSQLite.backup = function(
+  nameOrDatabase: string | any,
+  destination: string,
+  options?: SQLiteBackupOptions
+): Observable<SQLiteBackupProgress> {
+  return defer(() => {
+    // @ts-ignore - Accessing static method
+    const db = getRxStorageSQLite.getDBByName(nameOrDatabase);
+    if (!db) {
+      throw new Error('Database not found: ' + (typeof nameOrDatabase === 'string' ? nameOrDatabase : nameOrDatabase?.name));
+    }
+    return backupDatabase(db, destination, options);
+  });
+};
+
+// Add a static method to replace a database's contents with a backup while its storage is running
+// @ts-ignore - Adding static method to the function
+getRxStorageSQLite.restore = function(
+  nameOrDatabase: string | any,
+  source: string,
+  options?: SQLiteBackupOptions
+): Observable<SQLiteBackupProgress> {
+  return defer(() => {
+    // @ts-ignore - Accessing static method
+    const db = getRxStorageSQLite.getDBByName(nameOrDatabase);
+    if (!db) {
+      throw new Error('Database not found: ' + (typeof nameOrDatabase === 'string' ? nameOrDatabase : nameOrDatabase?.name));
+    }
+    return restoreDatabase(db, source, options);
+  });
+};
+
+// Add a static method to describe a database's tables, views and triggers
+// @ts-ignore - Adding static method to the function
+getRxStorageSQLite.schema = function(nameOrDatabase: string | any): SQLiteSchema {
+  // @ts-ignore - Accessing static method
+  const db = getRxStorageSQLite.getDBByName(nameOrDatabase);
+  if (!db) {
+    throw new Error('Database not found: ' + (typeof nameOrDatabase === 'string' ? nameOrDatabase : nameOrDatabase?.name));
+  }
+  return readSchema(db);
+};
+
 // Add a static method to list all available database names
 // @ts-ignore - Adding static method to the function
 getRxStorageSQLite.getAvailableDatabases = function() {
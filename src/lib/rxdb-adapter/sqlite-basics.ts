@@ -3,6 +3,7 @@
  */
 import Database from 'better-sqlite3';
 import type { SQLiteBasics, SQLiteQueryWithParams } from 'rxdb/dist/types/plugins/storage-sqlite/sqlite-types';
+import { SQLiteInstrumentation } from '../adapter/instrumentation';
 
 /**
  * Create a table in the SQLite database
@@ -137,9 +138,13 @@ export function countDocuments(
 }
 
 /**
- * Implementation of SQLiteBasics for better-sqlite3
+ * Implementation of SQLiteBasics for better-sqlite3. Statements are reported
+ * to `instrumentation`, which logs nothing by default.
  */
-export const getSQLiteBasicsBetterSQLite = (options?: Database.Options): SQLiteBasics<Database.Database> => {
+export const getSQLiteBasicsBetterSQLite = (
+  options?: Database.Options,
+  instrumentation: SQLiteInstrumentation = new SQLiteInstrumentation()
+): SQLiteBasics<Database.Database> => {
   return {
     debugId: 'better-sqlite3',
 
@@ -159,32 +164,16 @@ export const getSQLiteBasicsBetterSQLite = (options?: Database.Options): SQLiteB
      * Returns the query result rows
      */
     all: async (db: Database.Database, queryWithParams: SQLiteQueryWithParams): Promise<any[]> => {
-      try {
-        const stmt = db.prepare(queryWithParams.query);
-        return stmt.all(...queryWithParams.params);
-      } catch (error) {
-        console.error('SQLite query error:', error);
-        console.error('Query:', queryWithParams.query);
-        console.error('Params:', queryWithParams.params);
-        console.error('Context:', queryWithParams.context);
-        throw error;
-      }
+      const { query, params } = queryWithParams;
+      return instrumentation.measure('query', query, params, undefined, () => db.prepare(query).all(...params));
     },
 
     /**
      * Run a query. Return nothing.
      */
     run: async (db: Database.Database, queryWithParams: SQLiteQueryWithParams): Promise<void> => {
-      try {
-        const stmt = db.prepare(queryWithParams.query);
-        stmt.run(...queryWithParams.params);
-      } catch (error) {
-        console.error('SQLite run error:', error);
-        console.error('Query:', queryWithParams.query);
-        console.error('Params:', queryWithParams.params);
-        console.error('Context:', queryWithParams.context);
-        throw error;
-      }
+      const { query, params } = queryWithParams;
+      instrumentation.measure('write', query, params, undefined, () => db.prepare(query).run(...params));
     },
 
     /**
@@ -194,7 +183,7 @@ export const getSQLiteBasicsBetterSQLite = (options?: Database.Options): SQLiteB
       try {
         db.pragma(`${key} = ${value}`);
       } catch (error) {
-        console.error(`Error setting pragma ${key}=${value}:`, error);
+        instrumentation.error(`Error setting pragma ${key}=${value}:`, error);
         throw error;
       }
     },
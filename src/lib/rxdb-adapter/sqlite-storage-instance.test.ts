@@ -0,0 +1,332 @@
+/**
+ * Tests for the JSON document storage instance
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import { Subscription } from 'rxjs';
+import { getRxStorageSQLite } from './sqlite-adapter';
+import { RxStorageInstanceSQLite } from './sqlite-storage-instance';
+import { SQLiteInstrumentation, SQLiteInstrumentationEvent } from '../adapter/instrumentation';
+
+interface Note {
+  id: string;
+  text: string;
+}
+
+const schema = {
+  version: 0,
+  primaryKey: 'id',
+  type: 'object',
+  properties: {
+    id: { type: 'string', maxLength: 100 },
+    text: { type: 'string' }
+  },
+  required: ['id']
+} as any;
+
+const note = (id: string, rev: string, text = id, deleted = false): any => ({
+  id,
+  text,
+  _deleted: deleted,
+  _rev: rev,
+  _meta: { lwt: Date.now() },
+  _attachments: {}
+});
+
+describe('RxStorageInstanceSQLite.bulkWrite', () => {
+  // Table names are not quoted, so the name must be a plain identifier
+  const databaseName = `test_json_db_${Date.now()}`;
+  const instrumentation = new SQLiteInstrumentation();
+  let instance: RxStorageInstanceSQLite<Note>;
+  let events: SQLiteInstrumentationEvent[];
+  let subscription: Subscription;
+
+  beforeEach(async () => {
+    instance = await getRxStorageSQLite({ instrumentation }).createStorageInstance<Note>({
+      databaseName,
+      collectionName: 'notes',
+      schema,
+      options: {},
+      multiInstance: false,
+      devMode: false
+    } as any);
+    events = [];
+    subscription = instrumentation.events$.subscribe(event => events.push(event));
+  });
+
+  afterEach(async () => {
+    subscription.unsubscribe();
+    await instance.remove();
+    const db = getRxStorageSQLite.getDBByName(databaseName);
+    db.close();
+    // @ts-ignore - Accessing static map
+    getRxStorageSQLite.databaseMap.delete(databaseName);
+    // @ts-ignore - Accessing static map
+    getRxStorageSQLite.poolMap.delete(databaseName);
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`rxdb-${databaseName}.sqlite${suffix}`, { force: true });
+    }
+  });
+
+  it('should read revisions once and write every document in one event bulk', async () => {
+    // Arrange
+    const bulks: any[] = [];
+    const changes = instance.changeStream().subscribe(bulk => bulks.push(bulk));
+    const writes = Array.from({ length: 1000 }, (_, i) => ({ document: note(`note-${i}`, '1-a') }));
+
+    // Act
+    const response: any = await instance.bulkWrite(writes, 'test');
+    changes.unsubscribe();
+
+    // Assert
+    expect(response).toEqual({ error: [] });
+    expect(events.filter(event => event.kind === 'query')).toHaveLength(1);
+    expect(events.filter(event => event.kind === 'write')).toHaveLength(1000);
+    expect(bulks).toHaveLength(1);
+    expect(bulks[0].events).toHaveLength(1000);
+    expect(bulks[0].checkpoint.id).toBe('note-999');
+    expect(await instance.findDocumentsById(['note-0', 'note-999'], false)).toHaveLength(2);
+  });
+
+  it('should update, insert and report conflicts in one bulk', async () => {
+    // Arrange
+    const first = note('a', '1-a');
+    await instance.bulkWrite([{ document: first }, { document: note('b', '1-b') }], 'test');
+    const stale = { previous: note('b', '0-stale'), document: note('b', '2-b') };
+    const bulks: any[] = [];
+    const changes = instance.changeStream().subscribe(bulk => bulks.push(bulk));
+
+    // Act
+    const response: any = await instance.bulkWrite([
+      { previous: first, document: note('a', '2-a', 'edited') },
+      stale,
+      { document: note('c', '1-c') },
+      // Sees the revision written by the first entry
+      { previous: note('a', '2-a'), document: note('a', '3-a', 'deleted', true) }
+    ], 'test');
+    changes.unsubscribe();
+
+    // Assert
+    expect(response.error).toEqual([{
+      status: 409,
+      isError: true,
+      documentId: 'b',
+      writeRow: stale,
+      documentInDb: expect.objectContaining({ id: 'b', _rev: '1-b' })
+    }]);
+    expect(bulks[0].events.map((event: any) => [event.documentId, event.operation])).toEqual([
+      ['a', 'UPDATE'],
+      ['c', 'INSERT'],
+      ['a', 'DELETE']
+    ]);
+    const [stored] = await instance.findDocumentsById(['a'], true);
+    expect(stored).toMatchObject({ _rev: '3-a' });
+  });
+
+  it('should reject writes to stored documents that name no previous revision', async () => {
+    // Arrange
+    await instance.bulkWrite([{ document: note('a', '1-a', 'first') }], 'test');
+
+    // Act
+    const response: any = await instance.bulkWrite([
+      { document: note('a', '1-x', 'second') },
+      { document: note('b', '1-b') }
+    ], 'test');
+
+    // Assert
+    expect(response.error).toHaveLength(1);
+    expect(response.error[0]).toMatchObject({ status: 409, documentId: 'a', documentInDb: { text: 'first', _rev: '1-a' } });
+    expect(await instance.findDocumentsById(['b'], false)).toHaveLength(1);
+  });
+
+  it('should write nothing when the transaction fails', async () => {
+    // Arrange
+    const db = getRxStorageSQLite.getDBByName(databaseName);
+    db.exec(`
+      CREATE TEMP TRIGGER reject_bad BEFORE INSERT ON "${databaseName}_notes"
+      WHEN NEW.id = 'bad' BEGIN SELECT RAISE(ROLLBACK, 'bad document'); END
+    `);
+
+    // Act
+    const result = instance.bulkWrite([{ document: note('good', '1-g') }, { document: note('bad', '1-b') }], 'test');
+
+    // Assert
+    await expect(result).rejects.toThrow(/bad document/);
+    expect(await instance.findDocumentsById(['good'], true)).toEqual([]);
+  });
+
+  it('should write nothing when a single statement fails', async () => {
+    // Arrange
+    const db = getRxStorageSQLite.getDBByName(databaseName);
+    db.exec(`
+      CREATE TEMP TRIGGER abort_bad BEFORE INSERT ON "${databaseName}_notes"
+      WHEN NEW.id = 'bad' BEGIN SELECT RAISE(ABORT, 'bad document'); END
+    `);
+
+    // Act
+    const result = instance.bulkWrite([{ document: note('good', '1-g') }, { document: note('bad', '1-b') }], 'test');
+
+    // Assert
+    await expect(result).rejects.toThrow(/bad document/);
+    expect(await instance.findDocumentsById(['good'], true)).toEqual([]);
+  });
+
+  it('should index schema.indexes through generated columns, also on existing tables', async () => {
+    // Arrange
+    await instance.bulkWrite([{ document: note('a', '1-a', 'zebra') }, { document: note('b', '1-b', 'apple') }], 'test');
+    const indexed = await getRxStorageSQLite({ instrumentation }).createStorageInstance<Note>({
+      databaseName,
+      collectionName: 'notes',
+      schema: { ...schema, indexes: [['_deleted', 'text', 'id'], '_meta.lwt'] },
+      options: {},
+      multiInstance: false,
+      devMode: false
+    } as any);
+    const preparedQuery: any = { query: { selector: { text: { $gt: 'a' } }, sort: [{ text: 'asc' }, { id: 'asc' }], skip: 0 }, queryPlan: {} };
+
+    // Act
+    const result = await indexed.query(preparedQuery);
+    const explained = await indexed.explain(preparedQuery);
+    await indexed.close();
+
+    // Assert
+    expect(result.documents.map(doc => doc.text)).toEqual(['apple', 'zebra']);
+    expect(explained.sql).toContain('"idx_text" > ?');
+    expect(explained.sql).toContain('ORDER BY "idx_text" ASC, id ASC');
+    expect(explained.plan.steps[0].detail).toContain(`USING INDEX idx_${databaseName}_notes__deleted_text_id`);
+    expect(explained.plan.fullScans).toEqual([]);
+    const table = getRxStorageSQLite.schema(databaseName).tables.find(table => table.name === `${databaseName}_notes`);
+    expect(table?.columns.filter(column => column.generated).map(column => column.name)).toEqual(['idx_text', 'idx__meta.lwt']);
+  });
+
+  it('should index fields whose names need quoting', async () => {
+    // Arrange
+    const doc = (id: string, fields: object) => ({ ...note(id, '1-a'), ...fields });
+    await instance.bulkWrite([
+      { document: doc('a', { 'first-name': 'Ann', 'say"s': { "it's": 1 } }) },
+      { document: doc('b', { 'first-name': 'Bob', 'say"s': { "it's": 2 } }) }
+    ], 'test');
+    const indexed = await getRxStorageSQLite({ instrumentation }).createStorageInstance<any>({
+      databaseName,
+      collectionName: 'notes',
+      schema: { ...schema, indexes: ['first-name', `say"s.it's`] },
+      options: {},
+      multiInstance: false,
+      devMode: false
+    } as any);
+    const prepare = (selector: object): any => ({ query: { selector, sort: [{ id: 'asc' }], skip: 0 }, queryPlan: {} });
+
+    // Act
+    const byName = await indexed.query(prepare({ 'first-name': 'Bob' }));
+    const byNested = await indexed.query(prepare({ [`say"s.it's`]: { $lt: 2 } }));
+    await indexed.close();
+
+    // Assert
+    expect(byName.documents.map(document => document.id)).toEqual(['b']);
+    expect(byNested.documents.map(document => document.id)).toEqual(['a']);
+    const table = getRxStorageSQLite.schema(databaseName).tables.find(table => table.name === `${databaseName}_notes`);
+    expect(table?.columns.filter(column => column.generated).map(column => column.name)).toEqual(['idx_first-name', `idx_say"s.it's`]);
+  });
+
+  it('should index fields named like the columns of the table', async () => {
+    // Arrange
+    const things = await getRxStorageSQLite({ instrumentation }).createStorageInstance<any>({
+      databaseName,
+      collectionName: 'things',
+      schema: { ...schema, primaryKey: 'key', indexes: ['data', 'id'] },
+      options: {},
+      multiInstance: false,
+      devMode: false
+    } as any);
+    const thing = (key: string, id: string, data: string) => ({ ...note(id, '1-a'), key, data });
+    await things.bulkWrite([{ document: thing('k1', 'b', 'x') }, { document: thing('k2', 'a', 'y') }], 'test');
+    const prepare = (selector: object, sort: object[]): any => ({ query: { selector, sort, skip: 0 }, queryPlan: {} });
+
+    // Act
+    const byData = await things.query(prepare({ data: 'y' }, [{ key: 'asc' }]));
+    const byId = await things.query(prepare({ id: { $gt: '' } }, [{ id: 'asc' }]));
+    await things.close();
+
+    // Assert
+    expect(byData.documents.map(document => document.key)).toEqual(['k2']);
+    expect(byId.documents.map(document => document.key)).toEqual(['k2', 'k1']);
+    const table = getRxStorageSQLite.schema(databaseName).tables.find(table => table.name === `${databaseName}_things`);
+    expect(table?.columns.filter(column => column.generated).map(column => column.name)).toEqual(['idx_data', 'idx_id']);
+  });
+
+  it('should query and sort by fields of the JSON documents', async () => {
+    // Arrange
+    const doc = (id: string, fields: object) => ({ ...note(id, '1-a'), ...fields });
+    await instance.bulkWrite([
+      { document: doc('a', { address: { city: 'Paris' }, active: true, rating: 4.5 }) },
+      { document: doc('b', { address: { city: 'Paris' }, active: false, rating: 5 }) },
+      { document: doc('c', { address: { city: 'Paris' }, active: true, rating: 3 }) },
+      { document: doc('d', { address: { city: 'Rome' }, active: true, rating: 5 }) },
+      { document: doc('e', { active: true, rating: 10 }) }
+    ], 'test');
+    const prepare = (selector: object, sort: object[] = [{ id: 'asc' }]): any => ({ query: { selector, sort, skip: 0 }, queryPlan: {} });
+    const ids = async (selector: object, sort?: object[]) =>
+      (await instance.query(prepare(selector, sort))).documents.map(document => document.id);
+
+    // Act & Assert
+    expect(await ids({ 'address.city': 'Paris', active: true })).toEqual(['a', 'c']);
+    expect(await ids({ rating: { $gte: 4.5 }, active: { $in: [true] } }, [{ rating: 'desc' }, { id: 'asc' }])).toEqual(['e', 'd', 'a']);
+    expect(await ids({ address: { $exists: false } })).toEqual(['e']);
+    expect(await ids({ text: { $regex: '^b' } })).toEqual(['b']);
+    expect((await instance.count(prepare({ 'address.city': 'Paris' }))).count).toBe(3);
+  });
+
+  it('should query fields whose names need quoting', async () => {
+    // Arrange
+    const doc = (id: string, fields: object) => ({ ...note(id, '1-a'), ...fields });
+    await instance.bulkWrite([
+      { document: doc('a', { 'first-name': 'Ann', 'say"s': { "it's": 2 } }) },
+      { document: doc('b', { 'first-name': 'Bob', 'say"s': { "it's": 1 } }) },
+      { document: doc('c', { 'first-name': 'Cid' }) }
+    ], 'test');
+    const prepare = (selector: object, sort: object[] = [{ id: 'asc' }]): any => ({ query: { selector, sort, skip: 0 }, queryPlan: {} });
+    const ids = async (selector: object, sort?: object[]) =>
+      (await instance.query(prepare(selector, sort))).documents.map(document => document.id);
+
+    // Act & Assert
+    expect(await ids({ 'first-name': 'Bob' })).toEqual(['b']);
+    expect(await ids({ [`say"s.it's`]: { $gte: 1 } }, [{ [`say"s.it's`]: 'asc' }])).toEqual(['b', 'a']);
+    expect(await ids({ 'say"s': { $exists: false } })).toEqual(['c']);
+  });
+
+  it('should key documents by a composite primary key', async () => {
+    // Arrange
+    const people = await getRxStorageSQLite({ instrumentation }).createStorageInstance<any>({
+      databaseName,
+      collectionName: 'people',
+      schema: {
+        ...schema,
+        primaryKey: { key: 'key', fields: ['last', 'first'], separator: '|' },
+        properties: {
+          key: { type: 'string', maxLength: 100 },
+          first: { type: 'string' },
+          last: { type: 'string' }
+        },
+        required: ['key', 'first', 'last']
+      },
+      options: {},
+      multiInstance: false,
+      devMode: false
+    } as any);
+    const person = (first: string, last: string, rev: string) =>
+      ({ key: `${last}|${first}`, first, last, _deleted: false, _rev: rev, _meta: { lwt: Date.now() }, _attachments: {} });
+    const ada = person('Ada', 'Lovelace', '1-a');
+
+    // Act
+    await people.bulkWrite([{ document: ada }, { document: person('Alan', 'Turing', '1-b') }], 'test');
+    const conflict: any = await people.bulkWrite([{ document: person('Ada', 'Lovelace', '1-x') }], 'test');
+    const found = await people.findDocumentsById(['Lovelace|Ada'], false);
+    const changed = await people.getChangedDocumentsSince(1);
+    await people.remove();
+
+    // Assert
+    expect(found).toEqual([ada]);
+    expect(conflict.error[0]).toMatchObject({ status: 409, documentId: 'Lovelace|Ada', documentInDb: { _rev: '1-a' } });
+    expect(changed.checkpoint.id).toBe('Lovelace|Ada');
+  });
+});
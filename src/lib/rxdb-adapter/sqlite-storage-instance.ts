@@ -14,7 +14,8 @@ import type {
   RxStorageCountResult,
   RxStorageInstance,
   RxStorageInstanceCreationParams,
-  RxStorageQueryResult
+  RxStorageQueryResult,
+  RxStorageWriteErrorConflict
 } from 'rxdb';
 
 import type {
@@ -25,8 +26,25 @@ import type {
 } from 'rxdb/dist/types/plugins/storage-sqlite/sqlite-types';
 
 import { Observable, Subject } from 'rxjs';
-import type { SQLiteDatabaseClass } from 'rxdb/dist/types/plugins/storage-sqlite/sqlite-types';
-import { getSQLiteQueryBuilderFromMangoQuery } from './enhanced-query-builder';
+import type Database from 'better-sqlite3';
+import { getJSONFieldExpression, getSQLiteQueryBuilderFromMangoQuery } from './enhanced-query-builder';
+import type { SQLitePooledInternals } from './sqlite-adapter';
+import { getPrimaryFieldOfPrimaryKey } from 'rxdb';
+import { toSQLiteError } from '../adapter/errors';
+import { quoteIdentifier } from '../utils/sqlite-utils';
+import { retryAsync } from '../adapter/retry';
+import { StatementCache } from '../adapter/statement-cache';
+import { MAX_BOUND_PARAMETERS } from '../adapter/bulk-insert';
+import { SQLiteInstrumentation, SQLiteSlowQueryCheck } from '../adapter/instrumentation';
+import { SQLiteExplainResult, explainQueryPlan } from '../adapter/query-plan';
+
+/**
+ * Name of the generated column an indexed field is read from. The prefix
+ * keeps fields named like the table's own columns (id, data, _meta) apart.
+ */
+function generatedColumnName(field: string): string {
+  return `idx_${field}`;
+}
 
 /**
  * RxDB SQLite Storage Instance
@@ -40,16 +58,23 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
   public readonly databaseName: string;
   public readonly collectionName: string;
   public readonly schema: RxJsonSchema<RxDocumentData<RxDocType>>;
-  public readonly internals: SQLiteInternals;
+  public readonly internals: SQLitePooledInternals;
   public readonly options: SQLiteInstanceCreationOptions;
 
   private readonly changeEventSubject = new Subject<EventBulk<RxStorageChangeEvent<RxDocType>, SQLiteChangesCheckpoint>>();
   private closed = false;
   private readonly tableName: string;
+  private readonly instrumentation: SQLiteInstrumentation;
+  private statements?: StatementCache;
+  // Field holding the primary value, which is stored in the id column
+  private readonly primaryPath: string;
+  // Columns queries read fields from, by field path: the id column for the
+  // primary key, and a generated column for each indexed field
+  private readonly fieldColumns: Record<string, string> = {};
 
   constructor(
     params: RxStorageInstanceCreationParams<RxDocType, SQLiteInstanceCreationOptions>,
-    internals: SQLiteInternals
+    internals: SQLitePooledInternals
   ) {
     this.databaseName = params.databaseName;
     this.collectionName = params.collectionName;
@@ -57,6 +82,19 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
     this.internals = internals;
     this.options = params.options || {};
     this.tableName = `${this.databaseName}_${this.collectionName}`;
+    this.instrumentation = internals.instrumentation ?? new SQLiteInstrumentation();
+    this.primaryPath = getPrimaryFieldOfPrimaryKey(this.schema.primaryKey);
+
+    // Fields stored in a column of their own are indexed there; any other
+    // indexed field gets a generated column over the JSON document
+    this.fieldColumns[this.primaryPath] = 'id';
+    for (const index of this.schema.indexes ?? []) {
+      for (const field of Array.isArray(index) ? index : [index]) {
+        this.fieldColumns[field] = field === this.primaryPath ? 'id'
+          : field === '_deleted' || field === '_rev' ? field
+          : quoteIdentifier(generatedColumnName(field));
+      }
+    }
   }
 
   /**
@@ -85,13 +123,42 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
 
     await this.runQuery(db, createTableQuery);
 
+    // Tables created before an index was added to the schema lack its column.
+    // Virtual columns can be added to a table that already has rows.
+    const existingColumns = (await this.allRows(db, {
+      query: `PRAGMA table_xinfo(${this.tableName})`,
+      params: [],
+      context: { method: 'initialize', data: { tableName: this.tableName } }
+    })).map(column => column.name);
+    for (const [field, column] of Object.entries(this.fieldColumns)) {
+      // Skip fields stored in the table's own columns
+      const name = generatedColumnName(field);
+      if (column !== quoteIdentifier(name) || existingColumns.includes(name)) {
+        continue;
+      }
+      await this.runQuery(db, {
+        query: `ALTER TABLE ${this.tableName} ADD COLUMN ${column} GENERATED ALWAYS AS (${getJSONFieldExpression(field)}) VIRTUAL`,
+        params: [],
+        context: { method: 'initialize', data: { tableName: this.tableName, field } }
+      });
+    }
+
     // Create indexes for better performance
     const createIndexQueries: SQLiteQueryWithParams[] = [
       {
         query: `CREATE INDEX IF NOT EXISTS idx_${this.tableName}_deleted ON ${this.tableName} (_deleted)`,
         params: [],
         context: { method: 'initialize', data: { tableName: this.tableName } }
-      }
+      },
+      ...(this.schema.indexes ?? []).map(index => {
+        const fields = Array.isArray(index) ? index : [index];
+        const name = `idx_${this.tableName}_${fields.join('_').replace(/\W/g, '_')}`;
+        return {
+          query: `CREATE INDEX IF NOT EXISTS "${name}" ON ${this.tableName} (${fields.map(field => this.fieldColumns[field]).join(', ')})`,
+          params: [],
+          context: { method: 'initialize', data: { tableName: this.tableName, index: fields } }
+        };
+      })
     ];
 
     for (const indexQuery of createIndexQueries) {
@@ -99,24 +166,64 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
     }
   }
 
+  /**
+   * Connection for a read: a read-only connection from the pool if it has any,
+   * otherwise the shared connection
+   */
+  private async getReadDatabase(): Promise<Database.Database> {
+    const db = await this.internals.databasePromise;
+    return this.internals.pool ? this.internals.pool.reader() : db;
+  }
+
   /**
    * Helper method to run a query
    */
-  private async runQuery(db: SQLiteDatabaseClass, query: SQLiteQueryWithParams): Promise<void> {
-    try {
-      // Prepare the statement and run it with parameters
-      const stmt = db.prepare(query.query);
-      await stmt.run(query.params || []);
-    } catch (error) {
-      console.error('Error running query:', error);
-      console.error('Query:', query.query);
-      console.error('Params:', query.params);
-      throw error;
+  private async runQuery(db: Database.Database, query: SQLiteQueryWithParams): Promise<void> {
+    const { retry = {} } = this.internals;
+    await this.instrumentation.measureAsync('write', query.query, query.params, this.collectionName, async () => {
+      try {
+        // Inside a transaction only the whole transaction could be retried
+        await retryAsync(() => {
+          // Prepare the statement and run it with parameters
+          const stmt = db.prepare(query.query);
+          return stmt.run(query.params || []);
+        }, retry && !db.inTransaction ? retry : { retries: 0 });
+      } catch (error) {
+        throw toSQLiteError(error, {
+          table: this.tableName,
+          sql: query.query,
+          params: query.params,
+          context: query.context
+        });
+      }
+    }, this.slowQueryCheck(db, query.query, query.params));
+  }
+
+  /**
+   * How to explain a statement run on `db`, if slow queries are reported
+   */
+  private slowQueryCheck(db: Database.Database, sql: string, params: unknown[] = []): SQLiteSlowQueryCheck | undefined {
+    const { slowQueryThreshold } = this.internals;
+    if (slowQueryThreshold === undefined) {
+      return undefined;
     }
+    return { threshold: slowQueryThreshold, explain: () => explainQueryPlan(db, sql, params) };
+  }
+
+  /**
+   * Helper method to read rows
+   */
+  private async allRows(db: Database.Database, query: SQLiteQueryWithParams): Promise<any[]> {
+    return this.instrumentation.measure('query', query.query, query.params, this.collectionName, () =>
+      db.prepare(query.query).all(query.params || []),
+      this.slowQueryCheck(db, query.query, query.params)
+    );
   }
 
   /**
-   * Writes multiple documents to the storage instance
+   * Writes multiple documents to the storage instance in one transaction.
+   * The stored revisions are read with one query, every write runs through a
+   * cached statement, and the changes are emitted as one event bulk.
    */
   async bulkWrite(
     documentWrites: BulkWriteRow<RxDocType>[],
@@ -127,97 +234,24 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
     }
 
     const db = await this.internals.databasePromise;
-    const response: RxStorageBulkWriteResponse<RxDocType> = {
-      success: [],
-      error: []
-    };
-
-    // Process each document write
-    for (const writeRow of documentWrites) {
-      try {
-        const document = writeRow.document;
-        const id = document.id as string;
-
-        // Check if document exists and handle conflicts
-        const existingDoc = await this.findDocumentsById([id], true);
-        const exists = existingDoc.length > 0;
-
-        if (exists && writeRow.previous && existingDoc[0]._rev !== writeRow.previous._rev) {
-          // Conflict - document has been modified
-          response.error.push({
-            documentId: id,
-            error: new Error(`Conflict: Document with id ${id} has been modified`)
-          });
-          continue;
-        }
-
-        // Prepare document data
-        const documentJson = JSON.stringify(document);
-
-        if (exists) {
-          // Update existing document
-          const updateQuery: SQLiteQueryWithParams = {
-            query: `
-              UPDATE ${this.tableName}
-              SET data = ?, _deleted = ?, _rev = ?, _meta = ?
-              WHERE id = ?
-            `,
-            params: [
-              documentJson,
-              document._deleted ? 1 : 0,
-              document._rev,
-              document._meta ? JSON.stringify(document._meta) : null,
-              id
-            ],
-            context: { method: 'bulkWrite', data: { id } }
-          };
-
-          await this.runQuery(db, updateQuery);
-        } else {
-          // Insert new document
-          const insertQuery: SQLiteQueryWithParams = {
-            query: `
-              INSERT INTO ${this.tableName} (id, data, _deleted, _rev, _meta)
-              VALUES (?, ?, ?, ?, ?)
-            `,
-            params: [
-              id,
-              documentJson,
-              document._deleted ? 1 : 0,
-              document._rev,
-              document._meta ? JSON.stringify(document._meta) : null
-            ],
-            context: { method: 'bulkWrite', data: { id } }
-          };
-
-          await this.runQuery(db, insertQuery);
-        }
-
-        // Add to success
-        response.success.push(document);
-      } catch (error) {
-        // Add to error
-        response.error.push({
-          documentId: writeRow.document.id as string,
-          error: error as Error
-        });
-      }
+    const { retry = {} } = this.internals;
+    let response: RxStorageBulkWriteResponse<RxDocType>;
+    let changeEvents: RxStorageChangeEvent<RxDocType>[];
+    try {
+      // A busy transaction is retried as a whole, so each attempt starts afresh
+      await retryAsync(() => {
+        response = { error: [] };
+        changeEvents = db.transaction(() => this.applyWrites(db, documentWrites, context, response))();
+      }, retry && !db.inTransaction ? retry : { retries: 0 });
+    } catch (error) {
+      throw toSQLiteError(error, { table: this.tableName, context: { method: 'bulkWrite' } });
     }
 
-    // Emit change events for successful writes
-    if (response.success.length > 0) {
-      const changeEvents: RxStorageChangeEvent<RxDocType>[] = response.success.map(doc => ({
-        documentId: doc.id as string,
-        documentData: doc,
-        operation: doc._deleted ? 'DELETE' : 'INSERT',
-        previousDocumentData: null,
-        isLocal: context.startsWith('local-')
-      }));
-
+    if (changeEvents!.length > 0) {
       const eventBulk: EventBulk<RxStorageChangeEvent<RxDocType>, SQLiteChangesCheckpoint> = {
-        events: changeEvents,
+        events: changeEvents!,
         checkpoint: {
-          id: changeEvents[changeEvents.length - 1].documentId,
+          id: changeEvents![changeEvents!.length - 1].documentId,
           lwt: Date.now()
         },
         context
@@ -226,7 +260,137 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
       this.changeEventSubject.next(eventBulk);
     }
 
-    return response;
+    return response!;
+  }
+
+  /**
+   * Apply the writes of a bulkWrite inside its transaction, returning the
+   * change events for the ones that succeeded
+   */
+  private applyWrites(
+    db: Database.Database,
+    documentWrites: BulkWriteRow<RxDocType>[],
+    context: string,
+    response: RxStorageBulkWriteResponse<RxDocType>
+  ): RxStorageChangeEvent<RxDocType>[] {
+    const revisions = this.readRevisions(db, documentWrites.map(writeRow => this.primaryValue(writeRow.document)));
+    const changeEvents: RxStorageChangeEvent<RxDocType>[] = [];
+
+    for (const writeRow of documentWrites) {
+      const document = writeRow.document;
+      const id = this.primaryValue(document);
+      const currentRev = revisions.get(id);
+      const exists = currentRev !== undefined;
+
+      // As in RxDB, a write conflicts unless it names the stored revision as
+      // its previous state; writes without one may only insert
+      if (exists && currentRev !== writeRow.previous?._rev) {
+        const conflict: RxStorageWriteErrorConflict<RxDocType> = {
+          status: 409,
+          isError: true,
+          documentId: id,
+          writeRow,
+          documentInDb: this.readStoredDocument(db, id)
+        };
+        response.error.push(conflict);
+        continue;
+      }
+
+      const values = [
+        JSON.stringify(document),
+        document._deleted ? 1 : 0,
+        document._rev,
+        document._meta ? JSON.stringify(document._meta) : null
+      ];
+      // A failing statement throws out of the transaction, so the whole write
+      // is rolled back: RxDB has no per-document error for it
+      if (exists) {
+        this.runCached(db, `UPDATE ${this.tableName} SET data = ?, _deleted = ?, _rev = ?, _meta = ? WHERE id = ?`, [...values, id], id);
+      } else {
+        this.runCached(db, `INSERT INTO ${this.tableName} (data, _deleted, _rev, _meta, id) VALUES (?, ?, ?, ?, ?)`, [...values, id], id);
+      }
+
+      // Later writes of the same document in this bulk see this revision
+      revisions.set(id, document._rev);
+      const operation: RxStorageChangeEvent<RxDocType>['operation'] = document._deleted ? 'DELETE' : exists ? 'UPDATE' : 'INSERT';
+      const changeEvent = {
+        documentId: id,
+        documentData: document,
+        operation,
+        previousDocumentData: writeRow.previous,
+        isLocal: context.startsWith('local-')
+      };
+      changeEvents.push(changeEvent);
+    }
+
+    return changeEvents;
+  }
+
+  /**
+   * The primary value of a document
+   */
+  private primaryValue(document: object): string {
+    return (document as Record<string, string>)[this.primaryPath];
+  }
+
+  /**
+   * The stored revision of each of these documents that exists, by id
+   */
+  private readRevisions(db: Database.Database, ids: string[]): Map<string, string> {
+    const revisions = new Map<string, string>();
+    const unique = Array.from(new Set(ids));
+    // One query, unless there are more ids than a statement may bind
+    for (let start = 0; start < unique.length; start += MAX_BOUND_PARAMETERS) {
+      const chunk = unique.slice(start, start + MAX_BOUND_PARAMETERS);
+      const query = `SELECT id, _rev FROM ${this.tableName} WHERE id IN (${chunk.map(() => '?').join(',')})`;
+      const rows = this.instrumentation.measure('query', query, chunk, this.collectionName, () =>
+        db.prepare(query).all(chunk),
+        this.slowQueryCheck(db, query, chunk)
+      ) as { id: string; _rev: string }[];
+      for (const row of rows) {
+        revisions.set(row.id, row._rev);
+      }
+    }
+    return revisions;
+  }
+
+  /**
+   * Prepared bulkWrite statements, created on the first write
+   */
+  private statementCache(db: Database.Database): StatementCache {
+    return this.statements ??= new StatementCache(db);
+  }
+
+  /**
+   * The stored state of a document, read inside the bulkWrite transaction
+   */
+  private readStoredDocument(db: Database.Database, id: string): RxStorageWriteErrorConflict<RxDocType>['documentInDb'] {
+    const query = `SELECT data FROM ${this.tableName} WHERE id = ?`;
+    const row = this.instrumentation.measure('query', query, [id], this.collectionName, () =>
+      this.statementCache(db).run(query, statement => statement.get([id]), db),
+      this.slowQueryCheck(db, query, [id])
+    ) as { data: string };
+    return JSON.parse(row.data);
+  }
+
+  /**
+   * Run a write with a statement from the instance's statement cache
+   */
+  private runCached(db: Database.Database, sql: string, params: unknown[], id: string): void {
+    const statements = this.statementCache(db);
+    try {
+      this.instrumentation.measure('write', sql, params, this.collectionName, () =>
+        statements.run(sql, statement => statement.run(params), db),
+        this.slowQueryCheck(db, sql, params)
+      );
+    } catch (error) {
+      throw toSQLiteError(error, {
+        table: this.tableName,
+        sql,
+        params,
+        context: { method: 'bulkWrite', data: { id } }
+      });
+    }
   }
 
   /**
@@ -244,7 +408,7 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
       return [];
     }
 
-    const db = await this.internals.databasePromise;
+    const db = await this.getReadDatabase();
 
     // Build placeholders for the IN clause
     const placeholders = ids.map(() => '?').join(',');
@@ -268,8 +432,7 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
     };
 
     // Execute the query
-    const stmt = db.prepare(queryWithParams.query);
-    const rows = await stmt.all(queryWithParams.params || []);
+    const rows = await this.allRows(db, queryWithParams);
 
     // Parse the results
     return rows.map(row => {
@@ -288,12 +451,14 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
       throw new Error('Storage instance is closed');
     }
 
-    const db = await this.internals.databasePromise;
+    const db = await this.getReadDatabase();
 
     // Build the query
     const { query, params } = getSQLiteQueryBuilderFromMangoQuery(
       preparedQuery.query,
-      this.tableName
+      this.tableName,
+      false,
+      { layout: 'json', columns: this.fieldColumns }
     );
 
     const queryWithParams: SQLiteQueryWithParams = {
@@ -303,14 +468,12 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
     };
 
     // Execute the query
-    const stmt = db.prepare(queryWithParams.query);
-    const rows = await stmt.all(queryWithParams.params || []);
+    const rows = await this.allRows(db, queryWithParams);
 
     // Parse the results
-    const documents = rows.map(row => {
-      const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
-      return data as RxDocumentData<RxDocType>;
-    });
+    const documents: RxStorageQueryResult<RxDocType>['documents'] = rows.map(row =>
+      typeof row.data === 'string' ? JSON.parse(row.data) : row.data
+    );
 
     return {
       documents
@@ -327,13 +490,14 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
       throw new Error('Storage instance is closed');
     }
 
-    const db = await this.internals.databasePromise;
+    const db = await this.getReadDatabase();
 
     // Build the query but modify it to be a COUNT query
     const { query, params } = getSQLiteQueryBuilderFromMangoQuery(
       preparedQuery.query,
       this.tableName,
-      true
+      true,
+      { layout: 'json', columns: this.fieldColumns }
     );
 
     const queryWithParams: SQLiteQueryWithParams = {
@@ -343,8 +507,7 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
     };
 
     // Execute the query
-    const stmt = db.prepare(queryWithParams.query);
-    const rows = await stmt.all(queryWithParams.params || []);
+    const rows = await this.allRows(db, queryWithParams);
 
     // Parse the result
     const count = rows[0]?.count || 0;
@@ -355,6 +518,28 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
     };
   }
 
+  /**
+   * The SQL a query compiles to and its EXPLAIN QUERY PLAN, without running it.
+   * `plan.fullScans` lists the tables it would read in full.
+   */
+  async explain(
+    preparedQuery: PreparedQuery<RxDocType>
+  ): Promise<SQLiteExplainResult> {
+    if (this.closed) {
+      throw new Error('Storage instance is closed');
+    }
+
+    const db = await this.getReadDatabase();
+    const { query, params } = getSQLiteQueryBuilderFromMangoQuery(
+      preparedQuery.query,
+      this.tableName,
+      false,
+      { layout: 'json', columns: this.fieldColumns }
+    );
+
+    return { sql: query, params, plan: explainQueryPlan(db, query, params) };
+  }
+
   /**
    * Get attachment data
    */
@@ -406,7 +591,7 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
       throw new Error('Storage instance is closed');
     }
 
-    const db = await this.internals.databasePromise;
+    const db = await this.getReadDatabase();
 
     // Build the query
     let query = `
@@ -433,8 +618,7 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
     };
 
     // Execute the query
-    const stmt = db.prepare(queryWithParams.query);
-    const rows = await stmt.all(queryWithParams.params || []);
+    const rows = await this.allRows(db, queryWithParams);
 
     // Parse the results
     const documents = rows.map(row => {
@@ -445,7 +629,7 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
     // Create a new checkpoint
     const newCheckpoint: SQLiteChangesCheckpoint = documents.length > 0
       ? {
-          id: documents[documents.length - 1].id as string,
+          id: rows[rows.length - 1].id as string,
           lwt: Date.now()
         }
       : checkpoint || { id: '', lwt: Date.now() };
@@ -490,8 +674,7 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
     };
 
     // Execute the query
-    const stmt = db.prepare(findQuery.query);
-    const rows = await stmt.all(findQuery.params || []);
+    const rows = await this.allRows(db, findQuery);
 
     if (rows.length === 0) {
       // No documents to clean up
@@ -526,6 +709,7 @@ export class RxStorageInstanceSQLite<RxDocType> implements RxStorageInstance<
     }
 
     this.closed = true;
+    this.statements?.clear();
     this.changeEventSubject.complete();
   }
 
@@ -1,6 +1,9 @@
 /**
  * Types for the RxJS SQLite adapter
  */
+import type { SQLiteQueryBuilder, SQLiteTableColumns, SQLiteTableDefinition, SQLiteTableRow } from './adapter/query-builder';
+import type { SQLiteColumnCodecs } from './utils/codecs';
+import type { SQLFragment } from './utils/sql';
 
 export type SQLiteValue = string | number | boolean | null | Buffer;
 
@@ -8,45 +11,221 @@ export interface SQLiteRow {
   [key: string]: SQLiteValue;
 }
 
+/**
+ * A value better-sqlite3 can bind
+ */
+export type SQLiteBindValue = SQLiteValue | bigint;
+
+export type SQLiteBindParams = SQLiteBindValue[] | Record<string, SQLiteBindValue>;
+
+/**
+ * A parameter as passed to a query: Dates, arrays and plain objects are
+ * encoded before binding (see SQLiteQueryOptions.codecs)
+ */
+export type SQLiteParam = SQLiteBindValue | Date | unknown[] | { [key: string]: unknown };
+
 export interface SQLiteQueryOptions {
-  params?: SQLiteValue[] | Record<string, SQLiteValue>;
+  params?: SQLiteParam[] | Record<string, SQLiteParam>;
+
+  /**
+   * How to decode result columns, by name: 'json', 'boolean', 'date', 'bigint',
+   * a codec with decode/encode, or a decode function. Named parameters with
+   * the same name are encoded by the codec in reverse.
+   */
+  codecs?: SQLiteColumnCodecs;
 }
 
-export interface SQLiteTransaction {
+export interface SQLiteStreamOptions extends SQLiteQueryOptions {
+  /**
+   * Emit arrays of up to this many rows instead of one row at a time
+   */
+  batchSize?: number;
+}
+
+export interface SQLiteReactiveQueryOptions<T = SQLiteRow> extends SQLiteQueryOptions {
+  /**
+   * Tables the query depends on. When omitted they are parsed from the SQL;
+   * declare them for statements the parser can't follow. Views count as the
+   * tables they read.
+   */
+  tables?: string[];
+
+  /**
+   * Decides whether two result sets are the same; identical results are not
+   * emitted again. Defaults to a row-by-row, column-by-column comparison.
+   */
+  comparator?: (previous: T[], current: T[]) => boolean;
+}
+
+/**
+ * The difference between two result sets, keyed by a column
+ */
+export interface SQLiteRowDiff<T> {
+  added: T[];
+  removed: T[];
+  changed: T[];
+}
+
+export interface SQLiteReactiveDiffOptions<T = SQLiteRow> extends SQLiteReactiveQueryOptions<T> {
+  /**
+   * Column that identifies a row across result sets
+   */
+  key: keyof T & string;
+}
+
+/**
+ * Outcome of a statement that doesn't return rows
+ */
+export interface SQLiteRunResult {
+  changes: number;
+  lastInsertRowid: number | bigint;
+}
+
+export type SQLiteChangeOperation = 'INSERT' | 'UPDATE' | 'DELETE';
+
+/**
+ * A row-level change captured by the change triggers
+ */
+export interface SQLiteChangeEvent {
+  /** Table the row belongs to */
+  table: string;
+  /** The kind of write */
+  op: SQLiteChangeOperation;
+  /** The rowid of the row, or null for WITHOUT ROWID tables */
+  rowid: number | bigint | null;
+  /**
+   * The primary key of the row: a single value, an array for composite keys,
+   * or the rowid when the table has no declared primary key
+   */
+  pk: SQLiteValue | bigint | SQLiteValue[];
+}
+
+/**
+ * Statements buffered to run in one transaction on commit()
+ */
+export interface SQLiteBatchTransaction {
   execute(sql: string, params?: SQLiteValue[] | Record<string, SQLiteValue>): void;
-  query<T = SQLiteRow>(sql: string, params?: SQLiteValue[] | Record<string, SQLiteValue>): T[];
   commit(): void;
   rollback(): void;
 }
 
-export interface SQLiteAdapter {
+export interface SQLiteTransaction extends SQLiteBatchTransaction {
+  query<T = SQLiteRow>(sql: string, params?: SQLiteValue[] | Record<string, SQLiteValue>): T[];
+}
+
+/**
+ * The handle passed to adapter.transaction(tx => ...).
+ * Everything runs inside the open transaction, so reads see its pending writes.
+ */
+export interface SQLiteTransactionContext {
+  execute(sql: string | SQLFragment, options?: SQLiteQueryOptions): void;
+  /**
+   * Execute a script of one or more SQL statements without parameters
+   */
+  exec(sql: string): void;
+  query<T = SQLiteRow>(sql: string | SQLFragment, options?: SQLiteQueryOptions): T[];
+  queryOne<T = SQLiteRow>(sql: string | SQLFragment, options?: SQLiteQueryOptions): T | undefined;
+
+  /**
+   * Run part of the transaction in a savepoint; if the callback throws,
+   * only the savepoint is rolled back and the error is rethrown
+   */
+  savepoint<R>(fn: (tx: SQLiteTransactionContext) => R): R;
+}
+
+/**
+ * A column of `T`, bare or qualified with a table name
+ */
+export type SQLiteColumnReference<T> = Extract<keyof T, string> | `${string}.${Extract<keyof T, string>}`;
+
+/**
+ * The part of SQLiteAdapter that doesn't need the database on the caller's
+ * thread. WorkerSQLiteAdapter implements this; BetterSQLiteAdapter all of SQLiteAdapter.
+ */
+export interface SQLiteAsyncAdapter {
   /**
    * Execute a SQL statement that doesn't return data
    */
-  execute(sql: string, options?: SQLiteQueryOptions): void;
-  
+  execute(sql: string | SQLFragment, options?: SQLiteQueryOptions): void;
+
+  /**
+   * Execute a script of one or more SQL statements without parameters
+   */
+  exec(sql: string): void;
+
   /**
    * Execute a SQL query and return the results as an Observable
    */
-  query<T = SQLiteRow>(sql: string, options?: SQLiteQueryOptions): import('rxjs').Observable<T[]>;
+  query<T = SQLiteRow>(sql: string | SQLFragment, options?: SQLiteQueryOptions): import('rxjs').Observable<T[]>;
   
   /**
    * Execute a SQL query and return a single result as an Observable
    */
-  queryOne<T = SQLiteRow>(sql: string, options?: SQLiteQueryOptions): import('rxjs').Observable<T | undefined>;
+  queryOne<T = SQLiteRow>(sql: string | SQLFragment, options?: SQLiteQueryOptions): import('rxjs').Observable<T | undefined>;
   
   /**
-   * Start a transaction
+   * Stream the rows of a query without loading the whole result into memory.
+   * Rows are read from the cursor only as they are emitted, and the cursor is
+   * closed as soon as the subscriber unsubscribes.
    */
-  transaction(): SQLiteTransaction;
-  
+  queryStream<T = SQLiteRow>(
+    sql: string | SQLFragment,
+    options: SQLiteStreamOptions & { batchSize: number }
+  ): import('rxjs').Observable<T[]>;
+  queryStream<T = SQLiteRow>(sql: string | SQLFragment, options?: SQLiteQueryOptions): import('rxjs').Observable<T>;
+
   /**
-   * Create a reactive query that emits new results when the underlying data changes
+   * Start a buffered transaction; statements run when commit() is called
    */
-  reactiveQuery<T = SQLiteRow>(sql: string, options?: SQLiteQueryOptions): import('rxjs').Observable<T[]>;
+  transaction(): SQLiteBatchTransaction;
+
+  /**
+   * Create a reactive query that emits the current results on subscribe,
+   * then again whenever the underlying data changes the results
+   */
+  reactiveQuery<T = SQLiteRow>(sql: string | SQLFragment, options?: SQLiteReactiveQueryOptions<T>): import('rxjs').Observable<T[]>;
+
+  /**
+   * Create a reactive query that emits the rows added, removed and changed
+   * since the previous result. The first emission reports every row as added.
+   */
+  reactiveDiff<T = SQLiteRow>(
+    sql: string | SQLFragment,
+    options: SQLiteReactiveDiffOptions<T>
+  ): import('rxjs').Observable<SQLiteRowDiff<T>>;
+
+  /**
+   * Start a fluent SELECT on a table. Pass a table definition (see defineTable)
+   * to get typed rows and column names.
+   */
+  from<Table extends SQLiteTableDefinition>(table: Table): SQLiteQueryBuilder<SQLiteTableRow<Table>, SQLiteTableColumns<Table>>;
+  from<T = SQLiteRow>(table: string): SQLiteQueryBuilder<T, SQLiteColumnReference<T>>;
+
+  /**
+   * Row-level change events for every write, emitted once the write has completed
+   */
+  readonly changes$: import('rxjs').Observable<SQLiteChangeEvent>;
   
   /**
    * Close the database connection
    */
   close(): void;
 }
+
+/**
+ * An adapter with the database on the caller's thread, which can also read
+ * inside transactions
+ */
+export interface SQLiteAdapter extends SQLiteAsyncAdapter {
+  /**
+   * Start a buffered transaction; statements run when commit() is called
+   */
+  transaction(): SQLiteTransaction;
+
+  /**
+   * Run a synchronous callback inside a real transaction. It commits when the
+   * callback returns and rolls back if it throws. Change notifications are
+   * sent once, after the commit.
+   */
+  transaction<R>(fn: (tx: SQLiteTransactionContext) => R): R;
+}
@@ -0,0 +1,102 @@
+/**
+ * Tests for column codecs
+ */
+import { describe, it, expect } from 'vitest';
+import { decodeValue, encodeParams, encodeValue, usesBigInt } from './codecs';
+import { rowToObject, rowsEqual } from './sqlite-utils';
+import { sql } from './sql';
+
+describe('Column codecs', () => {
+  it('should decode columns with the built-in codecs', () => {
+    // Arrange
+    const row = {
+      tags: '["a","b"]',
+      active: 1,
+      archived: 0,
+      createdAt: '2024-05-01T10:00:00.000Z',
+      updatedAt: 1714557600000,
+      big: 9007199254740993n,
+      note: null,
+      count: 3n
+    };
+
+    // Act
+    const result = rowToObject(row, {
+      tags: 'json',
+      active: 'boolean',
+      archived: 'boolean',
+      createdAt: 'date',
+      updatedAt: 'date',
+      big: 'bigint',
+      note: 'json'
+    });
+
+    // Assert
+    expect(result).toEqual({
+      tags: ['a', 'b'],
+      active: true,
+      archived: false,
+      createdAt: new Date('2024-05-01T10:00:00.000Z'),
+      updatedAt: new Date(1714557600000),
+      big: 9007199254740993n,
+      note: null,
+      // Columns without a codec get numbers back even when integers were read as bigints
+      count: 3
+    });
+  });
+
+  it('should decode with custom codecs and functions', () => {
+    // Arrange
+    const upper = (value: unknown) => String(value).toUpperCase();
+    const cents = { decode: (value: unknown) => Number(value) / 100, encode: (value: number) => Math.round(value * 100) };
+
+    // Act & Assert
+    expect(decodeValue('abc', upper)).toBe('ABC');
+    expect(decodeValue(1999, cents)).toBe(19.99);
+    expect(encodeValue(19.99, cents)).toBe(1999);
+    // A decode function doesn't encode
+    expect(encodeValue('abc', upper)).toBe('abc');
+    expect(() => decodeValue(1, 'uuid' as 'json')).toThrow(/Unknown column codec: uuid/);
+  });
+
+  it('should encode rich parameters', () => {
+    // Arrange
+    const date = new Date('2024-05-01T10:00:00.000Z');
+    const blob = Buffer.from([1, 2]);
+
+    // Act
+    const positional = encodeParams([true, date, { a: 1 }, [1, 2], 5n, blob, null]);
+    const named = encodeParams({ meta: 'text', flag: false, at: date }, { meta: 'json', at: 'date' });
+    const fragment = sql`SELECT ${date}, ${false}`;
+
+    // Assert
+    expect(positional).toEqual([1, '2024-05-01T10:00:00.000Z', '{"a":1}', '[1,2]', 5n, blob, null]);
+    expect(named).toEqual({ meta: '"text"', flag: 0, at: '2024-05-01T10:00:00.000Z' });
+    expect(fragment.values).toEqual(['2024-05-01T10:00:00.000Z', 0]);
+  });
+
+  it('should tell when integers have to be read as bigints', () => {
+    // Act & Assert
+    expect(usesBigInt(undefined)).toBe(false);
+    expect(usesBigInt({ tags: 'json' })).toBe(false);
+    expect(usesBigInt({ id: 'bigint' })).toBe(true);
+  });
+
+  it('should name the column when a bigint is not an integer', () => {
+    // Act & Assert
+    expect(decodeValue('42', 'bigint')).toBe(42n);
+    expect(() => rowToObject({ id: 1.5 }, { id: 'bigint' })).toThrow('Cannot convert 1.5 to a bigint for column "id": it is not an integer');
+    expect(() => encodeParams({ id: 'abc' }, { id: 'bigint' })).toThrow(/"abc" to a bigint for column "id"/);
+    expect(() => encodeValue(2.5, 'bigint')).toThrow('Cannot convert 2.5 to a bigint: it is not an integer');
+  });
+
+  it('should compare decoded rows by value', () => {
+    // Act & Assert
+    expect(rowsEqual(
+      [{ at: new Date(1), tags: ['a'] }],
+      [{ at: new Date(1), tags: ['a'] }]
+    )).toBe(true);
+    expect(rowsEqual([{ at: new Date(1) }], [{ at: new Date(2) }])).toBe(false);
+    expect(rowsEqual([{ tags: ['a'] }], [{ tags: ['b'] }])).toBe(false);
+  });
+});
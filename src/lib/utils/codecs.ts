@@ -0,0 +1,149 @@
+/**
+ * Column codecs: turning stored values into rich JS values when reading rows,
+ * and back when binding parameters
+ */
+import type { SQLiteBindParams, SQLiteBindValue, SQLiteParam, SQLiteValue } from '../types';
+
+/**
+ * Decodes a column's stored value and, optionally, encodes parameters for it
+ */
+export interface SQLiteCodec<T = any> {
+  decode(value: SQLiteBindValue): T;
+  /** Without it, parameters are bound like any other value */
+  encode?(value: T): SQLiteBindValue;
+}
+
+/**
+ * The built-in codecs:
+ * - `json` parses TEXT and stores JSON.stringify output
+ * - `boolean` reads 0/1 and stores 1 or 0
+ * - `date` reads ISO strings or epoch milliseconds and stores ISO strings
+ * - `bigint` reads integers as bigints, without losing precision past 2^53
+ */
+export type SQLiteCodecName = 'json' | 'boolean' | 'date' | 'bigint';
+
+/**
+ * How to decode a column: a built-in codec by name, a codec, or a function that only decodes
+ */
+export type SQLiteColumnCodec = SQLiteCodecName | SQLiteCodec | ((value: SQLiteBindValue) => unknown);
+
+/**
+ * Codecs by column name (or named parameter)
+ */
+export type SQLiteColumnCodecs = Record<string, SQLiteColumnCodec>;
+
+const CODECS: Record<SQLiteCodecName, SQLiteCodec> = {
+  json: {
+    decode: value => typeof value === 'string' ? JSON.parse(value) : value,
+    encode: value => JSON.stringify(value)
+  },
+  boolean: {
+    decode: value => value === 'true' || (value !== 'false' && Number(value) !== 0),
+    encode: value => value ? 1 : 0
+  },
+  date: {
+    decode: value => new Date(typeof value === 'bigint' ? Number(value) : value as string | number),
+    encode: value => value instanceof Date ? value.toISOString() : value
+  },
+  bigint: {
+    decode: value => toBigInt(value),
+    encode: value => toBigInt(value)
+  }
+};
+
+/**
+ * Convert an integer (a number, bigint or string of digits) to a bigint.
+ * Anything else throws, naming the column when it is known.
+ */
+function toBigInt(value: unknown, column?: string): bigint {
+  if (
+    typeof value === 'bigint' ||
+    (typeof value === 'number' && Number.isInteger(value)) ||
+    (typeof value === 'string' && /^\s*[-+]?\d+\s*$/.test(value))
+  ) {
+    return BigInt(value);
+  }
+  const target = column === undefined ? 'a bigint' : `a bigint for column "${column}"`;
+  throw new Error(`Cannot convert ${typeof value === 'string' ? JSON.stringify(value) : String(value)} to ${target}: it is not an integer`);
+}
+
+function resolveCodec(codec: SQLiteColumnCodec): SQLiteCodec {
+  if (typeof codec === 'function') {
+    return { decode: codec };
+  }
+  if (typeof codec === 'string') {
+    if (!(codec in CODECS)) {
+      throw new Error(`Unknown column codec: ${codec}`);
+    }
+    return CODECS[codec];
+  }
+  return codec;
+}
+
+/**
+ * Whether integers have to be read as bigints, because a column is decoded as one
+ */
+export function usesBigInt(codecs: SQLiteColumnCodecs | undefined): boolean {
+  return codecs !== undefined && Object.values(codecs).includes('bigint');
+}
+
+/**
+ * Decode one stored value of `column`; NULL stays null
+ */
+export function decodeValue(value: unknown, codec: SQLiteColumnCodec | undefined, column?: string): unknown {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (codec === 'bigint') {
+    return toBigInt(value, column);
+  }
+  // Integers are only read as bigints for the columns that asked for them
+  const stored = typeof value === 'bigint' ? Number(value) : value as SQLiteValue;
+  return codec === undefined ? stored : resolveCodec(codec).decode(stored);
+}
+
+/**
+ * Turn a parameter for `column` (if known) into something better-sqlite3 can
+ * bind. Without a codec, booleans become 1/0, Dates ISO strings, and arrays
+ * and plain objects JSON.
+ */
+export function encodeValue(value: SQLiteParam | undefined, codec?: SQLiteColumnCodec, column?: string): SQLiteBindValue | undefined {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (codec === 'bigint') {
+    return toBigInt(value, column);
+  }
+  const encode = codec === undefined ? undefined : resolveCodec(codec).encode;
+  if (encode) {
+    return encode(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  // Buffers are Uint8Arrays, and bound as BLOBs
+  if (typeof value === 'object' && !(value instanceof Uint8Array)) {
+    return JSON.stringify(value);
+  }
+  return value as SQLiteBindValue;
+}
+
+/**
+ * Encode positional or named parameters; named ones use the codec of the same name
+ */
+export function encodeParams(
+  params: SQLiteParam[] | Record<string, SQLiteParam>,
+  codecs: SQLiteColumnCodecs = {}
+): SQLiteBindParams {
+  if (Array.isArray(params)) {
+    return params.map(value => encodeValue(value) as SQLiteBindValue);
+  }
+  const encoded: Record<string, SQLiteBindValue> = {};
+  for (const key of Object.keys(params)) {
+    encoded[key] = encodeValue(params[key], codecs[key], key) as SQLiteBindValue;
+  }
+  return encoded;
+}
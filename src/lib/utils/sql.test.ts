@@ -0,0 +1,83 @@
+/**
+ * Tests for the sql tagged template
+ */
+import { describe, it, expect } from 'vitest';
+import { SQLFragment, resolveQuery, sql } from './sql';
+
+describe('sql', () => {
+  it('should bind interpolated values as parameters', () => {
+    // Arrange
+    const name = "Robert'); DROP TABLE users; --";
+
+    // Act
+    const query = sql`SELECT * FROM users WHERE name = ${name} AND age > ${30}`;
+
+    // Assert
+    expect(query.text).toBe('SELECT * FROM users WHERE name = ? AND age > ?');
+    expect(query.values).toEqual([name, 30]);
+  });
+
+  it('should quote identifiers', () => {
+    // Act
+    const query = sql`SELECT ${sql.id('first "name"')} FROM ${sql.id('main', 'users')}`;
+
+    // Assert
+    expect(query.text).toBe('SELECT "first ""name""" FROM "main"."users"');
+    expect(query.values).toEqual([]);
+  });
+
+  it('should expand arrays into lists of parameters', () => {
+    // Act
+    const query = sql`SELECT * FROM users WHERE id IN (${[1, 2, 3]})`;
+
+    // Assert
+    expect(query.text).toBe('SELECT * FROM users WHERE id IN (?, ?, ?)');
+    expect(query.values).toEqual([1, 2, 3]);
+  });
+
+  it('should compose fragments in order', () => {
+    // Arrange
+    const conditions = [sql`age > ${18}`, sql`name LIKE ${'A%'}`];
+
+    // Act
+    const query = sql`SELECT * FROM users WHERE ${sql.join(conditions, ' AND ')} LIMIT ${10}`;
+
+    // Assert
+    expect(query.text).toBe('SELECT * FROM users WHERE age > ? AND name LIKE ? LIMIT ?');
+    expect(query.values).toEqual([18, 'A%', 10]);
+  });
+
+  it('should join with a fragment separator and splice raw SQL', () => {
+    // Arrange
+    const columns = ['id', 'name'].map(column => sql.id(column));
+
+    // Act
+    const query = sql`SELECT ${sql.join(columns)} FROM users ORDER BY ${sql.raw('id DESC')}`;
+    const values = sql.join([1, 2], sql` OR id = `);
+
+    // Assert
+    expect(query.text).toBe('SELECT "id", "name" FROM users ORDER BY id DESC');
+    expect(values.text).toBe('? OR id = ?');
+    expect(values.values).toEqual([1, 2]);
+  });
+
+  it('should bind booleans as integers and refuse undefined', () => {
+    // Act
+    const query = sql`UPDATE users SET active = ${true}, admin = ${false}`;
+
+    // Assert
+    expect(query.values).toEqual([1, 0]);
+    expect(() => sql`SELECT ${undefined as unknown as null}`).toThrow(/Cannot bind undefined/);
+  });
+
+  it('should refuse parameters given alongside a fragment', () => {
+    // Arrange
+    const query = sql`SELECT ${1}`;
+
+    // Act & Assert
+    expect(resolveQuery(query)).toEqual({ sql: 'SELECT ?', params: [1] });
+    expect(resolveQuery('SELECT ?', { params: [1] })).toEqual({ sql: 'SELECT ?', params: [1] });
+    expect(() => resolveQuery(query, { params: [2] })).toThrow(/do not pass options.params/);
+    expect(query).toBeInstanceOf(SQLFragment);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tagged-template SQL builder: interpolated values become bound parameters
+ */
+import type { SQLiteBindParams, SQLiteBindValue, SQLiteQueryOptions, SQLiteValue } from '../types';
+import { encodeParams, encodeValue } from './codecs';
+import { quoteIdentifier } from './sqlite-utils';
+
+/**
+ * A piece of SQL text with the values bound to its `?` placeholders
+ */
+export class SQLFragment {
+  constructor(
+    public readonly text: string,
+    public readonly values: SQLiteBindValue[] = []
+  ) {}
+}
+
+/**
+ * Anything that can be interpolated into `sql`: values are bound, fragments
+ * are spliced in, and arrays become comma-separated lists of either
+ */
+export type SQLInterpolation = SQLiteValue | bigint | Date | SQLFragment | SQLInterpolation[];
+
+/**
+ * Turn one interpolated value into SQL text, collecting its parameters
+ */
+function append(value: SQLInterpolation, values: SQLiteBindValue[]): string {
+  if (value instanceof SQLFragment) {
+    values.push(...value.values);
+    return value.text;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => append(item, values)).join(', ');
+  }
+  if (value === undefined) {
+    throw new Error('Cannot bind undefined in a sql template; use null');
+  }
+  // better-sqlite3 doesn't bind booleans or Dates
+  values.push(encodeValue(value) as SQLiteBindValue);
+  return '?';
+}
+
+/**
+ * Build a parameterized statement:
+ *
+ *   sql`SELECT * FROM ${sql.id(table)} WHERE id IN (${ids}) AND active = ${true}`
+ *
+ * Interpolated values are never spliced into the SQL text; use `sql.id` for
+ * table and column names and `sql.raw` for trusted SQL.
+ */
+export function sql(strings: TemplateStringsArray, ...interpolations: SQLInterpolation[]): SQLFragment {
+  const values: SQLiteBindValue[] = [];
+  let text = strings[0];
+  for (let i = 0; i < interpolations.length; i++) {
+    text += append(interpolations[i], values) + strings[i + 1];
+  }
+  return new SQLFragment(text, values);
+}
+
+/**
+ * A quoted identifier; several names are joined with dots (`sql.id('main', 'users')`)
+ */
+sql.id = (...names: string[]): SQLFragment => {
+  if (names.length === 0) {
+    throw new Error('sql.id needs at least one name');
+  }
+  return new SQLFragment(names.map(quoteIdentifier).join('.'));
+};
+
+/**
+ * Trusted SQL text, inserted as-is
+ */
+sql.raw = (text: string): SQLFragment => new SQLFragment(text);
+
+/**
+ * Join values or fragments with a separator (", " by default)
+ */
+sql.join = (items: SQLInterpolation[], separator: string | SQLFragment = ', '): SQLFragment => {
+  const glue = typeof separator === 'string' ? new SQLFragment(separator) : separator;
+  const values: SQLiteBindValue[] = [];
+  const text = items
+    .map((item, index) => (index > 0 ? append(glue, values) : '') + append(item, values))
+    .join('');
+  return new SQLFragment(text, values);
+};
+
+/**
+ * Whether a query is a `sql` fragment rather than a plain string
+ */
+export function isSQLFragment(query: unknown): query is SQLFragment {
+  return query instanceof SQLFragment;
+}
+
+/**
+ * Split a query into SQL text and bindable parameters. Fragments carry their
+ * own parameters, so passing `options.params` as well is an error.
+ */
+export function resolveQuery(
+  query: string | SQLFragment,
+  options: SQLiteQueryOptions = {}
+): { sql: string; params: SQLiteBindParams } {
+  if (query instanceof SQLFragment) {
+    if (options.params !== undefined) {
+      throw new Error('Parameters are taken from the sql template; do not pass options.params as well');
+    }
+    return { sql: query.text, params: query.values };
+  }
+  return { sql: query, params: encodeParams(options.params || [], options.codecs) };
+}
@@ -7,7 +7,12 @@ import {
   rowsToObjects, 
   createTableSchema, 
   createInsertStatement, 
-  createUpdateStatement 
+  createUpdateStatement,
+  getReadTables,
+  resolveViews,
+  createChangeTriggerStatements,
+  diffRows,
+  rowsEqual
 } from './sqlite-utils';
 
 describe('SQLite Utilities', () => {
@@ -179,4 +184,119 @@ describe('SQLite Utilities', () => {
       expect(result).toBe('UPDATE users SET name = ? WHERE id = ? AND email = ?');
     });
   });
+
+  describe('getReadTables', () => {
+    it('should find FROM and JOIN tables', () => {
+      // Act
+      const result = getReadTables(`
+        SELECT u.name, o.total
+        FROM users u
+        LEFT JOIN orders o ON o.user_id = u.id
+        WHERE u.active = 1
+      `);
+
+      // Assert
+      expect(result.sort()).toEqual(['orders', 'users']);
+    });
+
+    it('should handle comma joins, quoting and subqueries', () => {
+      // Act
+      const result = getReadTables(
+        'SELECT * FROM "Users", main.[orders] WHERE id IN (SELECT user_id FROM payments)'
+      );
+
+      // Assert
+      expect(result.sort()).toEqual(['orders', 'payments', 'users']);
+    });
+
+    it('should ignore CTE names and string literals', () => {
+      // Act
+      const result = getReadTables(`
+        WITH recent AS (SELECT * FROM readings WHERE note != 'FROM fake')
+        SELECT * FROM recent
+      `);
+
+      // Assert
+      expect(result).toEqual(['readings']);
+    });
+  });
+
+  describe('resolveViews', () => {
+    it('should replace views with the tables they read', () => {
+      // Arrange
+      const views = new Map([
+        ['active_users', ['users']],
+        ['user_orders', ['active_users', 'orders']],
+        ['constants', []]
+      ]);
+
+      // Act & Assert
+      expect(resolveViews(['user_orders', 'payments'], views).sort()).toEqual(['orders', 'payments', 'users']);
+      expect(resolveViews(['users'], views)).toEqual(['users']);
+      expect(resolveViews(['constants', 'users'], views)).toEqual([]);
+    });
+  });
+
+  describe('createChangeTriggerStatements', () => {
+    it('should create a TEMP trigger per operation', () => {
+      // Act
+      const result = createChangeTriggerStatements('users', ['id']);
+
+      // Assert
+      expect(result).toHaveLength(4);
+      expect(result[0]).toBe(
+        'CREATE TEMP TRIGGER IF NOT EXISTS "_rxjs_sqlite_change_users_insert" AFTER INSERT ON main."users" ' +
+        "BEGIN SELECT notify_change('users', 'INSERT', NEW.rowid, NEW.\"id\"); END"
+      );
+      expect(result[2]).toContain("notify_change('users', 'DELETE', OLD.rowid, OLD.\"id\")");
+    });
+
+    it('should not reference the rowid of WITHOUT ROWID tables', () => {
+      // Act
+      const result = createChangeTriggerStatements('tags', ['name'], true);
+
+      // Assert
+      expect(result[1]).toContain("notify_change('tags', 'UPDATE', NULL, NEW.\"name\")");
+    });
+
+    it('should report key changes as a delete and an insert', () => {
+      // Act
+      const result = createChangeTriggerStatements('users', ['id']);
+
+      // Assert
+      expect(result[1]).toContain('AFTER UPDATE ON main."users" WHEN NEW."id" IS OLD."id" BEGIN');
+      expect(result[3]).toBe(
+        'CREATE TEMP TRIGGER IF NOT EXISTS "_rxjs_sqlite_change_users_rekey" AFTER UPDATE ON main."users" WHEN NOT (NEW."id" IS OLD."id") ' +
+        "BEGIN SELECT notify_change('users', 'DELETE', OLD.rowid, OLD.\"id\"); SELECT notify_change('users', 'INSERT', NEW.rowid, NEW.\"id\"); END"
+      );
+    });
+  });
+
+  describe('rowsEqual', () => {
+    it('should compare rows column by column', () => {
+      // Assert
+      expect(rowsEqual([{ id: 1, name: 'John' }], [{ id: 1, name: 'John' }])).toBe(true);
+      expect(rowsEqual([{ id: 1, name: 'John' }], [{ id: 1, name: 'Jane' }])).toBe(false);
+      expect(rowsEqual([{ id: 1 }], [{ id: 1 }, { id: 2 }])).toBe(false);
+      expect(rowsEqual([{ data: Buffer.from('a') }], [{ data: Buffer.from('a') }])).toBe(true);
+    });
+  });
+
+  describe('diffRows', () => {
+    it('should report added, removed and changed rows by key', () => {
+      // Arrange
+      const previous = [{ id: 1, name: 'John' }, { id: 2, name: 'Jane' }];
+      const current = [{ id: 1, name: 'Johnny' }, { id: 3, name: 'Sam' }];
+
+      // Act
+      const result = diffRows(previous, current, 'id');
+
+      // Assert
+      expect(result).toEqual({
+        added: [{ id: 3, name: 'Sam' }],
+        removed: [{ id: 2, name: 'Jane' }],
+        changed: [{ id: 1, name: 'Johnny' }]
+      });
+    });
+  });
 });
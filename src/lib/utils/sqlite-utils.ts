@@ -1,17 +1,18 @@
 /**
  * Utility functions for working with SQLite
  */
-import { SQLiteRow, SQLiteValue } from '../types';
+import { SQLiteChangeOperation, SQLiteRow, SQLiteRowDiff } from '../types';
+import { SQLiteColumnCodecs, decodeValue } from './codecs';
 
 /**
- * Convert a SQLite result row to a typed object
+ * Convert a SQLite result row to a typed object, decoding the columns that have a codec
  */
-export function rowToObject<T = SQLiteRow>(row: any): T {
-  const result: Record<string, SQLiteValue> = {};
+export function rowToObject<T = SQLiteRow>(row: any, codecs?: SQLiteColumnCodecs): T {
+  const result: Record<string, unknown> = {};
   
   for (const key in row) {
     if (Object.prototype.hasOwnProperty.call(row, key)) {
-      result[key] = row[key];
+      result[key] = codecs ? decodeValue(row[key], codecs[key], key) : row[key];
     }
   }
   
@@ -21,8 +22,8 @@ export function rowToObject<T = SQLiteRow>(row: any): T {
 /**
  * Convert an array of SQLite result rows to typed objects
  */
-export function rowsToObjects<T = SQLiteRow>(rows: any[]): T[] {
-  return rows.map(row => rowToObject<T>(row));
+export function rowsToObjects<T = SQLiteRow>(rows: any[], codecs?: SQLiteColumnCodecs): T[] {
+  return rows.map(row => rowToObject<T>(row, codecs));
 }
 
 /**
@@ -59,3 +60,242 @@ export function createUpdateStatement(tableName: string, columns: string[], wher
   
   return `UPDATE ${tableName} SET ${setClause} WHERE ${whereClause}`;
 }
+
+/**
+ * Normalize a table reference ("main"."Users", [users], `users`) to a bare lower-case name
+ */
+export function normalizeTableName(name: string): string {
+  const parts = name.split('.');
+  return parts[parts.length - 1].replace(/^["`[]|["`\]]$/g, '').toLowerCase();
+}
+
+/**
+ * Remove string literals and comments so keyword scanning doesn't trip over their contents
+ */
+function stripLiteralsAndComments(sql: string): string {
+  return sql
+    .replace(/--[^\n]*/g, ' ')
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/'(?:[^']|'')*'/g, "''");
+}
+
+const IDENTIFIER = '("(?:[^"]|"")+"|`[^`]+`|\\[[^\\]]+\\]|[\\w$]+)(?:\\s*\\.\\s*("(?:[^"]|"")+"|`[^`]+`|\\[[^\\]]+\\]|[\\w$]+))?';
+
+/**
+ * Names defined by a WITH clause; these are not real tables
+ */
+function getCteNames(sql: string): Set<string> {
+  const names = new Set<string>();
+  const pattern = new RegExp(`(?:\\bWITH(?:\\s+RECURSIVE)?|,)\\s*${IDENTIFIER}\\s*(?:\\([^)]*\\)\\s*)?AS\\s*(?:NOT\\s+)?(?:MATERIALIZED\\s*)?\\(`, 'gi');
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(sql)) !== null) {
+    names.add(normalizeTableName(match[2] || match[1]));
+  }
+  return names;
+}
+
+/**
+ * Extract the tables a statement reads from (FROM and JOIN clauses).
+ * This is a best-effort scan, not a full SQL parser; callers that need
+ * certainty should declare the tables explicitly.
+ */
+export function getReadTables(sql: string): string[] {
+  const cleaned = stripLiteralsAndComments(sql);
+  const cteNames = getCteNames(cleaned);
+  const tables = new Set<string>();
+
+  // FROM may be followed by a comma-separated list of tables
+  const fromPattern = /\bFROM\s+([\s\S]*?)(?=\bWHERE\b|\bGROUP\b|\bORDER\b|\bLIMIT\b|\bHAVING\b|\bWINDOW\b|\bUNION\b|\bINTERSECT\b|\bEXCEPT\b|\bRETURNING\b|\b(?:NATURAL|LEFT|RIGHT|FULL|INNER|CROSS|OUTER)\b|\bJOIN\b|\bON\b|\(|\)|;|$)/gi;
+  let match: RegExpExecArray | null;
+  while ((match = fromPattern.exec(cleaned)) !== null) {
+    for (const item of match[1].split(',')) {
+      const ref = new RegExp(`^\\s*${IDENTIFIER}`).exec(item);
+      if (ref) {
+        tables.add(normalizeTableName(ref[2] || ref[1]));
+      }
+    }
+  }
+
+  const joinPattern = new RegExp(`\\bJOIN\\s+${IDENTIFIER}`, 'gi');
+  while ((match = joinPattern.exec(cleaned)) !== null) {
+    tables.add(normalizeTableName(match[2] || match[1]));
+  }
+
+  return Array.from(tables).filter(table => !cteNames.has(table));
+}
+
+/**
+ * Replace the views among `tables` with the tables they read, following views
+ * of views. `views` maps each view's normalized name to the tables its SELECT
+ * reads (getReadTables of its SQL). A view that reads no table found that way
+ * makes the result empty, i.e. unknown.
+ */
+export function resolveViews(tables: string[], views: Map<string, string[]>): string[] {
+  const resolved = new Set<string>();
+  const seen = new Set<string>();
+  const pending = [...tables];
+  while (pending.length > 0) {
+    const table = pending.pop()!;
+    if (seen.has(table)) {
+      continue;
+    }
+    seen.add(table);
+
+    const reads = views.get(table);
+    if (!reads) {
+      resolved.add(table);
+    } else if (reads.length === 0) {
+      return [];
+    } else {
+      pending.push(...reads);
+    }
+  }
+  return Array.from(resolved);
+}
+
+/**
+ * Whether a change to `changed` tables should re-run a query that reads `tables`.
+ * An empty list on either side means "unknown", which always matches.
+ */
+export function affectsTables(changed: string[], tables: string[]): boolean {
+  return tables.length === 0 || changed.length === 0 || changed.some(table => tables.includes(table));
+}
+
+/**
+ * Quote an identifier for use in generated SQL
+ */
+export function quoteIdentifier(name: string): string {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quote a string as a SQL string literal
+ */
+export function quoteLiteral(value: string): string {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * The SQLite JSON path of a field path (`a.b.c` for nested fields). Every key
+ * is quoted, so names such as `a-b` are read as they are.
+ */
+export function toJSONPath(path: string): string {
+  return `$${path.split('.').map(key => `."${key.replace(/["\\]/g, '\\$&')}"`).join('')}`;
+}
+
+/**
+ * Prefix used for the change triggers created by createChangeTriggerStatements
+ */
+export const CHANGE_TRIGGER_PREFIX = '_rxjs_sqlite_change_';
+
+/**
+ * Generate the TEMP triggers that report row-level changes on a table
+ * through the `notify_change(table, op, rowid, ...pk)` SQL function.
+ * An UPDATE that changes the primary key is reported as a DELETE of the old
+ * key followed by an INSERT of the new one, so each event names one row.
+ *
+ * @param tableName The table to watch
+ * @param pkColumns The primary key columns; empty to report the rowid only
+ * @param withoutRowid Whether the table was created WITHOUT ROWID
+ */
+export function createChangeTriggerStatements(
+  tableName: string,
+  pkColumns: string[],
+  withoutRowid = false
+): string[] {
+  const table = quoteIdentifier(tableName);
+  const literal = `'${tableName.replace(/'/g, "''")}'`;
+  const notify = (op: SQLiteChangeOperation, row: 'NEW' | 'OLD') =>
+    `SELECT notify_change(${[literal, `'${op}'`, withoutRowid ? 'NULL' : `${row}.rowid`]
+      .concat(pkColumns.map(column => `${row}.${quoteIdentifier(column)}`))
+      .join(', ')});`;
+  const trigger = (name: string, event: SQLiteChangeOperation, when: string, body: string[]) =>
+    `CREATE TEMP TRIGGER IF NOT EXISTS ${quoteIdentifier(`${CHANGE_TRIGGER_PREFIX}${tableName}_${name}`)} ` +
+    `AFTER ${event} ON main.${table}${when} BEGIN ${body.join(' ')} END`;
+
+  const keyColumns = pkColumns.length > 0 ? pkColumns.map(quoteIdentifier) : ['rowid'];
+  const sameKey = keyColumns.map(column => `NEW.${column} IS OLD.${column}`).join(' AND ');
+
+  return [
+    trigger('insert', 'INSERT', '', [notify('INSERT', 'NEW')]),
+    trigger('update', 'UPDATE', ` WHEN ${sameKey}`, [notify('UPDATE', 'NEW')]),
+    trigger('delete', 'DELETE', '', [notify('DELETE', 'OLD')]),
+    trigger('rekey', 'UPDATE', ` WHEN NOT (${sameKey})`, [notify('DELETE', 'OLD'), notify('INSERT', 'NEW')])
+  ];
+}
+
+/**
+ * Compare two rows column by column
+ */
+export function rowEquals(a: unknown, b: unknown): boolean {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+
+  const left = a as Record<string, unknown>;
+  const right = b as Record<string, unknown>;
+  const keys = Object.keys(left);
+  if (keys.length !== Object.keys(right).length) {
+    return false;
+  }
+
+  return keys.every(key => {
+    const x = left[key];
+    const y = right[key];
+    if (Buffer.isBuffer(x) && Buffer.isBuffer(y)) {
+      return x.equals(y);
+    }
+    // Decoded columns are new objects each time a query runs
+    if (x instanceof Date && y instanceof Date) {
+      return x.getTime() === y.getTime();
+    }
+    if (x && y && typeof x === 'object' && typeof y === 'object') {
+      return JSON.stringify(x) === JSON.stringify(y);
+    }
+    return x === y || (Number.isNaN(x) && Number.isNaN(y));
+  });
+}
+
+/**
+ * Compare two result sets row by row, in order
+ */
+export function rowsEqual<T>(a: T[], b: T[]): boolean {
+  return a.length === b.length && a.every((row, index) => rowEquals(row, b[index]));
+}
+
+/**
+ * Work out which rows were added, removed or changed between two result sets.
+ * Rows are matched by the value of the key column.
+ */
+export function diffRows<T>(previous: T[], current: T[], key: keyof T & string): SQLiteRowDiff<T> {
+  const before = new Map<unknown, T>();
+  for (const row of previous) {
+    before.set(row[key], row);
+  }
+
+  const diff: SQLiteRowDiff<T> = { added: [], removed: [], changed: [] };
+  const seen = new Set<unknown>();
+
+  for (const row of current) {
+    const id = row[key];
+    seen.add(id);
+
+    const old = before.get(id);
+    if (old === undefined) {
+      diff.added.push(row);
+    } else if (!rowEquals(old, row)) {
+      diff.changed.push(row);
+    }
+  }
+
+  for (const [id, row] of before) {
+    if (!seen.has(id)) {
+      diff.removed.push(row);
+    }
+  }
+
+  return diff;
+}